@@ -19,7 +19,7 @@ export default [
         }
     },
     {
-        files: ["scripts/**/*.js"],
+        files: ["scripts/**/*.js", "test/**/*.js"],
         languageOptions: {
             globals: {
                 ...globals.node
@@ -20,12 +20,28 @@ const MANIFEST_COMMON = path.join(ROOT, 'manifest.common.json');
 // BROWSER TARGETS
 // ============================================
 
+// Besides the background entry, each target adds its own page sidebar
+const SIDEBAR_PAGE = 'sidebar/sidebar.html';
+
 const TARGETS = {
     chromium: {
-        background: { service_worker: 'background/background.js' }
+        background: { service_worker: 'background/background.js' },
+        permissions: ['sidePanel'],
+        manifest: {
+            side_panel: { default_path: SIDEBAR_PAGE }
+        }
     },
     firefox: {
-        background: { scripts: ['background/background.js'] }
+        background: { scripts: ['utils/backupValidator.js', 'utils/encryption.js', 'background/background.js'] },
+        permissions: [],
+        manifest: {
+            sidebar_action: {
+                default_panel: SIDEBAR_PAGE,
+                default_title: '__MSG_sidebarTitle__',
+                default_icon: 'icons/icon-48.png',
+                open_at_install: false
+            }
+        }
     }
 };
 
@@ -78,9 +94,14 @@ function build(targetName) {
     // 2. Copy all source files
     copyDir(SRC, outputDir);
 
-    // 3. Generate manifest.json with browser-specific background
+    // 3. Generate manifest.json with browser-specific background and sidebar
     const common = JSON.parse(fs.readFileSync(MANIFEST_COMMON, 'utf-8'));
-    const manifest = { ...common, background: target.background };
+    const manifest = {
+        ...common,
+        ...target.manifest,
+        permissions: [...common.permissions, ...target.permissions],
+        background: target.background
+    };
     fs.writeFileSync(
         path.join(outputDir, 'manifest.json'),
         JSON.stringify(manifest, null, 2)
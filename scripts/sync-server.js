@@ -0,0 +1,120 @@
+/**
+ * Minimal sync server for trying out sync on a local network.
+ * No dependencies — uses only Node.js built-in modules.
+ *
+ * Stores whatever is PUT to any path as a file and serves it back with an
+ * ETag, honouring If-Match / If-None-Match like a WebDAV server would.
+ *
+ * Usage:
+ *   node scripts/sync-server.js                         → http://localhost:8787
+ *   PORT=9000 node scripts/sync-server.js
+ *   SYNC_USER=team SYNC_PASSWORD=secret node scripts/sync-server.js
+ *
+ * Then set the sync URL in the extension to e.g. http://<host>:8787/highlights.json
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.SYNC_DIR || path.join(__dirname, '..', '.sync-data'));
+const USER = process.env.SYNC_USER || '';
+const PASSWORD = process.env.SYNC_PASSWORD || '';
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+// ============================================
+// HELPERS
+// ============================================
+
+function filePath(url) {
+    const name = decodeURIComponent(new URL(url, 'http://localhost').pathname)
+        .replace(/^\/+/, '')
+        .replace(/[^\w.-]/g, '_');
+    return path.join(DATA_DIR, name || 'index.json');
+}
+
+function etagOf(content) {
+    return `"${crypto.createHash('sha1').update(content).digest('hex')}"`;
+}
+
+function isAuthorized(req) {
+    if (!USER) return true;
+    const expected = 'Basic ' + Buffer.from(`${USER}:${PASSWORD}`).toString('base64');
+    return req.headers.authorization === expected;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+async function handle(req, res) {
+    if (!isAuthorized(req)) {
+        res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="Highlighter sync"' });
+        return res.end();
+    }
+
+    const file = filePath(req.url);
+    const current = fs.existsSync(file) ? fs.readFileSync(file) : null;
+    const currentEtag = current ? etagOf(current) : null;
+
+    if (req.method === 'GET') {
+        if (!current) {
+            res.writeHead(404);
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json', 'ETag': currentEtag, 'Cache-Control': 'no-store' });
+        return res.end(current);
+    }
+
+    if (req.method === 'PUT') {
+        const ifMatch = req.headers['if-match'];
+        const ifNoneMatch = req.headers['if-none-match'];
+        if ((ifMatch && ifMatch !== currentEtag) || (ifNoneMatch === '*' && current)) {
+            res.writeHead(412);
+            return res.end();
+        }
+
+        const body = await readBody(req);
+        fs.writeFileSync(file, body);
+        res.writeHead(current ? 204 : 201, { 'ETag': etagOf(body) });
+        return res.end();
+    }
+
+    res.writeHead(405, { 'Allow': 'GET, PUT' });
+    res.end();
+}
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+http.createServer((req, res) => {
+    handle(req, res).catch(e => {
+        console.error(`❌ ${req.method} ${req.url}: ${e.message}`);
+        if (!res.headersSent) res.writeHead(500);
+        res.end();
+    });
+}).listen(PORT, () => {
+    console.log('🔄 Highlighter Sync Server');
+    console.log('=========================');
+    console.log(`Listening on http://localhost:${PORT}/ (data in ${DATA_DIR})`);
+    if (USER) console.log(`Basic auth enabled for user "${USER}"`);
+});
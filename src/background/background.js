@@ -3,193 +3,2522 @@
  * Single source of truth for storage operations
  */
 
+// Shared with the dashboard's import and export; Firefox loads them from the manifest
+if (typeof self.importScripts === 'function') {
+  self.importScripts('../utils/backupValidator.js', '../utils/encryption.js');
+}
+
 // ============================================
 // STORAGE KEYS
 // ============================================
-const STORAGE_KEY_HIGHLIGHTS = 'highlights';
+const STORAGE_KEY_HIGHLIGHTS = 'highlights'; // legacy blob, migrated to IndexedDB
 const STORAGE_KEY_SETTINGS = 'settings';
+const STORAGE_KEY_URL_RULES_APPLIED = 'urlRulesApplied';
+const STORAGE_KEY_SCHEMA_VERSION = 'schemaVersion';
+const STORAGE_KEY_SYNC_STATE = 'syncState';
+const STORAGE_KEY_LOCK = 'lock';
+
+// IndexedDB
+const DB_NAME = 'highlighter';
+const DB_VERSION = 5;
+const STORE_PAGES = 'pages';
+const STORE_HIGHLIGHTS = 'highlights';
+const STORE_TAGS = 'tags';
+const STORE_OPERATIONS = 'operations';
+const STORE_TRASH = 'trash';
+const STORE_SNAPSHOTS = 'snapshots';
+const STORE_SYNC_QUEUE = 'syncQueue';
+const DEFAULT_PAGE_SIZE = 500;
+
+// Default page identity rules (see computePageKey)
+const DEFAULT_URL_RULES = {
+  mergeHostVariants: true,    // http/https and www. are the same page
+  ignoreTrailingSlash: true,
+  stripTrackingParams: true,  // only matters for sites that keep params
+  useCanonical: true,         // honour <link rel="canonical"> on the same site
+  sites: [
+    { host: 'youtube.com', keepParams: ['v'] },
+    { host: 'news.ycombinator.com', keepParams: ['id'] }
+  ]
+};
+
+// Default settings
+const DEFAULT_SETTINGS = {
+  lastUsedColor: '#FFEB3B',
+  theme: 'auto',
+  showContextMenu: true,
+  selectionToolbar: true, // floating toolbar next to selected text
+  selectionToolbarDisabledSites: [], // hosts (without www.) where it stays hidden
+  highlightMarkers: true, // ticks along the viewport edge where highlights are
+  urlRules: DEFAULT_URL_RULES,
+  trashRetentionDays: 30, // 0 keeps deleted highlights until the trash is emptied
+  backupSchedule: 'daily', // 'off' | 'daily' | 'weekly'
+  backupKeepCount: 7,
+  backupDownload: false,
+  syncEnabled: false,
+  syncAdapter: 'webdav', // key of SYNC_ADAPTERS
+  syncUrl: '', // JSON document on a WebDAV share or HTTP endpoint
+  syncUsername: '',
+  syncHasPassword: false, // the password itself is only kept for the session
+  syncHasPassphrase: false, // the sync document is encrypted; the passphrase is kept like the password
+  syncIntervalMinutes: 15,
+  lockTimeoutMinutes: 15, // 0 keeps private notes unlocked until the browser closes
+  savedSearches: [] // [{ id, name, query }] shown in the dashboard sidebar and the popup
+};
+
+// The part of the settings that pages' content scripts get to see
+const CONTENT_SETTINGS_KEYS = ['lastUsedColor', 'selectionToolbar', 'selectionToolbarDisabledSites', 'highlightMarkers'];
+
+// ============================================
+// URL NORMALIZATION
+// ============================================
+
+const TRACKING_PARAMS = ['fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'ref_src'];
+
+// Canonical URLs reported by content scripts, keyed by page URL
+const MAX_CANONICAL_URLS = 500;
+const canonicalUrls = new Map();
+
+function isTrackingParam(name) {
+  return name.startsWith('utm_') || TRACKING_PARAMS.includes(name);
+}
+
+function stripWww(hostname) {
+  return hostname.replace(/^www\./, '');
+}
+
+function findSiteRule(hostname, rules) {
+  const host = stripWww(hostname);
+  return (rules.sites || []).find(site =>
+    host === site.host || host.endsWith('.' + site.host)
+  ) || null;
+}
+
+/**
+ * Computes the storage key of a page. Query params are dropped unless a
+ * site rule keeps them ('*' keeps all); the hash is always dropped.
+ * @param {string} url - Page URL
+ * @param {string|null} canonicalUrl - <link rel="canonical"> of the page, if any
+ * @param {Object} rules - URL rules from settings
+ * @returns {string} Storage key (a URL)
+ */
+function computePageKey(url, canonicalUrl, rules) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return url;
+  }
+
+  if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+    // Schemes without an origin (book: pages from imports) are kept as is
+    return urlObj.origin === 'null' ? url.split(/[?#]/)[0] : urlObj.origin + urlObj.pathname;
+  }
+
+  // Only same-site canonicals: a page must not be able to claim another
+  // site's highlights (they would end up in its DOM)
+  if (rules.useCanonical && canonicalUrl) {
+    try {
+      const canonical = new URL(canonicalUrl, url);
+      if (stripWww(canonical.hostname) === stripWww(urlObj.hostname) &&
+        (canonical.protocol === 'http:' || canonical.protocol === 'https:')) {
+        urlObj = canonical;
+      }
+    } catch { }
+  }
+
+  let protocol = urlObj.protocol;
+  let host = urlObj.host;
+  if (rules.mergeHostVariants) {
+    protocol = 'https:';
+    host = stripWww(host);
+  }
+
+  let pathname = urlObj.pathname;
+  if (rules.ignoreTrailingSlash && pathname.length > 1) {
+    pathname = pathname.replace(/\/+$/, '') || '/';
+  }
+
+  const siteRule = findSiteRule(urlObj.hostname, rules);
+  const keepParams = siteRule ? siteRule.keepParams || [] : [];
+  const params = [...urlObj.searchParams.entries()]
+    .filter(([name]) => keepParams.includes('*') || keepParams.includes(name))
+    .filter(([name]) => !(rules.stripTrackingParams && isTrackingParam(name)))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const query = params.length > 0 ? '?' + new URLSearchParams(params).toString() : '';
+  return `${protocol}//${host}${pathname}${query}`;
+}
+
+function rememberCanonicalUrl(url, canonicalUrl) {
+  if (!url || !canonicalUrl) return;
+  canonicalUrls.delete(url);
+  canonicalUrls.set(url, canonicalUrl);
+  if (canonicalUrls.size > MAX_CANONICAL_URLS) {
+    canonicalUrls.delete(canonicalUrls.keys().next().value);
+  }
+}
+
+/**
+ * Asks the tab's content script for its canonical URL (the service worker
+ * may have restarted since the content script last reported it)
+ * @param {Object} tab - chrome.tabs.Tab
+ * @returns {Promise<void>}
+ */
+async function syncTabCanonicalUrl(tab) {
+  const info = await chrome.tabs.sendMessage(tab.id, { type: 'GET_PAGE_INFO' }).catch(() => null);
+  if (info) rememberCanonicalUrl(tab.url, info.canonicalUrl);
+}
+
+/**
+ * Normalizes a page URL to its storage key using the current URL rules
+ * @param {string} url - Full page URL
+ * @returns {Promise<string>} Storage key
+ */
+async function normalizeUrl(url) {
+  const settings = await getSettings();
+  return computePageKey(url, canonicalUrls.get(url) || null, settings.urlRules);
+}
+
+/**
+ * Re-keys every stored page with the given rules, merging pages that now
+ * share a key. Items remember the URL they were created on (sourceUrl);
+ * older items fall back to their current key.
+ * @param {Object} rules - URL rules from settings
+ * @returns {Promise<number>} Number of pages whose key changed
+ */
+async function rekeyHighlights(rules) {
+  const changed = await runTransaction([STORE_PAGES, STORE_HIGHLIGHTS, STORE_TRASH], 'readwrite', async tx => {
+    const pageStore = tx.objectStore(STORE_PAGES);
+    const highlightStore = tx.objectStore(STORE_HIGHLIGHTS);
+    const trashStore = tx.objectStore(STORE_TRASH);
+    const pages = await promisifyRequest(pageStore.getAll());
+    const records = await promisifyRequest(highlightStore.getAll());
+    const titles = new Map(pages.map(page => [page.url, page.title]));
+    const newTitles = new Map();
+    const changedKeys = new Set();
+
+    records.forEach(record => {
+      const newKey = computePageKey(record.sourceUrl || record.url, record.canonicalUrl || null, rules);
+      if (!newTitles.get(newKey)) newTitles.set(newKey, titles.get(record.url) || '');
+      if (newKey !== record.url) {
+        changedKeys.add(record.url);
+        highlightStore.put({ ...record, url: newKey });
+      }
+    });
+
+    pageStore.clear();
+    newTitles.forEach((title, url) => pageStore.put({ url, title }));
+
+    // Trashed items must land on the right page when restored
+    const trashed = await promisifyRequest(trashStore.getAll());
+    trashed.forEach(record => {
+      const newKey = computePageKey(record.sourceUrl || record.url, record.canonicalUrl || null, rules);
+      if (newKey !== record.url) trashStore.put({ ...record, url: newKey });
+    });
+
+    return changedKeys.size;
+  });
+
+  await chrome.storage.local.set({ [STORAGE_KEY_URL_RULES_APPLIED]: rules });
+  return changed;
+}
+
+/**
+ * Re-keys stored pages if they were keyed with different rules
+ * (first run after an update, or rules changed in settings)
+ * @returns {Promise<number>} Number of pages whose key changed
+ */
+async function applyUrlRules() {
+  const settings = await getSettings();
+  const result = await chrome.storage.local.get(STORAGE_KEY_URL_RULES_APPLIED);
+  if (JSON.stringify(result[STORAGE_KEY_URL_RULES_APPLIED]) === JSON.stringify(settings.urlRules)) {
+    return 0;
+  }
+  return rekeyHighlights(settings.urlRules);
+}
+
+// ============================================
+// DATABASE (IndexedDB)
+// ============================================
+// pages:      { url, title }                 keyed by page key
+// highlights: { ...item, url }               keyed by item id
+// tags:       { name, count }                keyed by tag name
+// operations: { seq, scope, stack, ... }     undo/redo log, see OPERATION LOG
+// trash:      { ...item, url, pageTitle }    soft-deleted items (item has deletedAt)
+// snapshots:  { id, createdAt, reason, ... } automatic and manual backups
+// syncQueue:  { id, url, title, item, ... }  local edits not pushed yet, see SYNC
+
+let databasePromise = null;
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+
+      if (event.oldVersion < 1) {
+        db.createObjectStore(STORE_PAGES, { keyPath: 'url' });
+
+        const highlights = db.createObjectStore(STORE_HIGHLIGHTS, { keyPath: 'id' });
+        highlights.createIndex('url', 'url');
+        highlights.createIndex('createdAt', 'createdAt');
+        highlights.createIndex('tag', 'tags', { multiEntry: true });
+        highlights.createIndex('color', 'color');
+
+        db.createObjectStore(STORE_TAGS, { keyPath: 'name' });
+      }
+
+      if (event.oldVersion < 2) {
+        const operations = db.createObjectStore(STORE_OPERATIONS, { keyPath: 'seq', autoIncrement: true });
+        operations.createIndex('scope', 'scope');
+      }
+
+      if (event.oldVersion < 3) {
+        const trash = db.createObjectStore(STORE_TRASH, { keyPath: 'id' });
+        trash.createIndex('deletedAt', 'deletedAt');
+      }
+
+      if (event.oldVersion < 4) {
+        db.createObjectStore(STORE_SNAPSHOTS, { keyPath: 'id', autoIncrement: true });
+      }
+
+      if (event.oldVersion < 5) {
+        db.createObjectStore(STORE_SYNC_QUEUE, { keyPath: 'id' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens the database once per worker lifetime. The first open also moves
+ * data left in the old chrome.storage.local blob into IndexedDB and
+ * upgrades records written with an older schema.
+ * @returns {Promise<IDBDatabase>}
+ */
+function getDatabase() {
+  if (!databasePromise) {
+    databasePromise = openDatabase()
+      .then(async db => {
+        await migrateLegacyStorage(db);
+        await migrateStoredHighlights(db);
+        return db;
+      })
+      .catch(e => {
+        databasePromise = null;
+        throw e;
+      });
+  }
+  return databasePromise;
+}
+
+/**
+ * Runs a callback inside a single transaction and resolves once it commits.
+ * The callback may only await requests of this transaction - awaiting
+ * anything else lets the transaction auto-commit under it.
+ * @param {string[]} storeNames - Object stores to lock
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBTransaction): Promise<*>} callback
+ * @param {IDBDatabase} [db] - Database to use (defaults to getDatabase())
+ * @returns {Promise<*>} The callback's result
+ */
+async function runTransaction(storeNames, mode, callback, db) {
+  const database = db || await getDatabase();
+  const tx = database.transaction(storeNames, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+
+  let result;
+  try {
+    result = await callback(tx);
+  } catch (e) {
+    try { tx.abort(); } catch { /* already finished */ }
+    done.catch(() => {});
+    throw e;
+  }
+  await done;
+  return result;
+}
+
+// Records carry their page key; items handed out do not.
+// createdAt is always set so every record shows up in the createdAt index.
+function toRecord(item, url) {
+  return { ...item, createdAt: item.createdAt || '', url };
+}
+
+function toItem(record) {
+  const item = { ...record };
+  delete item.url;
+  return item;
+}
+
+function toTrashRecord(item, url, pageTitle) {
+  return { ...item, url, pageTitle };
+}
+
+function fromTrashRecord(record) {
+  const item = toItem(record);
+  delete item.pageTitle;
+  return item;
+}
+
+function byCreatedAt(a, b) {
+  return (a.createdAt || '').localeCompare(b.createdAt || '');
+}
+
+/**
+ * Recounts tags from the tag index (call inside a readwrite transaction
+ * covering the highlights and tags stores)
+ * @param {IDBTransaction} tx
+ * @param {string[]} names - Tags whose count may have changed
+ */
+async function refreshTagCounts(tx, names) {
+  const tagIndex = tx.objectStore(STORE_HIGHLIGHTS).index('tag');
+  const tagStore = tx.objectStore(STORE_TAGS);
+
+  for (const name of new Set(names)) {
+    if (typeof name !== 'string' || !name) continue;
+    const count = await promisifyRequest(tagIndex.count(name));
+    if (count > 0) {
+      tagStore.put({ name, count });
+    } else {
+      tagStore.delete(name);
+    }
+  }
+}
+
+// Drops the page record once its last highlight is gone
+async function prunePage(tx, key) {
+  const count = await promisifyRequest(tx.objectStore(STORE_HIGHLIGHTS).index('url').count(key));
+  if (count === 0) tx.objectStore(STORE_PAGES).delete(key);
+}
+
+// ============================================
+// IMPORT MERGE
+// ============================================
+
+// Fields compared when the same highlight exists on both sides
+const MERGE_FIELDS = ['quote', 'note', 'tags', 'color'];
+
+function normalizeQuote(quote) {
+  return (quote || '').replace(/\s+/g, ' ').trim();
+}
+
+function sameContent(a, b) {
+  return MERGE_FIELDS.every(field => field === 'tags'
+    ? [...(a.tags || [])].sort().join(' ') === [...(b.tags || [])].sort().join(' ')
+    : (a[field] || '') === (b[field] || ''));
+}
+
+// Side that was edited last; ties keep the local copy
+function newerSide(local, imported) {
+  const localTime = local.updatedAt || local.createdAt || '';
+  const importedTime = imported.updatedAt || imported.createdAt || '';
+  return importedTime > localTime ? 'imported' : 'local';
+}
+
+/**
+ * Compares a `{ [url]: { title, items } }` map with the database.
+ * Items are new, unchanged, or in conflict with a stored highlight that has
+ * the same ID ('id') or the same quote on the same page ('duplicate').
+ * @param {IDBTransaction} tx - Transaction over the pages and highlights stores
+ * @param {Object} highlights - Highlights grouped by page key
+ * @returns {Promise<{additions: Array, conflicts: Array, unchanged: number}>}
+ */
+async function planMerge(tx, highlights) {
+  const pageStore = tx.objectStore(STORE_PAGES);
+  const highlightStore = tx.objectStore(STORE_HIGHLIGHTS);
+  const additions = [];
+  const conflicts = [];
+  const seenIds = new Set();
+  let unchanged = 0;
+
+  for (const [url, pageData] of Object.entries(highlights || {})) {
+    const items = (pageData?.items || []).filter(item => item?.id);
+    if (items.length === 0) continue;
+
+    const page = await promisifyRequest(pageStore.get(url));
+    const title = page?.title || pageData?.title || '';
+    const records = await promisifyRequest(highlightStore.index('url').getAll(url));
+    const quotes = new Map(records.map(record => [normalizeQuote(record.quote), record]));
+    const addedQuotes = new Set();
+
+    for (const item of items) {
+      // Later copies in the same import lose
+      if (seenIds.has(item.id)) continue;
+      seenIds.add(item.id);
+
+      const quote = normalizeQuote(item.quote);
+      const existing = await promisifyRequest(highlightStore.get(item.id));
+      if (!existing && addedQuotes.has(quote)) {
+        unchanged++;
+        continue;
+      }
+
+      const local = existing || quotes.get(quote);
+      if (!local) {
+        additions.push({ url, title, item });
+        addedQuotes.add(quote);
+        continue;
+      }
+      if (sameContent(local, item)) {
+        unchanged++;
+        continue;
+      }
+
+      const localPage = local.url === url ? page : await promisifyRequest(pageStore.get(local.url));
+      conflicts.push({
+        id: item.id,
+        type: existing ? 'id' : 'duplicate',
+        url: local.url,
+        title: localPage?.title || title,
+        local: toItem(local),
+        imported: item,
+        newer: newerSide(local, item)
+      });
+    }
+  }
+
+  return { additions, conflicts, unchanged };
+}
+
+/**
+ * Decides which copy of a conflicting highlight to keep
+ * @param {Object} conflict - Conflict from planMerge()
+ * @param {'newest'|'local'|'imported'} strategy
+ * @param {Object} resolutions - Per-item choices by imported ID, override the strategy
+ * @returns {'local'|'imported'}
+ */
+function resolveConflict(conflict, strategy, resolutions) {
+  const choice = resolutions?.[conflict.id];
+  if (choice === 'local' || choice === 'imported') return choice;
+  if (strategy === 'local' || strategy === 'imported') return strategy;
+  return conflict.newer;
+}
+
+/**
+ * Merges a `{ [url]: { title, items } }` map into the database. New items
+ * are added; conflicts keep the local copy unless `resolve` picks the
+ * imported one, whose content then replaces the local highlight in place.
+ * @param {IDBTransaction} tx - readwrite transaction over all stores
+ * @param {Object} highlights - Highlights grouped by page key
+ * @param {Function} [resolve] - `conflict => 'local' | 'imported'`
+ * @returns {Promise<Array>} Changes for the added and replaced items (see OPERATION LOG)
+ */
+async function mergeHighlights(tx, highlights, resolve = () => 'local') {
+  const pageStore = tx.objectStore(STORE_PAGES);
+  const highlightStore = tx.objectStore(STORE_HIGHLIGHTS);
+  const { additions, conflicts } = await planMerge(tx, highlights);
+  const changes = [];
+  const titles = new Map();
+
+  additions.forEach(({ url, title, item }) => {
+    highlightStore.put(toRecord(item, url));
+    changes.push({ id: item.id, url, title, before: null, after: item });
+    titles.set(url, title);
+  });
+
+  conflicts.filter(conflict => resolve(conflict) === 'imported').forEach(conflict => {
+    const { local, imported } = conflict;
+    const replaced = { ...local };
+    MERGE_FIELDS.forEach(field => { replaced[field] = imported[field]; });
+    if (imported.selectors) replaced.selectors = imported.selectors;
+    replaced.updatedAt = imported.updatedAt || new Date().toISOString();
+
+    highlightStore.put(toRecord(replaced, conflict.url));
+    changes.push({ id: local.id, url: conflict.url, title: conflict.title, before: local, after: replaced });
+  });
+
+  for (const [url, title] of titles) {
+    const page = await promisifyRequest(pageStore.get(url));
+    if (!page || page.title !== title) pageStore.put({ url, title });
+  }
+
+  await refreshTagCounts(tx, changes.flatMap(change => [...(change.before?.tags || []), ...(change.after.tags || [])]));
+  return changes;
+}
+
+/**
+ * One-time move of the old `highlights` blob from chrome.storage.local.
+ * Items are upgraded and written by ID only: the import path's quote
+ * matching would drop repeated quotes and text-only items. The blob is
+ * only removed once every item is in the database, so an interrupted or
+ * partial migration simply runs again.
+ * @param {IDBDatabase} db
+ */
+async function migrateLegacyStorage(db) {
+  const result = await chrome.storage.local.get(STORAGE_KEY_HIGHLIGHTS);
+  const legacy = result[STORAGE_KEY_HIGHLIGHTS];
+  if (!legacy) return;
+
+  const pages = migrateHighlights(legacy, 1);
+
+  const ids = await runTransaction([STORE_PAGES, STORE_HIGHLIGHTS, STORE_TAGS], 'readwrite', async tx => {
+    const pageStore = tx.objectStore(STORE_PAGES);
+    const highlightStore = tx.objectStore(STORE_HIGHLIGHTS);
+    const tags = [];
+    const written = new Set();
+
+    for (const [url, pageData] of Object.entries(pages)) {
+      if (!await promisifyRequest(pageStore.get(url))) pageStore.put({ url, title: pageData.title });
+
+      for (const [index, item] of pageData.items.entries()) {
+        // Stable for items saved without an ID, so a re-run finds them again
+        const id = item.id || `hl-legacy-${url}-${index}`;
+        if (!await promisifyRequest(highlightStore.get(id))) {
+          highlightStore.put(toRecord({ ...item, id }, url));
+          tags.push(...item.tags);
+        }
+        written.add(id);
+      }
+    }
+
+    await refreshTagCounts(tx, tags);
+    return [...written];
+  }, db);
+
+  // Checked after the commit, against what actually reached the database
+  const storedCount = await runTransaction([STORE_HIGHLIGHTS], 'readonly', async tx => {
+    const highlightStore = tx.objectStore(STORE_HIGHLIGHTS);
+    let count = 0;
+    for (const id of ids) {
+      if (await promisifyRequest(highlightStore.count(id))) count++;
+    }
+    return count;
+  }, db);
+
+  // Every distinct source item (a repeated ID can only be stored once)
+  if (storedCount === ids.length) {
+    await chrome.storage.local.remove(STORAGE_KEY_HIGHLIGHTS);
+  } else {
+    console.warn(`Legacy migration stored ${storedCount} of ${ids.length} highlights; keeping the old data`);
+  }
+}
+
+// ============================================
+// SCHEMA MIGRATIONS
+// ============================================
+// Each step upgrades a single item from `version - 1` to `version`.
+// Steps must be idempotent: data written before versions were tracked is
+// treated as version 1 and runs through every step.
+
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Fill in quote, note and tags on items saved before they existed',
+    up(item) {
+      const migrated = {
+        ...item,
+        quote: item.quote ?? item.text ?? '',
+        note: typeof item.note === 'string' ? item.note : '',
+        tags: Array.isArray(item.tags) ? item.tags.filter(tag => typeof tag === 'string' && tag) : []
+      };
+      delete migrated.text;
+      return migrated;
+    }
+  },
+  {
+    version: 3,
+    description: 'Remember the URL each item was created on',
+    up(item, pageUrl) {
+      return item.sourceUrl ? item : { ...item, sourceUrl: pageUrl };
+    }
+  },
+  {
+    version: 4,
+    description: 'Track when each item was last edited',
+    up(item) {
+      return item.updatedAt ? item : { ...item, updatedAt: item.createdAt || '' };
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Reads the version of a backup file ('1.0' for exports made before
+ * versions were numbers)
+ * @param {number|string|undefined} version
+ * @returns {number}
+ */
+function parseSchemaVersion(version) {
+  const parsed = parseInt(version, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 1;
+}
+
+/**
+ * Runs every migration newer than `fromVersion` over one item
+ * @param {Object} item - Stored or imported highlight item
+ * @param {string} pageUrl - Key of the page the item belongs to
+ * @param {number} fromVersion - Schema version the item was written with
+ * @returns {Object} The upgraded item
+ */
+function migrateItem(item, pageUrl, fromVersion) {
+  return MIGRATIONS
+    .filter(step => step.version > fromVersion)
+    .reduce((migrated, step) => step.up(migrated, pageUrl), item);
+}
+
+/**
+ * Upgrades highlights grouped by page (the backup layout)
+ * @param {Object} highlights - `{ [url]: { title, items } }`
+ * @param {number} fromVersion - Schema version of the data
+ * @returns {Object} Upgraded copy in the same layout
+ */
+function migrateHighlights(highlights, fromVersion) {
+  const migrated = {};
+  for (const [url, pageData] of Object.entries(highlights || {})) {
+    migrated[url] = {
+      title: pageData?.title || '',
+      items: (pageData?.items || []).map(item => migrateItem(item, url, fromVersion))
+    };
+  }
+  return migrated;
+}
+
+/**
+ * Brings stored records up to SCHEMA_VERSION. Runs inside getDatabase(),
+ * so no other storage operation sees records of an older version.
+ * @param {IDBDatabase} db
+ * @returns {Promise<number>} Number of records rewritten
+ */
+async function migrateStoredHighlights(db) {
+  const result = await chrome.storage.local.get(STORAGE_KEY_SCHEMA_VERSION);
+  const fromVersion = result[STORAGE_KEY_SCHEMA_VERSION] || 1;
+  if (fromVersion >= SCHEMA_VERSION) return 0;
+
+  const rewritten = await runTransaction([STORE_HIGHLIGHTS, STORE_TAGS], 'readwrite', async tx => {
+    const highlightStore = tx.objectStore(STORE_HIGHLIGHTS);
+    const records = await promisifyRequest(highlightStore.getAll());
+    const tags = [];
+
+    records.forEach(record => {
+      const item = migrateItem(toItem(record), record.url, fromVersion);
+      highlightStore.put(toRecord(item, record.url));
+      tags.push(...(item.tags || []));
+    });
+
+    await refreshTagCounts(tx, tags);
+    return records.length;
+  }, db);
+
+  await chrome.storage.local.set({ [STORAGE_KEY_SCHEMA_VERSION]: SCHEMA_VERSION });
+  if (rewritten > 0) {
+    console.log(`Migrated ${rewritten} highlights from schema v${fromVersion} to v${SCHEMA_VERSION}`);
+  }
+  return rewritten;
+}
+
+// ============================================
+// STORAGE OPERATIONS
+// ============================================
+
+/**
+ * Retrieves highlights for a specific URL
+ * @param {string} url - The page URL to get highlights for
+ * @returns {Promise<{title: string, items: Array}>} Page data with title and highlight items
+ */
+async function getHighlightsForUrl(url) {
+  const key = await normalizeUrl(url);
+  return runTransaction([STORE_PAGES, STORE_HIGHLIGHTS], 'readonly', async tx => {
+    const page = await promisifyRequest(tx.objectStore(STORE_PAGES).get(key));
+    const records = await promisifyRequest(tx.objectStore(STORE_HIGHLIGHTS).index('url').getAll(key));
+    return { title: page?.title || '', items: records.map(toItem).sort(byCreatedAt) };
+  });
+}
+
+/**
+ * Adds a new highlight to a page
+ * @param {string} url - The page URL
+ * @param {string} title - The page title
+ * @param {Object} highlightData - The highlight data object
+ * @returns {Promise<Object>} The change made (see OPERATION LOG)
+ */
+async function addHighlight(url, title, highlightData) {
+  const key = await normalizeUrl(url);
+  return runTransaction([STORE_PAGES, STORE_HIGHLIGHTS, STORE_TAGS], 'readwrite', async tx => {
+    const pageStore = tx.objectStore(STORE_PAGES);
+    const page = await promisifyRequest(pageStore.get(key));
+    const pageTitle = title || page?.title || '';
+    const item = { ...highlightData, updatedAt: highlightData.createdAt || new Date().toISOString() };
+    pageStore.put({ url: key, title: pageTitle });
+    tx.objectStore(STORE_HIGHLIGHTS).put(toRecord(item, key));
+    await refreshTagCounts(tx, item.tags || []);
+    return { id: item.id, url: key, title: pageTitle, before: null, after: item };
+  });
+}
+
+/**
+ * Moves a highlight to the trash
+ * @param {string} url - The page URL
+ * @param {string} highlightId - The highlight ID to remove
+ * @returns {Promise<Object|null>} The change made, null if nothing was removed
+ */
+async function removeHighlight(url, highlightId) {
+  const key = await normalizeUrl(url);
+  return runTransaction([STORE_PAGES, STORE_HIGHLIGHTS, STORE_TAGS, STORE_TRASH], 'readwrite', async tx => {
+    const highlightStore = tx.objectStore(STORE_HIGHLIGHTS);
+    const record = await promisifyRequest(highlightStore.get(highlightId));
+    if (!record || record.url !== key) return null;
+
+    const page = await promisifyRequest(tx.objectStore(STORE_PAGES).get(key));
+    const title = page?.title || '';
+    const deleted = { ...toItem(record), deletedAt: new Date().toISOString() };
+
+    highlightStore.delete(highlightId);
+    tx.objectStore(STORE_TRASH).put(toTrashRecord(deleted, key, title));
+    await prunePage(tx, key);
+    await refreshTagCounts(tx, record.tags || []);
+    return { id: highlightId, url: key, title, before: toItem(record), after: deleted };
+  });
+}
+
+/**
+ * Updates an existing highlight
+ * @param {string} url - The page URL
+ * @param {string} highlightId - The highlight ID to update
+ * @param {Object} updates - Object containing properties to update
+ * @returns {Promise<Object|null>} The change made, null if the highlight was not found
+ */
+async function updateHighlight(url, highlightId, updates) {
+  const key = await normalizeUrl(url);
+  return runTransaction([STORE_PAGES, STORE_HIGHLIGHTS, STORE_TAGS], 'readwrite', async tx => {
+    const highlightStore = tx.objectStore(STORE_HIGHLIGHTS);
+    const record = await promisifyRequest(highlightStore.get(highlightId));
+    if (!record || record.url !== key) return null;
+
+    const updated = { ...record, ...updates, id: highlightId, url: key, updatedAt: new Date().toISOString() };
+    highlightStore.put(updated);
+    if ('tags' in updates) {
+      await refreshTagCounts(tx, [...(record.tags || []), ...(updated.tags || [])]);
+    }
+
+    const page = await promisifyRequest(tx.objectStore(STORE_PAGES).get(key));
+    return { id: highlightId, url: key, title: page?.title || '', before: toItem(record), after: toItem(updated) };
+  });
+}
+
+// Pages report placements on every load; lastAnchoredAt is only refreshed
+// this often unless the orphaned flag changes
+const ANCHORED_AT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Records which highlights the content script could (not) place on the page
+ * @param {string} url - The page URL
+ * @param {string[]} anchoredIds - IDs that were placed
+ * @param {string[]} orphanedIds - IDs that could not be placed
+ * @returns {Promise<{orphanedCount: number, changed: boolean}>} Number of
+ *   orphaned highlights on the page, and whether any orphaned flag flipped
+ */
+async function updateAnchoringStatus(url, anchoredIds, orphanedIds) {
+  const key = await normalizeUrl(url);
+  const anchored = new Set(anchoredIds);
+  const orphaned = new Set(orphanedIds);
+  const now = Date.now();
+  let changed = false;
+
+  const orphanedCount = await runTransaction([STORE_HIGHLIGHTS], 'readwrite', async tx => {
+    const highlightStore = tx.objectStore(STORE_HIGHLIGHTS);
+    const records = await promisifyRequest(highlightStore.index('url').getAll(key));
+
+    return records.filter(record => {
+      if (anchored.has(record.id)) {
+        // Also true when it was never recorded (NaN)
+        const stale = !(now - Date.parse(record.lastAnchoredAt) < ANCHORED_AT_INTERVAL_MS);
+        if (record.orphaned || stale) {
+          highlightStore.put({ ...record, orphaned: false, lastAnchoredAt: new Date(now).toISOString() });
+        }
+        if (record.orphaned) changed = true;
+        return false;
+      }
+      if (orphaned.has(record.id)) {
+        if (!record.orphaned) {
+          highlightStore.put({ ...record, orphaned: true });
+          changed = true;
+        }
+        return true;
+      }
+      return record.orphaned;
+    }).length;
+  });
+
+  return { orphanedCount, changed };
+}
+
+/**
+ * Lists highlights across all pages, newest first, one page of results
+ * at a time
+ * @param {number} offset - Number of highlights to skip
+ * @param {number} limit - Maximum number of highlights to return
+ * @returns {Promise<{highlights: Object, total: number, nextOffset: number|null}>}
+ *   Highlights grouped by page key, and the offset of the next batch (null when done)
+ */
+async function queryHighlights(offset, limit) {
+  return runTransaction([STORE_PAGES, STORE_HIGHLIGHTS], 'readonly', async tx => {
+    const pageStore = tx.objectStore(STORE_PAGES);
+    const index = tx.objectStore(STORE_HIGHLIGHTS).index('createdAt');
+    const total = await promisifyRequest(index.count());
+    const records = [];
+
+    if (offset < total && limit > 0) {
+      const request = index.openCursor(null, 'prev');
+      let skipped = offset === 0;
+      await new Promise((resolve, reject) => {
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return resolve();
+          if (!skipped) {
+            skipped = true;
+            return cursor.advance(offset);
+          }
+          records.push(cursor.value);
+          if (records.length >= limit) return resolve();
+          cursor.continue();
+        };
+      });
+    }
+
+    const highlights = {};
+    for (const record of records) {
+      if (!highlights[record.url]) {
+        const page = await promisifyRequest(pageStore.get(record.url));
+        highlights[record.url] = { title: page?.title || '', items: [] };
+      }
+      highlights[record.url].items.push(toItem(record));
+    }
+
+    const nextOffset = offset + records.length;
+    return { highlights, total, nextOffset: nextOffset < total && records.length > 0 ? nextOffset : null };
+  });
+}
+
+/**
+ * Lists what importing would add and which highlights conflict
+ * @param {Object} highlights - Highlights grouped by page key
+ * @returns {Promise<{additions: Array, conflicts: Array, unchanged: number}>}
+ */
+async function previewImport(highlights) {
+  return runTransaction([STORE_PAGES, STORE_HIGHLIGHTS], 'readonly', tx => planMerge(tx, highlights));
+}
+
+/**
+ * Merges imported highlights into storage
+ * @param {Object} highlights - Highlights grouped by page key
+ * @param {'newest'|'local'|'imported'} strategy - Copy to keep on conflicts
+ * @param {Object} [resolutions] - Per-item choices by imported ID
+ * @returns {Promise<Array>} Changes for the added and replaced items
+ */
+async function importHighlights(highlights, strategy, resolutions) {
+  return runTransaction([STORE_PAGES, STORE_HIGHLIGHTS, STORE_TAGS], 'readwrite', tx =>
+    mergeHighlights(tx, highlights, conflict => resolveConflict(conflict, strategy, resolutions)));
+}
+
+/**
+ * Upgrades and re-keys the highlights of every imported file into one map
+ * @param {Array<{highlights: Object, version: (number|string)}>} sources
+ * @returns {Promise<Object|null>} Highlights grouped by page key, null if a
+ *   source was written by a newer version
+ */
+async function prepareImport(sources) {
+  if (sources.some(source => parseSchemaVersion(source.version) > SCHEMA_VERSION)) {
+    return null;
+  }
+
+  const migrated = {};
+  sources.forEach(source => {
+    const pages = migrateHighlights(source.highlights, parseSchemaVersion(source.version));
+    for (const [url, pageData] of Object.entries(pages)) {
+      if (!migrated[url]) migrated[url] = { title: pageData.title, items: [] };
+      migrated[url].items.push(...pageData.items);
+    }
+  });
+
+  // Backups may have been keyed with other rules
+  const settings = await getSettings();
+  return rekeyGroupedHighlights(migrated, settings.urlRules);
+}
+
+/**
+ * Moves every highlight to the trash
+ * @returns {Promise<Array>} Changes for the deleted items
+ */
+async function clearAllHighlights() {
+  return runTransaction([STORE_PAGES, STORE_HIGHLIGHTS, STORE_TAGS, STORE_TRASH], 'readwrite', async tx => {
+    const pages = await promisifyRequest(tx.objectStore(STORE_PAGES).getAll());
+    const records = await promisifyRequest(tx.objectStore(STORE_HIGHLIGHTS).getAll());
+    const titles = new Map(pages.map(page => [page.url, page.title]));
+    const deletedAt = new Date().toISOString();
+
+    tx.objectStore(STORE_PAGES).clear();
+    tx.objectStore(STORE_HIGHLIGHTS).clear();
+    tx.objectStore(STORE_TAGS).clear();
+
+    return records.map(record => {
+      const title = titles.get(record.url) || '';
+      const deleted = { ...toItem(record), deletedAt };
+      tx.objectStore(STORE_TRASH).put(toTrashRecord(deleted, record.url, title));
+      return { id: record.id, url: record.url, title, before: toItem(record), after: deleted };
+    });
+  });
+}
+
+/**
+ * Re-keys backup data (grouped by the keys of the exporting browser) with
+ * the given rules, the same way rekeyHighlights does for stored pages
+ * @param {Object} highlights - Highlights grouped by page key
+ * @param {Object} rules - URL rules from settings
+ * @returns {Object} Highlights grouped by the new keys
+ */
+function rekeyGroupedHighlights(highlights, rules) {
+  const rekeyed = {};
+  for (const [url, pageData] of Object.entries(highlights)) {
+    pageData.items.forEach(item => {
+      const key = computePageKey(item.sourceUrl || url, item.canonicalUrl || null, rules);
+      if (!rekeyed[key]) rekeyed[key] = { title: '', items: [] };
+      if (!rekeyed[key].title) rekeyed[key].title = pageData.title;
+      rekeyed[key].items.push(item);
+    });
+  }
+  return rekeyed;
+}
+
+/**
+ * Gets extension settings with defaults
+ * @returns {Promise<Object>} Settings object with defaults applied
+ */
+async function getSettings() {
+  const result = await chrome.storage.local.get(STORAGE_KEY_SETTINGS);
+  return { ...DEFAULT_SETTINGS, ...result[STORAGE_KEY_SETTINGS] };
+}
+
+/**
+ * Gets only the settings the content script uses, so sync credentials and
+ * other private values never reach a page's process
+ * @returns {Promise<Object>} Subset of the settings
+ */
+async function getContentSettings() {
+  const settings = await getSettings();
+  return Object.fromEntries(CONTENT_SETTINGS_KEYS.map(key => [key, settings[key]]));
+}
+
+/**
+ * Updates extension settings
+ * @param {Object} updates - Object containing settings to update
+ * @returns {Promise<Object>} Updated settings object
+ */
+async function updateSettings(updates) {
+  const settings = await getSettings();
+  const newSettings = { ...settings, ...updates };
+  await chrome.storage.local.set({ [STORAGE_KEY_SETTINGS]: newSettings });
+  return newSettings;
+}
+
+// ============================================
+// OPERATION LOG (undo / redo)
+// ============================================
+// Every user edit is logged as a list of changes
+//   { id, url, title, before, after }
+// where `before`/`after` are the item before and after the edit (null when
+// it did not exist). Undo writes back `before`, redo writes back `after`.
+// Entries are scoped to a page key; bulk edits from the dashboard use
+// GLOBAL_SCOPE. An entry moves between the 'undo' and 'redo' stacks and
+// gets a new seq each time, so seq order is stack order.
+
+const GLOBAL_SCOPE = '*';
+const MAX_UNDO_STEPS = 50; // per scope
+
+async function getScopeEntries(tx, scope, stack) {
+  const entries = await promisifyRequest(tx.objectStore(STORE_OPERATIONS).index('scope').getAll(scope));
+  return entries.filter(entry => entry.stack === stack).sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Logs an undoable operation and drops the scope's redo history
+ * @param {string} scope - Page key, or GLOBAL_SCOPE
+ * @param {string} action - 'create', 'delete', 'update', 'clear' or 'import'
+ * @param {Array} changes - Changes returned by the storage operations
+ * @returns {Promise<number|null>} Operation ID, null when nothing changed
+ */
+async function logOperation(scope, action, changes) {
+  const validChanges = changes.filter(Boolean);
+  if (validChanges.length === 0) return null;
+
+  const operationId = await runTransaction([STORE_OPERATIONS, STORE_SYNC_QUEUE], 'readwrite', async tx => {
+    const operations = tx.objectStore(STORE_OPERATIONS);
+    const redo = await getScopeEntries(tx, scope, 'redo');
+    const undo = await getScopeEntries(tx, scope, 'undo');
+
+    redo.forEach(entry => operations.delete(entry.seq));
+    undo.slice(0, Math.max(0, undo.length - MAX_UNDO_STEPS + 1)).forEach(entry => operations.delete(entry.seq));
+    queueSyncEntries(tx, validChanges, 'after');
+
+    return promisifyRequest(operations.add({
+      scope,
+      stack: 'undo',
+      action,
+      changes: validChanges,
+      createdAt: new Date().toISOString()
+    }));
+  });
+
+  requestSync().catch(e => console.warn('Could not schedule sync:', e));
+  return operationId;
+}
+
+// Logs a single-item change in its page's scope
+async function logChange(action, change) {
+  return change ? logOperation(change.url, action, [change]) : null;
+}
+
+/**
+ * Writes one side of each change back to storage. A side with deletedAt
+ * goes to the trash, a null side is removed for good.
+ * @param {IDBTransaction} tx - readwrite transaction over all stores
+ * @param {Array} changes
+ * @param {'before'|'after'} side
+ */
+async function applyChanges(tx, changes, side) {
+  const pageStore = tx.objectStore(STORE_PAGES);
+  const highlightStore = tx.objectStore(STORE_HIGHLIGHTS);
+  const trashStore = tx.objectStore(STORE_TRASH);
+  const tags = [];
+  const prunedUrls = new Set();
+
+  for (const change of changes) {
+    const existing = await promisifyRequest(highlightStore.get(change.id));
+    const target = change[side];
+    tags.push(...(existing?.tags || []), ...(target?.tags || []));
+
+    if (target && !target.deletedAt) {
+      highlightStore.put(toRecord(target, change.url));
+      trashStore.delete(change.id);
+      const page = await promisifyRequest(pageStore.get(change.url));
+      if (!page) pageStore.put({ url: change.url, title: change.title || '' });
+      if (existing && existing.url !== change.url) prunedUrls.add(existing.url);
+      continue;
+    }
+
+    if (existing) {
+      highlightStore.delete(change.id);
+      prunedUrls.add(existing.url);
+    }
+    if (target) {
+      trashStore.put(toTrashRecord(target, change.url, change.title || ''));
+    } else {
+      trashStore.delete(change.id);
+    }
+  }
+
+  for (const url of prunedUrls) {
+    await prunePage(tx, url);
+  }
+  await refreshTagCounts(tx, tags);
+}
+
+/**
+ * Undoes or redoes an operation: the given one, or else the latest of the scope
+ * @param {'undo'|'redo'} stack - Stack to take the entry from
+ * @param {Object} target - `{ operationId }` or `{ scope }`
+ * @returns {Promise<Object|null>} `{ action, operationId, pageUrls }`, null if there was nothing to do
+ */
+async function replayOperation(stack, { operationId, scope }) {
+  const stores = [STORE_PAGES, STORE_HIGHLIGHTS, STORE_TAGS, STORE_TRASH, STORE_OPERATIONS, STORE_SYNC_QUEUE];
+  const result = await runTransaction(stores, 'readwrite', async tx => {
+    const operations = tx.objectStore(STORE_OPERATIONS);
+    let entry = null;
+    if (operationId) {
+      entry = await promisifyRequest(operations.get(operationId));
+      if (entry?.stack !== stack) entry = null;
+    } else {
+      entry = (await getScopeEntries(tx, scope, stack)).pop() || null;
+    }
+    if (!entry) return null;
+
+    const side = stack === 'undo' ? 'before' : 'after';
+    await applyChanges(tx, entry.changes, side);
+    queueSyncEntries(tx, entry.changes, side);
+
+    operations.delete(entry.seq);
+    const moved = { ...entry, stack: stack === 'undo' ? 'redo' : 'undo' };
+    delete moved.seq;
+    const newId = await promisifyRequest(operations.add(moved));
+
+    return {
+      action: entry.action,
+      operationId: newId,
+      pageUrls: [...new Set(entry.changes.map(change => change.url))]
+    };
+  });
+
+  if (result) requestSync().catch(e => console.warn('Could not schedule sync:', e));
+  return result;
+}
+
+/**
+ * Tells tabs showing the given pages to re-place their highlights
+ * @param {string[]|null} pageUrls - Page keys, null for every tab
+ * @returns {Promise<void>}
+ */
+async function refreshTabs(pageUrls) {
+  const keys = pageUrls ? new Set(pageUrls) : null;
+  const tabs = await chrome.tabs.query({});
+
+  for (const tab of tabs) {
+    if (!tab.url || !tab.id) continue;
+    if (keys && !keys.has(await normalizeUrl(tab.url))) continue;
+    chrome.tabs.sendMessage(tab.id, { type: 'REFRESH_HIGHLIGHTS' }).catch(() => { });
+  }
+  notifyPageChanged();
+}
+
+// Open side panels reload the page they show
+function notifyPageChanged() {
+  chrome.runtime.sendMessage({ type: 'PAGE_HIGHLIGHTS_CHANGED' }).catch(() => { });
+}
+
+// ============================================
+// TRASH
+// ============================================
+
+const TRASH_PURGE_ALARM = 'purge-trash';
+const TRASH_PURGE_INTERVAL_MINUTES = 6 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lists trashed highlights, most recently deleted first
+ * @returns {Promise<Array>} Items with their page `url`, `pageTitle` and `deletedAt`
+ */
+async function getTrash() {
+  return runTransaction([STORE_TRASH], 'readonly', async tx => {
+    const records = await promisifyRequest(tx.objectStore(STORE_TRASH).getAll());
+    return records.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  });
+}
+
+/**
+ * Puts trashed highlights back on their pages
+ * @param {string[]} ids - Highlight IDs
+ * @returns {Promise<Array>} Changes made (undoable like any other edit)
+ */
+async function restoreFromTrash(ids) {
+  const stores = [STORE_PAGES, STORE_HIGHLIGHTS, STORE_TAGS, STORE_TRASH];
+  return runTransaction(stores, 'readwrite', async tx => {
+    const changes = [];
+    for (const id of ids) {
+      const record = await promisifyRequest(tx.objectStore(STORE_TRASH).get(id));
+      if (!record) continue;
+
+      const trashed = fromTrashRecord(record);
+      const restored = { ...trashed };
+      delete restored.deletedAt;
+      changes.push({ id, url: record.url, title: record.pageTitle || '', before: trashed, after: restored });
+    }
+
+    await applyChanges(tx, changes, 'after');
+    return changes;
+  });
+}
+
+// Undo entries must not bring back items that were deleted for good
+async function forgetOperations(tx, ids) {
+  const operations = tx.objectStore(STORE_OPERATIONS);
+  const entries = await promisifyRequest(operations.getAll());
+
+  entries.forEach(entry => {
+    const changes = entry.changes.filter(change => !ids.has(change.id));
+    if (changes.length === entry.changes.length) return;
+    if (changes.length === 0) {
+      operations.delete(entry.seq);
+    } else {
+      operations.put({ ...entry, changes });
+    }
+  });
+}
+
+/**
+ * Permanently deletes trashed highlights
+ * @param {string[]|null} ids - Highlight IDs, null for the whole trash
+ * @returns {Promise<number>} Number of items deleted
+ */
+async function deleteFromTrash(ids) {
+  return runTransaction([STORE_TRASH, STORE_OPERATIONS], 'readwrite', async tx => {
+    const trashStore = tx.objectStore(STORE_TRASH);
+    const keys = ids || await promisifyRequest(trashStore.getAllKeys());
+    const deleted = new Set();
+
+    for (const id of keys) {
+      const exists = await promisifyRequest(trashStore.getKey(id));
+      if (exists === undefined) continue;
+      trashStore.delete(id);
+      deleted.add(id);
+    }
+
+    if (deleted.size > 0) await forgetOperations(tx, deleted);
+    return deleted.size;
+  });
+}
+
+/**
+ * Permanently deletes items that have been in the trash longer than the
+ * retention period from settings
+ * @returns {Promise<number>} Number of items purged
+ */
+async function purgeTrash() {
+  const settings = await getSettings();
+  const days = Number(settings.trashRetentionDays);
+  if (!days || days <= 0) return 0;
+
+  const cutoff = new Date(Date.now() - days * DAY_MS).toISOString();
+  const expired = await runTransaction([STORE_TRASH], 'readonly', tx =>
+    promisifyRequest(tx.objectStore(STORE_TRASH).index('deletedAt').getAllKeys(IDBKeyRange.upperBound(cutoff)))
+  );
+  if (expired.length === 0) return 0;
+
+  const purged = await deleteFromTrash(expired);
+  console.log(`Purged ${purged} highlights from the trash`);
+  return purged;
+}
+
+async function scheduleTrashPurge() {
+  const alarm = await chrome.alarms.get(TRASH_PURGE_ALARM);
+  if (!alarm) {
+    chrome.alarms.create(TRASH_PURGE_ALARM, { delayInMinutes: 1, periodInMinutes: TRASH_PURGE_INTERVAL_MINUTES });
+  }
+}
+
+// ============================================
+// SNAPSHOTS
+// ============================================
+
+const SNAPSHOT_ALARM = 'snapshot';
+// The alarm only checks whether a snapshot is due, so one missed while the
+// browser was closed is taken soon after it starts again
+const SNAPSHOT_CHECK_INTERVAL_MINUTES = 60;
+const SNAPSHOT_INTERVALS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const SNAPSHOT_DOWNLOAD_FOLDER = 'Highlighter';
+
+/**
+ * Reads every page and highlight in the backup (export file) layout
+ * @returns {Promise<{version: number, exportedAt: string, highlights: Object}>}
+ */
+async function exportAllHighlights() {
+  return runTransaction([STORE_PAGES, STORE_HIGHLIGHTS], 'readonly', async tx => {
+    const pages = await promisifyRequest(tx.objectStore(STORE_PAGES).getAll());
+    const records = await promisifyRequest(tx.objectStore(STORE_HIGHLIGHTS).getAll());
+    const titles = new Map(pages.map(page => [page.url, page.title]));
+
+    const highlights = {};
+    records.sort(byCreatedAt).forEach(record => {
+      if (!highlights[record.url]) highlights[record.url] = { title: titles.get(record.url) || '', items: [] };
+      highlights[record.url].items.push(toItem(record));
+    });
+    return { version: SCHEMA_VERSION, exportedAt: new Date().toISOString(), highlights };
+  });
+}
+
+// Snapshot list entries leave out the data
+function toSnapshotSummary(record) {
+  return { id: record.id, createdAt: record.createdAt, reason: record.reason, pages: record.pages, count: record.count };
+}
+
+/**
+ * Lists snapshots, newest first
+ * @returns {Promise<Array>} Summaries `{ id, createdAt, reason, pages, count }`
+ */
+async function getSnapshots() {
+  return runTransaction([STORE_SNAPSHOTS], 'readonly', async tx => {
+    const records = await promisifyRequest(tx.objectStore(STORE_SNAPSHOTS).getAll());
+    return records.map(toSnapshotSummary).sort((a, b) => b.id - a.id);
+  });
+}
+
+async function getSnapshot(id) {
+  return runTransaction([STORE_SNAPSHOTS], 'readonly', tx =>
+    promisifyRequest(tx.objectStore(STORE_SNAPSHOTS).get(id))
+  );
+}
+
+// Keeps the newest `keep` snapshots (keys grow with every snapshot)
+async function pruneSnapshots(tx, keep) {
+  const store = tx.objectStore(STORE_SNAPSHOTS);
+  const keys = await promisifyRequest(store.getAllKeys());
+  keys.slice(0, Math.max(0, keys.length - keep)).forEach(key => store.delete(key));
+}
+
+/**
+ * Saves all highlights as a snapshot, dropping the oldest beyond the
+ * number to keep from settings
+ * @param {'scheduled'|'manual'} reason
+ * @returns {Promise<Object|null>} The snapshot record, null when there is nothing to back up
+ */
+async function createSnapshot(reason) {
+  const settings = await getSettings();
+  const data = await exportAllHighlights();
+  const pages = Object.values(data.highlights);
+  if (pages.length === 0) return null;
+
+  const record = {
+    createdAt: data.exportedAt,
+    reason,
+    pages: pages.length,
+    count: pages.reduce((sum, page) => sum + page.items.length, 0),
+    data
+  };
+
+  return runTransaction([STORE_SNAPSHOTS], 'readwrite', async tx => {
+    record.id = await promisifyRequest(tx.objectStore(STORE_SNAPSHOTS).add(record));
+    await pruneSnapshots(tx, Math.max(1, Number(settings.backupKeepCount) || DEFAULT_SETTINGS.backupKeepCount));
+    return record;
+  });
+}
+
+/**
+ * Saves a snapshot to the downloads folder, where it survives a reinstall
+ * @param {Object} data - Snapshot data in the backup layout
+ */
+async function downloadSnapshot(data) {
+  const json = JSON.stringify(data, null, 2);
+  // Service workers (Chromium) have no object URLs
+  const url = typeof URL.createObjectURL === 'function'
+    ? URL.createObjectURL(new Blob([json], { type: 'application/json' }))
+    : 'data:application/json;charset=utf-8,' + encodeURIComponent(json);
+
+  try {
+    await chrome.downloads.download({
+      url,
+      filename: `${SNAPSHOT_DOWNLOAD_FOLDER}/highlighter-snapshot-${data.exportedAt.slice(0, 10)}.json`,
+      conflictAction: 'uniquify',
+      saveAs: false
+    });
+  } finally {
+    if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+  }
+}
+
+// Takes a scheduled snapshot if the last one is older than the schedule's interval
+async function runScheduledSnapshot() {
+  const settings = await getSettings();
+  const interval = SNAPSHOT_INTERVALS[settings.backupSchedule];
+  if (!interval) return null;
+
+  const latest = (await getSnapshots()).find(snapshot => snapshot.reason === 'scheduled');
+  if (latest && Date.now() - Date.parse(latest.createdAt) < interval) return null;
+
+  const snapshot = await createSnapshot('scheduled');
+  // Sealed notes would be lost in the file, so a locked snapshot stays inside
+  if (snapshot && settings.backupDownload && !await isLocked()) {
+    await downloadSnapshot({ ...snapshot.data, highlights: await openGroupedForReading(snapshot.data.highlights) });
+  }
+  return snapshot;
+}
+
+/**
+ * Replaces the current highlights with those of a snapshot. Highlights the
+ * snapshot does not have go to the trash, and the whole restore is one
+ * undoable operation.
+ * @param {number} id - Snapshot ID
+ * @returns {Promise<Array|null>} Changes made, null if the snapshot does not exist
+ */
+async function restoreSnapshot(id) {
+  const snapshot = await getSnapshot(id);
+  if (!snapshot) return null;
+
+  // Snapshots may predate the current schema or URL rules
+  const settings = await getSettings();
+  const target = rekeyGroupedHighlights(
+    migrateHighlights(snapshot.data.highlights, parseSchemaVersion(snapshot.data.version)),
+    settings.urlRules
+  );
+
+  const stores = [STORE_PAGES, STORE_HIGHLIGHTS, STORE_TAGS, STORE_TRASH];
+  return runTransaction(stores, 'readwrite', async tx => {
+    const pages = await promisifyRequest(tx.objectStore(STORE_PAGES).getAll());
+    const records = await promisifyRequest(tx.objectStore(STORE_HIGHLIGHTS).getAll());
+    const titles = new Map(pages.map(page => [page.url, page.title]));
+    const current = new Map(records.map(record => [record.id, record]));
+    const deletedAt = new Date().toISOString();
+    const changes = [];
+
+    for (const [url, pageData] of Object.entries(target)) {
+      for (const item of pageData.items) {
+        const record = current.get(item.id);
+        current.delete(item.id);
+        if (record && record.url === url && sameContent(record, item)) continue;
+        changes.push({ id: item.id, url, title: pageData.title, before: record ? toItem(record) : null, after: item });
+      }
+    }
+
+    for (const record of current.values()) {
+      const before = toItem(record);
+      changes.push({ id: record.id, url: record.url, title: titles.get(record.url) || '', before, after: { ...before, deletedAt } });
+    }
+
+    await applyChanges(tx, changes, 'after');
+    return changes;
+  });
+}
+
+async function scheduleSnapshots() {
+  const alarm = await chrome.alarms.get(SNAPSHOT_ALARM);
+  if (!alarm) {
+    chrome.alarms.create(SNAPSHOT_ALARM, { delayInMinutes: 1, periodInMinutes: SNAPSHOT_CHECK_INTERVAL_MINUTES });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TRASH_PURGE_ALARM) {
+    purgeTrash().catch(e => console.warn('Trash purge failed:', e));
+  }
+  if (alarm.name === SNAPSHOT_ALARM) {
+    runScheduledSnapshot().catch(e => console.warn('Scheduled snapshot failed:', e));
+  }
+  if (alarm.name === SYNC_ALARM) {
+    syncNow().catch(e => console.warn('Sync failed:', e));
+  }
+  if (alarm.name === LOCK_ALARM) {
+    lockNow().catch(e => console.warn('Auto-lock failed:', e));
+  }
+});
+
+// ============================================
+// PRIVATE NOTES (lock)
+// ============================================
+// With the lock on, notes (and optionally quotes) are sealed before they
+// reach any store, so highlights, trash, undo history, snapshots and the
+// sync queue only hold
+//   SEALED_PREFIX + base64(iv + AES-GCM ciphertext)
+// The IV is an HMAC of the text: the same text always seals to the same
+// value, so merges, snapshot restores and sync still compare fields as
+// before. Keys are derived from the passphrase on unlock and kept in memory
+// and chrome.storage.session (never on disk) until the auto-lock. While
+// locked, pages still get positions to place highlights, but no private text.
+
+const SESSION_KEY_LOCK = 'lockKeys';
+const LOCK_ALARM = 'auto-lock';
+const LOCK_PBKDF2_ITERATIONS = 600000;
+const LOCK_CHECK_TEXT = 'highlighter-lock'; // sealed into the lock config to check passphrases
+const SEALED_PREFIX = 'sealed:1:';
+
+// Item fields with page text, sealed only when quotes are locked too
+const QUOTE_FIELDS = ['quote', 'prefix', 'suffix'];
+const QUOTE_SELECTOR_FIELDS = ['exact', 'prefix', 'suffix'];
+
+// { aes, mac, raw, expiresAt } while unlocked
+let lockKeys = null;
+
+async function deriveLockBits(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512);
+  return new Uint8Array(bits);
+}
+
+// The first half encrypts, the second derives IVs
+async function importLockKeys(raw) {
+  const [aes, mac] = await Promise.all([
+    crypto.subtle.importKey('raw', raw.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+    crypto.subtle.importKey('raw', raw.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  ]);
+  return { aes, mac };
+}
+
+function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+}
+
+async function sealText(keys, text) {
+  if (typeof text !== 'string' || !text || isSealed(text)) return text;
+
+  const data = new TextEncoder().encode(text);
+  const iv = new Uint8Array(await crypto.subtle.sign('HMAC', keys.mac, data)).slice(0, 12);
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keys.aes, data));
+  const sealed = new Uint8Array(iv.length + ciphertext.length);
+  sealed.set(iv);
+  sealed.set(ciphertext, iv.length);
+  return SEALED_PREFIX + self.encryption.toBase64(sealed);
+}
+
+async function openText(keys, text) {
+  if (!isSealed(text)) return text;
+  try {
+    const bytes = self.encryption.fromBase64(text.slice(SEALED_PREFIX.length));
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.subarray(0, 12) }, keys.aes, bytes.subarray(12));
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Maps the private fields of an item (or of updates to one)
+ * @param {Object|null} item
+ * @param {boolean} quotes - Include the quote fields
+ * @param {function(string): Promise<string>} map
+ * @returns {Promise<Object|null>} Mapped copy
+ */
+async function mapPrivateFields(item, quotes, map) {
+  if (!item) return item;
+
+  const mapped = { ...item };
+  for (const field of quotes ? ['note', ...QUOTE_FIELDS] : ['note']) {
+    if (field in mapped) mapped[field] = await map(mapped[field]);
+  }
+  if (quotes && Array.isArray(mapped.selectors)) {
+    mapped.selectors = await Promise.all(mapped.selectors.map(async selector => {
+      if (selector?.type !== 'TextQuoteSelector') return selector;
+      const copy = { ...selector };
+      for (const field of QUOTE_SELECTOR_FIELDS) {
+        if (field in copy) copy[field] = await map(copy[field]);
+      }
+      return copy;
+    }));
+  }
+  return mapped;
+}
+
+function sealItem(item, keys, quotes) {
+  return mapPrivateFields(item, quotes, text => sealText(keys, text));
+}
+
+// Sealed values mark themselves, so every field is tried
+function openItem(item, keys) {
+  return mapPrivateFields(item, true, text => openText(keys, text));
+}
+
+// What pages and lists get while locked: no private text, and no quote
+// selector to anchor with once the quote is gone
+async function hideItem(item) {
+  const hidden = await mapPrivateFields(item, true, async text => isSealed(text) ? '' : text);
+  if (Array.isArray(hidden.selectors)) {
+    hidden.selectors = hidden.selectors.filter(selector => selector?.type !== 'TextQuoteSelector' || selector.exact);
+  }
+  return { ...hidden, locked: true };
+}
+
+/**
+ * @returns {Promise<Object|null>} `{ salt, iterations, check, quotes }`, null when the lock is off
+ */
+async function getLockConfig() {
+  const result = await chrome.storage.local.get(STORAGE_KEY_LOCK);
+  return result[STORAGE_KEY_LOCK] || null;
+}
+
+/**
+ * Keys of the unlocked session
+ * @returns {Promise<Object|null>} null while locked
+ */
+async function getLockKeys() {
+  if (!lockKeys) {
+    // The service worker may have been restarted since the unlock
+    const result = await chrome.storage.session.get(SESSION_KEY_LOCK);
+    const session = result[SESSION_KEY_LOCK];
+    if (session) {
+      lockKeys = { ...await importLockKeys(self.encryption.fromBase64(session.raw)), ...session };
+    }
+  }
+  if (lockKeys?.expiresAt && Date.now() >= lockKeys.expiresAt) {
+    await lockNow();
+  }
+  return lockKeys;
+}
+
+/**
+ * @returns {Promise<{enabled: boolean, quotes: boolean, keys: Object|null}>}
+ */
+async function getLockState() {
+  const config = await getLockConfig();
+  if (!config) return { enabled: false, quotes: false, keys: null };
+  return { enabled: true, quotes: !!config.quotes, keys: await getLockKeys() };
+}
+
+async function isLocked() {
+  const { enabled, keys } = await getLockState();
+  return enabled && !keys;
+}
+
+/**
+ * Lock state for the settings, dashboard and popup
+ * @returns {Promise<Object>} `{ enabled, quotes, unlocked, expiresAt }`
+ */
+async function getLockStatus() {
+  const { enabled, quotes, keys } = await getLockState();
+  return { enabled, quotes, unlocked: !!keys, expiresAt: keys?.expiresAt || null };
+}
+
+// Derives the keys and checks them against the lock config
+async function verifyLockPassphrase(config, passphrase) {
+  const raw = await deriveLockBits(passphrase, self.encryption.fromBase64(config.salt), config.iterations);
+  const keys = await importLockKeys(raw);
+  return await sealText(keys, LOCK_CHECK_TEXT) === config.check ? { ...keys, raw: self.encryption.toBase64(raw) } : null;
+}
+
+// Keeps the keys until the timeout from settings runs out
+async function startLockSession(keys) {
+  const settings = await getSettings();
+  const minutes = Number(settings.lockTimeoutMinutes) || 0;
+  const expiresAt = minutes > 0 ? Date.now() + minutes * 60 * 1000 : null;
+
+  lockKeys = { ...keys, expiresAt };
+  await chrome.storage.session.set({ [SESSION_KEY_LOCK]: { raw: keys.raw, expiresAt } });
+  if (expiresAt) {
+    chrome.alarms.create(LOCK_ALARM, { when: expiresAt });
+  } else {
+    await chrome.alarms.clear(LOCK_ALARM);
+  }
+}
+
+// Pages drop or show note previews, open dashboards and popups reload
+async function notifyLockChanged() {
+  await refreshTabs(null);
+  chrome.runtime.sendMessage({ type: 'LOCK_CHANGED' }).catch(() => { });
+}
+
+async function endLockSession() {
+  lockKeys = null;
+  await chrome.storage.session.remove(SESSION_KEY_LOCK);
+  await chrome.alarms.clear(LOCK_ALARM);
+}
+
+async function lockNow() {
+  const wasUnlocked = !!lockKeys;
+  await endLockSession();
+  if (wasUnlocked) await notifyLockChanged();
+}
+
+// How each store holds items
+const PRIVATE_STORES = {
+  [STORE_HIGHLIGHTS]: (record, reseal) => reseal(record),
+  [STORE_TRASH]: (record, reseal) => reseal(record),
+  [STORE_OPERATIONS]: async (entry, reseal) => ({
+    ...entry,
+    changes: await Promise.all(entry.changes.map(async change => ({
+      ...change,
+      before: await reseal(change.before),
+      after: await reseal(change.after)
+    })))
+  }),
+  [STORE_SNAPSHOTS]: async (record, reseal) => ({
+    ...record,
+    data: { ...record.data, highlights: await mapGroupedItems(record.data.highlights, reseal) }
+  }),
+  [STORE_SYNC_QUEUE]: async (entry, reseal) => ({ ...entry, item: await reseal(entry.item) })
+};
+
+async function mapGroupedItems(highlights, map) {
+  const mapped = {};
+  for (const [url, pageData] of Object.entries(highlights || {})) {
+    mapped[url] = { ...pageData, items: await Promise.all((pageData.items || []).map(map)) };
+  }
+  return mapped;
+}
+
+/**
+ * Rewrites every stored item from one set of keys to another: null
+ * `fromKeys` seals plain text, null `toKeys` leaves it readable. Records
+ * edited while this runs are skipped; they were written with the new keys.
+ * @param {Object|null} fromKeys
+ * @param {Object|null} toKeys
+ * @param {boolean} quotes - Seal the quote fields too
+ * @returns {Promise<number>} Number of records rewritten
+ */
+async function resealStoredData(fromKeys, toKeys, quotes) {
+  const reseal = async item => {
+    const opened = fromKeys ? await openItem(item, fromKeys) : item;
+    return toKeys ? sealItem(opened, toKeys, quotes) : opened;
+  };
+  let rewritten = 0;
+
+  for (const [storeName, transform] of Object.entries(PRIVATE_STORES)) {
+    const records = await runTransaction([storeName], 'readonly', tx =>
+      promisifyRequest(tx.objectStore(storeName).getAll())
+    );
+    const updates = [];
+    for (const record of records) {
+      const next = await transform(record, reseal);
+      const before = JSON.stringify(record);
+      if (JSON.stringify(next) !== before) updates.push({ before, next });
+    }
+    if (updates.length === 0) continue;
+
+    rewritten += await runTransaction([storeName], 'readwrite', async tx => {
+      const store = tx.objectStore(storeName);
+      let count = 0;
+      for (const { before, next } of updates) {
+        const current = await promisifyRequest(store.get(next[store.keyPath]));
+        if (!current || JSON.stringify(current) !== before) continue;
+        store.put(next);
+        count++;
+      }
+      return count;
+    });
+  }
+  return rewritten;
+}
+
+/**
+ * Turns the lock on and seals everything stored so far
+ * @param {string} passphrase
+ * @param {boolean} quotes - Seal quotes as well as notes
+ */
+async function enableLock(passphrase, quotes) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const raw = await deriveLockBits(passphrase, salt, LOCK_PBKDF2_ITERATIONS);
+  const keys = { ...await importLockKeys(raw), raw: self.encryption.toBase64(raw) };
+
+  await chrome.storage.local.set({
+    [STORAGE_KEY_LOCK]: {
+      salt: self.encryption.toBase64(salt),
+      iterations: LOCK_PBKDF2_ITERATIONS,
+      check: await sealText(keys, LOCK_CHECK_TEXT),
+      quotes: !!quotes
+    }
+  });
+  await startLockSession(keys);
+  await resealStoredData(null, keys, !!quotes);
+}
+
+/**
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} False when the passphrase is wrong
+ */
+async function unlock(passphrase) {
+  const config = await getLockConfig();
+  if (!config) return true;
+
+  const keys = await verifyLockPassphrase(config, passphrase);
+  if (!keys) return false;
+
+  await startLockSession(keys);
+  // Quotes of highlights made while locked are still plain text
+  await resealStoredData(null, keys, !!config.quotes);
+  return true;
+}
+
+/**
+ * Turns the lock off, leaving everything readable again
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} False when the passphrase is wrong
+ */
+async function disableLock(passphrase) {
+  const config = await getLockConfig();
+  if (!config) return true;
+
+  const keys = await verifyLockPassphrase(config, passphrase);
+  if (!keys) return false;
+
+  // Edits made meanwhile are refused or kept readable
+  await endLockSession();
+  await resealStoredData(keys, null, false);
+  await chrome.storage.local.remove(STORAGE_KEY_LOCK);
+  return true;
+}
+
+/**
+ * @param {string} passphrase - The current passphrase
+ * @param {string} newPassphrase
+ * @returns {Promise<boolean>} False when the current passphrase is wrong
+ */
+async function changeLockPassphrase(passphrase, newPassphrase) {
+  const config = await getLockConfig();
+  if (!config) return false;
+
+  const keys = await verifyLockPassphrase(config, passphrase);
+  if (!keys) return false;
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const raw = await deriveLockBits(newPassphrase, salt, LOCK_PBKDF2_ITERATIONS);
+  const newKeys = { ...await importLockKeys(raw), raw: self.encryption.toBase64(raw) };
+
+  // Edits made meanwhile are sealed with the new keys
+  await startLockSession(newKeys);
+  await resealStoredData(keys, newKeys, !!config.quotes);
+  await chrome.storage.local.set({
+    [STORAGE_KEY_LOCK]: {
+      ...config,
+      salt: self.encryption.toBase64(salt),
+      iterations: LOCK_PBKDF2_ITERATIONS,
+      check: await sealText(newKeys, LOCK_CHECK_TEXT)
+    }
+  });
+  return true;
+}
+
+/**
+ * Starts or stops sealing quotes (only while unlocked)
+ * @param {boolean} quotes
+ * @returns {Promise<boolean>} False while locked
+ */
+async function setLockQuotes(quotes) {
+  const config = await getLockConfig();
+  const keys = config && await getLockKeys();
+  if (!keys) return false;
+
+  await chrome.storage.local.set({ [STORAGE_KEY_LOCK]: { ...config, quotes: !!quotes } });
+  await resealStoredData(keys, keys, !!quotes);
+  return true;
+}
+
+/**
+ * Seals new or changed fields before they are stored. While locked they are
+ * kept as they are: callers refuse note edits, and quotes of highlights made
+ * meanwhile are sealed at the next unlock.
+ * @param {Object} fields - An item, or updates to one
+ * @returns {Promise<Object>}
+ */
+async function sealForStorage(fields) {
+  const { enabled, quotes, keys } = await getLockState();
+  return enabled && keys ? sealItem(fields, keys, quotes) : fields;
+}
+
+/**
+ * Opens stored items for pages, the popup and the dashboard, or hides
+ * their private text while locked
+ * @param {Array} items
+ * @returns {Promise<Array>}
+ */
+async function openForReading(items) {
+  const { enabled, keys } = await getLockState();
+  if (!enabled) return items;
+  return Promise.all(items.map(item => keys ? openItem(item, keys) : hideItem(item)));
+}
+
+// Same, for highlights grouped by page key
+async function openGroupedForReading(highlights) {
+  const { enabled, keys } = await getLockState();
+  if (!enabled) return highlights;
+  return mapGroupedItems(highlights, item => keys ? openItem(item, keys) : hideItem(item));
+}
+
+// Seals highlights grouped by page key (imports, sync pulls)
+async function sealGroupedForStorage(highlights) {
+  const { enabled, quotes, keys } = await getLockState();
+  if (!enabled || !keys) return highlights;
+  return mapGroupedItems(highlights, item => sealItem(item, keys, quotes));
+}
+
+// ============================================
+// SYNC ENCRYPTION
+// ============================================
+// With a passphrase the server only ever sees the envelope encrypted
+// exports use (utils/encryption.js)
+
+/**
+ * Encrypts the sync document, keeping the salt of the one it replaces
+ * @param {Object} doc
+ * @param {string} passphrase
+ * @param {Object|null} previous - Document read from the server
+ * @returns {Promise<Object>} The envelope
+ */
+async function encryptSyncDocument(doc, passphrase, previous) {
+  return self.encryption.seal(JSON.stringify(doc), passphrase, previous);
+}
+
+/**
+ * @param {Object} envelope - Encrypted document read from the server
+ * @param {string} passphrase
+ * @returns {Promise<Object>} The sync document
+ * @throws {Error} Without the right passphrase, or for an envelope this version cannot open
+ */
+async function decryptSyncDocument(envelope, passphrase) {
+  if (!passphrase) throw new Error('Sync data is encrypted, enter its passphrase');
+
+  let text;
+  try {
+    text = await self.encryption.open(envelope, passphrase);
+  } catch {
+    throw new Error('Sync data is damaged or was encrypted by a newer version');
+  }
+  if (text === null) throw new Error('Wrong sync passphrase');
+  return JSON.parse(text);
+}
+
+// ============================================
+// SYNC
+// ============================================
+// Browsers share highlights through one JSON document on a server the
+// user runs (a WebDAV share, or any endpoint that stores what is PUT):
+//   { format, version, revision, entries: { [id]: { url, title, item, updatedAt, revision } } }
+// `item` is null once the highlight was deleted. Every push bumps the
+// document revision and stamps the entries it wrote with it, so a pull only
+// applies entries newer than the revision this browser last saw. Local
+// edits wait in the syncQueue store until a push succeeds. When both sides
+// changed a highlight, the later edit wins. With a passphrase set, the
+// document is stored encrypted (see SYNC ENCRYPTION).
+
+const SYNC_ALARM = 'sync';
+const SYNC_FORMAT = 'highlighter-sync';
+const SYNC_PUSH_DELAY_MINUTES = 0.5; // after a local edit (shortest alarm delay)
+const SYNC_TIMEOUT_MS = 30 * 1000;
+const SYNC_MAX_ATTEMPTS = 3; // the document changed between our read and write
+
+let syncPromise = null;
+
+function toBasicAuth(username, password) {
+  const bytes = new TextEncoder().encode(`${username}:${password}`);
+  return 'Basic ' + btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Sync adapters move the sync document to and from a server:
+ *   read(config)                  → { doc, etag }, doc is null when there is none yet
+ *   write(config, doc, previous)  → false if the document changed since `previous` was read
+ * Both reject when the server cannot be reached or refuses the request.
+ */
+const SYNC_ADAPTERS = {
+  // WebDAV, or any HTTP endpoint that answers GET and PUT on one URL
+  webdav: {
+    async read(config) {
+      const headers = { Accept: 'application/json' };
+      if (config.username) headers.Authorization = toBasicAuth(config.username, config.password);
+
+      const response = await fetch(config.url, { headers, cache: 'no-store', signal: AbortSignal.timeout(SYNC_TIMEOUT_MS) });
+      if (response.status === 404) return { doc: null, etag: null };
+      if (!response.ok) throw new Error(`Sync server answered ${response.status}`);
+      return { doc: await response.json(), etag: response.headers.get('ETag') };
+    },
+
+    async write(config, doc, previous) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (config.username) headers.Authorization = toBasicAuth(config.username, config.password);
+      // Only replace the version we read (servers without ETags cannot check this)
+      if (previous.etag) {
+        headers['If-Match'] = previous.etag;
+      } else if (!previous.doc) {
+        headers['If-None-Match'] = '*';
+      }
+
+      const response = await fetch(config.url, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify(doc),
+        signal: AbortSignal.timeout(SYNC_TIMEOUT_MS)
+      });
+      if (response.status === 412) return false;
+      if (!response.ok) throw new Error(`Sync server answered ${response.status}`);
+      return true;
+    }
+  }
+};
+
+// The server password and the passphrase go to chrome.storage.session (in
+// memory, extension pages only), not next to the data they protect. After a
+// browser restart they are asked for again and sync waits until then.
+const SESSION_KEY_SYNC_SECRETS = 'syncSecrets';
+
+/**
+ * @returns {Promise<Object>} `{ password, passphrase }` entered this session
+ */
+async function getSyncSecrets() {
+  const result = await chrome.storage.session.get(SESSION_KEY_SYNC_SECRETS);
+  return { password: '', passphrase: '', ...result[SESSION_KEY_SYNC_SECRETS] };
+}
 
-// Default settings
-const DEFAULT_SETTINGS = {
-  lastUsedColor: '#FFEB3B',
-  theme: 'auto',
-  showContextMenu: true
-};
+/**
+ * Keeps the sync password and/or passphrase for this session; settings only
+ * remember whether each one is in use
+ * @param {Object} updates - `{ password?, passphrase? }`, empty strings clear them
+ */
+async function setSyncSecrets(updates) {
+  const secrets = { ...await getSyncSecrets(), ...updates };
+  await chrome.storage.session.set({ [SESSION_KEY_SYNC_SECRETS]: secrets });
+  return updateSettings({ syncHasPassword: !!secrets.password, syncHasPassphrase: !!secrets.passphrase });
+}
 
-// ============================================
-// URL NORMALIZATION
-// ============================================
-function normalizeUrl(url) {
+/**
+ * Whether a password or passphrase in use is gone since the browser restarted.
+ * Syncing without the passphrase would upload the document unencrypted.
+ * @param {Object} settings
+ * @returns {Promise<boolean>}
+ */
+async function needsSyncSecrets(settings) {
+  const secrets = await getSyncSecrets();
+  return (settings.syncHasPassword && !secrets.password) || (settings.syncHasPassphrase && !secrets.passphrase);
+}
+
+/**
+ * Moves secrets saved by older versions out of the stored settings
+ */
+async function migrateSyncSecrets() {
+  const result = await chrome.storage.local.get(STORAGE_KEY_SETTINGS);
+  const stored = result[STORAGE_KEY_SETTINGS];
+  if (!stored || !('syncPassword' in stored || 'syncPassphrase' in stored)) return;
+
+  const { syncPassword, syncPassphrase, ...rest } = stored;
+  await chrome.storage.local.set({ [STORAGE_KEY_SETTINGS]: rest });
+  await setSyncSecrets({ password: syncPassword || '', passphrase: syncPassphrase || '' });
+}
+
+/**
+ * Reads the sync setup from settings
+ * @param {Object} settings
+ * @param {Object} [secrets] - From getSyncSecrets()
+ * @returns {Object|null} `{ adapter, url, username, password, passphrase }`, null when sync is off or incomplete
+ */
+function getSyncConfig(settings, secrets = {}) {
+  if (!settings.syncEnabled || !SYNC_ADAPTERS[settings.syncAdapter]) return null;
   try {
-    const urlObj = new URL(url);
-    // Use origin + pathname (ignore query params and hash)
-    return urlObj.origin + urlObj.pathname;
+    const url = new URL(settings.syncUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
   } catch {
-    return url;
+    return null;
   }
+  return {
+    adapter: settings.syncAdapter,
+    url: settings.syncUrl,
+    username: settings.syncUsername || '',
+    password: secrets.password || '',
+    passphrase: secrets.passphrase || ''
+  };
 }
 
-// ============================================
-// STORAGE OPERATIONS
-// ============================================
-
 /**
- * Retrieves highlights for a specific URL
- * @param {string} url - The page URL to get highlights for
- * @returns {Promise<{title: string, items: Array}>} Page data with title and highlight items
+ * @returns {Promise<Object>} `{ url, revision, status, error, lastSyncAt, pulled, pushed, conflicts }`
  */
-async function getHighlightsForUrl(url) {
-  const normalizedUrl = normalizeUrl(url);
-  const result = await chrome.storage.local.get(STORAGE_KEY_HIGHLIGHTS);
-  const highlights = result[STORAGE_KEY_HIGHLIGHTS] || {};
-  return highlights[normalizedUrl] || { title: '', items: [] };
+async function getSyncState() {
+  const result = await chrome.storage.local.get(STORAGE_KEY_SYNC_STATE);
+  return { url: '', revision: 0, status: 'idle', error: '', lastSyncAt: null, ...result[STORAGE_KEY_SYNC_STATE] };
+}
+
+async function setSyncState(updates) {
+  const state = { ...await getSyncState(), ...updates };
+  await chrome.storage.local.set({ [STORAGE_KEY_SYNC_STATE]: state });
+  return state;
+}
+
+// Anchoring state belongs to each browser's copy of the page
+function toSyncItem(item) {
+  const synced = { ...item };
+  delete synced.deletedAt;
+  delete synced.orphaned;
+  delete synced.lastAnchoredAt;
+  return synced;
 }
 
 /**
- * Saves highlights for a specific URL
- * @param {string} url - The page URL
- * @param {string} title - The page title
- * @param {Array} items - Array of highlight items
- * @returns {Promise<void>}
+ * Queues one side of each change for the next push (call inside a
+ * readwrite transaction covering the syncQueue store)
+ * @param {IDBTransaction} tx
+ * @param {Array} changes - See OPERATION LOG
+ * @param {'before'|'after'} side - Side that is now stored
  */
-async function saveHighlightsForUrl(url, title, items) {
-  const normalizedUrl = normalizeUrl(url);
-  const result = await chrome.storage.local.get(STORAGE_KEY_HIGHLIGHTS);
-  const highlights = result[STORAGE_KEY_HIGHLIGHTS] || {};
+function queueSyncEntries(tx, changes, side) {
+  const queue = tx.objectStore(STORE_SYNC_QUEUE);
+  const updatedAt = new Date().toISOString();
 
-  if (items.length === 0) {
-    // Remove the URL entry if no highlights
-    delete highlights[normalizedUrl];
-  } else {
-    highlights[normalizedUrl] = { title, items };
-  }
+  changes.forEach(change => {
+    const target = change[side];
+    queue.put({
+      id: change.id,
+      url: change.url,
+      title: change.title || '',
+      item: target && !target.deletedAt ? toSyncItem(target) : null,
+      updatedAt
+    });
+  });
+}
+
+// For edits that are not logged as operations
+async function queueSyncChanges(changes) {
+  const validChanges = changes.filter(Boolean);
+  if (validChanges.length === 0) return;
 
-  await chrome.storage.local.set({ [STORAGE_KEY_HIGHLIGHTS]: highlights });
+  await runTransaction([STORE_SYNC_QUEUE], 'readwrite', async tx => queueSyncEntries(tx, validChanges, 'after'));
+  requestSync().catch(e => console.warn('Could not schedule sync:', e));
+}
+
+async function getSyncQueue() {
+  return runTransaction([STORE_SYNC_QUEUE], 'readonly', tx =>
+    promisifyRequest(tx.objectStore(STORE_SYNC_QUEUE).getAll())
+  );
+}
+
+// Queues every highlight that is not queued yet, for a server that has not seen them
+async function seedSyncQueue() {
+  return runTransaction([STORE_PAGES, STORE_HIGHLIGHTS, STORE_SYNC_QUEUE], 'readwrite', async tx => {
+    const queue = tx.objectStore(STORE_SYNC_QUEUE);
+    const pages = await promisifyRequest(tx.objectStore(STORE_PAGES).getAll());
+    const records = await promisifyRequest(tx.objectStore(STORE_HIGHLIGHTS).getAll());
+    const queued = new Set(await promisifyRequest(queue.getAllKeys()));
+    const titles = new Map(pages.map(page => [page.url, page.title]));
+
+    // Edit times, not now: a later edit on the server still wins
+    records.filter(record => !queued.has(record.id)).forEach(record => {
+      queue.put({
+        id: record.id,
+        url: record.url,
+        title: titles.get(record.url) || '',
+        item: toSyncItem(toItem(record)),
+        updatedAt: record.updatedAt || record.createdAt || ''
+      });
+    });
+  });
+}
+
+// Drops pushed entries unless they were edited again in the meantime
+async function clearSyncQueue(entries) {
+  await runTransaction([STORE_SYNC_QUEUE], 'readwrite', async tx => {
+    const queue = tx.objectStore(STORE_SYNC_QUEUE);
+    for (const entry of entries) {
+      const current = await promisifyRequest(queue.get(entry.id));
+      if (current && current.updatedAt === entry.updatedAt) queue.delete(entry.id);
+    }
+  });
 }
 
 /**
- * Adds a new highlight to a page
- * @param {string} url - The page URL
- * @param {string} title - The page title
- * @param {Object} highlightData - The highlight data object
- * @returns {Promise<Object>} The added highlight data
+ * Checks a pulled entry like an imported one: anyone who can write to the
+ * server decides what is in the document
+ * @param {Object} entry - `{ url, title, item }` from the sync document
+ * @param {string} id - Its key in the document
+ * @returns {Object|null} Entry with the sanitized item, null when it cannot be used
  */
-async function addHighlight(url, title, highlightData) {
-  const pageData = await getHighlightsForUrl(url);
-  pageData.title = title || pageData.title;
-  pageData.items.push(highlightData);
-  await saveHighlightsForUrl(url, pageData.title, pageData.items);
-  return highlightData;
+function validateSyncEntry(entry, id) {
+  const url = typeof entry.url === 'string' ? entry.url : '';
+  const { highlights, issues } = self.backupValidator.validate({
+    [url]: { title: entry.title, items: [{ ...entry.item, id }] }
+  });
+  if (issues.length > 0) console.warn(`Sync entry ${id} needed fixes:`, issues);
+  const page = highlights[url];
+  return page ? { ...entry, url, title: page.title, item: page.items[0] } : null;
+}
+
+function sameSyncedItem(a, b) {
+  if (!a || !b) return a === b;
+  return sameContent(a, b) && JSON.stringify(a.selectors || null) === JSON.stringify(b.selectors || null);
 }
 
 /**
- * Removes a highlight by ID
- * @param {string} url - The page URL
- * @param {string} highlightId - The highlight ID to remove
- * @returns {Promise<void>}
+ * Writes entries pulled from the server to storage. Deleted highlights go
+ * to the trash; the changes are not logged, so they cannot be undone here.
+ * @param {Array} entries - `{ id, url, title, item }` with items at SCHEMA_VERSION
+ * @param {Object} rules - URL rules from settings
+ * @returns {Promise<Array>} Changes made
  */
-async function removeHighlight(url, highlightId) {
-  const pageData = await getHighlightsForUrl(url);
-  pageData.items = pageData.items.filter(item => item.id !== highlightId);
-  await saveHighlightsForUrl(url, pageData.title, pageData.items);
+async function applySyncEntries(entries, rules) {
+  if (entries.length === 0) return [];
+
+  const stores = [STORE_PAGES, STORE_HIGHLIGHTS, STORE_TAGS, STORE_TRASH];
+  return runTransaction(stores, 'readwrite', async tx => {
+    const pageStore = tx.objectStore(STORE_PAGES);
+    const highlightStore = tx.objectStore(STORE_HIGHLIGHTS);
+    const changes = [];
+
+    for (const entry of entries) {
+      const record = await promisifyRequest(highlightStore.get(entry.id));
+
+      if (!entry.item) {
+        if (!record) continue;
+        const page = await promisifyRequest(pageStore.get(record.url));
+        const before = toItem(record);
+        changes.push({ id: entry.id, url: record.url, title: page?.title || '', before, after: { ...before, deletedAt: entry.updatedAt } });
+        continue;
+      }
+
+      // The other browser may key pages with other rules
+      const url = computePageKey(entry.item.sourceUrl || entry.url, entry.item.canonicalUrl || null, rules);
+      if (record && record.url === url && sameSyncedItem(record, entry.item)) continue;
+      changes.push({ id: entry.id, url, title: entry.title || '', before: record ? toItem(record) : null, after: entry.item });
+    }
+
+    await applyChanges(tx, changes, 'after');
+    return changes;
+  });
 }
 
 /**
- * Updates an existing highlight
- * @param {string} url - The page URL
- * @param {string} highlightId - The highlight ID to update
- * @param {Object} updates - Object containing properties to update
- * @returns {Promise<void>}
+ * One pull and push round
+ * @param {Object} config - From getSyncConfig()
+ * @param {Object} state - Sync state from before this sync
+ * @param {Object} rules - URL rules from settings
+ * @returns {Promise<Object|null>} `{ revision, pulled, pushed, conflicts }`, null if
+ *   the document changed on the server before it could be written
  */
-async function updateHighlight(url, highlightId, updates) {
-  const pageData = await getHighlightsForUrl(url);
-  const index = pageData.items.findIndex(item => item.id === highlightId);
-  if (index !== -1) {
-    pageData.items[index] = { ...pageData.items[index], ...updates };
-    await saveHighlightsForUrl(url, pageData.title, pageData.items);
+async function syncOnce(config, state, rules) {
+  const adapter = SYNC_ADAPTERS[config.adapter];
+  const remote = await adapter.read(config);
+  const encrypted = self.encryption.isEnvelope(remote.doc);
+  const stored = encrypted ? await decryptSyncDocument(remote.doc, config.passphrase) : remote.doc;
+  const doc = stored || { format: SYNC_FORMAT, version: SCHEMA_VERSION, revision: 0, entries: {} };
+  if (doc.format !== SYNC_FORMAT || !doc.entries || typeof doc.entries !== 'object') {
+    throw new Error('The sync URL does not hold Highlighter sync data');
+  }
+  const fromVersion = parseSchemaVersion(doc.version);
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error('Sync data was written by a newer version');
+  }
+
+  // A new server, or a document that was reset, gets everything we have
+  let revision = Number(doc.revision) || 0;
+  const fresh = state.url !== config.url || revision < (state.revision || 0);
+  if (fresh) await seedSyncQueue();
+  const known = fresh ? 0 : state.revision || 0;
+
+  // The server gets private notes readable; the sync passphrase protects them there
+  const { quotes, keys } = await getLockState();
+  const queue = keys
+    ? await Promise.all((await getSyncQueue()).map(async entry => ({ ...entry, item: await openItem(entry.item, keys) })))
+    : await getSyncQueue();
+  const outgoing = new Map(queue.map(entry => [entry.id, entry]));
+  const incoming = [];
+  let conflicts = 0;
+
+  for (const [id, entry] of Object.entries(doc.entries)) {
+    if (!entry || !(entry.revision > known)) continue;
+    const valid = entry.item ? validateSyncEntry(entry, id) : entry;
+    if (!valid) continue;
+    const item = valid.item ? migrateItem(valid.item, valid.url, fromVersion) : null;
+
+    const local = outgoing.get(id);
+    if (local) {
+      if (!sameSyncedItem(local.item, item)) {
+        conflicts++;
+        // On a tie the copy already on the server wins
+        if (local.updatedAt > (entry.updatedAt || '')) continue;
+      }
+      outgoing.delete(id);
+    }
+    incoming.push({ ...valid, id, item });
+  }
+
+  // Also rewritten when encryption was turned on or off
+  const upgrade = !!remote.doc && (fromVersion < SCHEMA_VERSION || encrypted !== !!config.passphrase);
+  if (outgoing.size > 0 || upgrade) {
+    const next = revision + 1;
+    const entries = {};
+    for (const [id, entry] of Object.entries(doc.entries)) {
+      entries[id] = entry?.item ? { ...entry, item: migrateItem(entry.item, entry.url, fromVersion) } : entry;
+    }
+    outgoing.forEach(entry => {
+      entries[entry.id] = { url: entry.url, title: entry.title, item: entry.item, updatedAt: entry.updatedAt, revision: next };
+    });
+
+    const nextDoc = {
+      format: SYNC_FORMAT,
+      version: SCHEMA_VERSION,
+      revision: next,
+      updatedAt: new Date().toISOString(),
+      entries
+    };
+    const payload = config.passphrase ? await encryptSyncDocument(nextDoc, config.passphrase, remote.doc) : nextDoc;
+    const written = await adapter.write(config, payload, remote);
+    if (!written) return null;
+    revision = next;
+  }
+
+  const pulled = keys
+    ? await Promise.all(incoming.map(async entry => ({ ...entry, item: await sealItem(entry.item, keys, quotes) })))
+    : incoming;
+  const changes = await applySyncEntries(pulled, rules);
+  await clearSyncQueue(queue);
+  if (changes.length > 0) {
+    await refreshTabs([...new Set(changes.map(change => change.url))]);
+  }
+  return { revision, pulled: changes.length, pushed: outgoing.size, conflicts };
+}
+
+async function runSync() {
+  const settings = await getSettings();
+  const config = getSyncConfig(settings, await getSyncSecrets());
+  if (!config) return getSyncState();
+  // Sealed edits wait in the queue until the notes are unlocked
+  if (await isLocked()) return getSyncState();
+  if (await needsSyncSecrets(settings)) return getSyncState();
+
+  const state = await getSyncState();
+  try {
+    const origin = new URL(config.url).origin;
+    if (!await chrome.permissions.contains({ origins: [`${origin}/*`] })) {
+      throw new Error(`No permission to reach ${origin}`);
+    }
+
+    let result = null;
+    for (let attempt = 0; !result && attempt < SYNC_MAX_ATTEMPTS; attempt++) {
+      result = await syncOnce(config, state, settings.urlRules);
+    }
+    if (!result) throw new Error('The sync document kept changing, try again later');
+
+    return setSyncState({ url: config.url, status: 'ok', error: '', lastSyncAt: new Date().toISOString(), ...result });
+  } catch (e) {
+    console.warn('Sync failed:', e);
+    return setSyncState({ status: 'error', error: e.message || String(e) });
   }
 }
 
 /**
- * Gets extension settings with defaults
- * @returns {Promise<Object>} Settings object with defaults applied
+ * Pulls and pushes changes now; joins a sync that is already running
+ * @returns {Promise<Object>} Sync state afterwards
  */
-async function getSettings() {
-  const result = await chrome.storage.local.get(STORAGE_KEY_SETTINGS);
-  return { ...DEFAULT_SETTINGS, ...result[STORAGE_KEY_SETTINGS] };
+function syncNow() {
+  if (!syncPromise) {
+    syncPromise = runSync().finally(() => { syncPromise = null; });
+  }
+  return syncPromise;
 }
 
 /**
- * Updates extension settings
- * @param {Object} updates - Object containing settings to update
- * @returns {Promise<Object>} Updated settings object
+ * Sync state for the popup and settings
+ * @returns {Promise<Object>} State plus `enabled`, `syncing`, `pending` (queued edits),
+ *   `locked` (sync waits for the private notes to be unlocked) and `needsSecrets`
+ *   (it waits for the password or passphrase to be entered again)
  */
-async function updateSettings(updates) {
+async function getSyncStatus() {
   const settings = await getSettings();
-  const newSettings = { ...settings, ...updates };
-  await chrome.storage.local.set({ [STORAGE_KEY_SETTINGS]: newSettings });
-  return newSettings;
+  const state = await getSyncState();
+  const pending = await runTransaction([STORE_SYNC_QUEUE], 'readonly', tx =>
+    promisifyRequest(tx.objectStore(STORE_SYNC_QUEUE).count())
+  );
+  return {
+    ...state,
+    enabled: !!getSyncConfig(settings),
+    syncing: !!syncPromise,
+    pending,
+    locked: await isLocked(),
+    needsSecrets: await needsSyncSecrets(settings)
+  };
+}
+
+function getSyncPeriod(settings) {
+  return Math.max(1, Number(settings.syncIntervalMinutes) || DEFAULT_SETTINGS.syncIntervalMinutes);
+}
+
+async function scheduleSync() {
+  const settings = await getSettings();
+  if (!getSyncConfig(settings)) {
+    await chrome.alarms.clear(SYNC_ALARM);
+    return;
+  }
+
+  const periodInMinutes = getSyncPeriod(settings);
+  const alarm = await chrome.alarms.get(SYNC_ALARM);
+  if (!alarm || alarm.periodInMinutes !== periodInMinutes) {
+    chrome.alarms.create(SYNC_ALARM, { delayInMinutes: 1, periodInMinutes });
+  }
+}
+
+// Pushes local edits shortly instead of at the next interval; further
+// edits before then push the sync back, so a burst goes out at once
+async function requestSync() {
+  const settings = await getSettings();
+  if (!getSyncConfig(settings)) return;
+  chrome.alarms.create(SYNC_ALARM, { delayInMinutes: SYNC_PUSH_DELAY_MINUTES, periodInMinutes: getSyncPeriod(settings) });
 }
 
 // ============================================
 // MESSAGE HANDLERS
 // ============================================
 
+// Besides its own CONTENT_* messages, what a content script may send (page
+// toolbar, in-page undo); a page that compromises its content script must not
+// reach settings, sync secrets or other sites' highlights
+const CONTENT_SCRIPT_MESSAGES = new Set(['SET_SELECTION_TOOLBAR_SITE', 'UNDO_OPERATION', 'REDO_OPERATION']);
+
+// Popup, dashboard, settings and sidebar; the dashboard may be open in a tab
+function isFromExtensionPage(sender) {
+  return typeof sender.url === 'string' && sender.url.startsWith(chrome.runtime.getURL(''));
+}
+
+function isAllowedMessage(message, sender) {
+  if (!sender.tab || isFromExtensionPage(sender)) return true;
+  const type = String(message?.type || '');
+  return type.startsWith('CONTENT_') || CONTENT_SCRIPT_MESSAGES.has(type);
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!isAllowedMessage(message, sender)) {
+    sendResponse({ success: false, error: 'Not allowed from a content script' });
+    return false;
+  }
+
   // Handle async responses
   const handleAsync = async () => {
     const { type, payload } = message;
     // const tabId = sender.tab?.id; // Unused
     const url = payload?.url || sender.tab?.url;
+    if (payload?.canonicalUrl) rememberCanonicalUrl(url, payload.canonicalUrl);
 
     switch (type) {
       // Content script requests restore data
       case 'CONTENT_REQUEST_RESTORE': {
         const pageData = await getHighlightsForUrl(url);
-        const settings = await getSettings();
-        return { pageData, settings };
+        pageData.items = await openForReading(pageData.items);
+        const settings = await getContentSettings();
+        return { pageData, settings, pageUrl: await normalizeUrl(url) };
       }
 
       // Content script adds a new highlight
       case 'CONTENT_ADD_HIGHLIGHT': {
-        const { title, highlightData } = payload;
-        await addHighlight(url, title, highlightData);
+        const { title, highlightData, canonicalUrl } = payload;
+        // Remember where the highlight was made so it can be re-keyed later
+        const change = await addHighlight(url, title, await sealForStorage({
+          ...highlightData,
+          sourceUrl: url,
+          ...(canonicalUrl ? { canonicalUrl } : {})
+        }));
         await updateSettings({ lastUsedColor: highlightData.color });
-        return { success: true };
+        notifyPageChanged();
+        return { success: true, operationId: await logChange('create', change) };
       }
 
       // Content script removes a highlight
       case 'CONTENT_REMOVE_HIGHLIGHT': {
         const { highlightId } = payload;
-        await removeHighlight(url, highlightId);
-        return { success: true };
+        const change = await removeHighlight(url, highlightId);
+        notifyPageChanged();
+        return { success: true, operationId: await logChange('delete', change) };
       }
 
       // Content script updates a highlight
       case 'CONTENT_UPDATE_HIGHLIGHT': {
         const { highlightId, updates } = payload;
-        await updateHighlight(url, highlightId, updates);
+        // A note written while locked would replace the sealed one unseen
+        if ('note' in updates && await isLocked()) return { success: false, error: 'locked' };
+        const change = await updateHighlight(url, highlightId, await sealForStorage(updates));
         if (updates.color) {
           await updateSettings({ lastUsedColor: updates.color });
         }
-        return { success: true };
+        notifyPageChanged();
+        return { success: true, operationId: await logChange('update', change) };
+      }
+
+      // Content script reports which highlights could be placed
+      case 'CONTENT_REPORT_ANCHORING': {
+        const { anchoredIds, orphanedIds } = payload;
+        const { orphanedCount, changed } = await updateAnchoringStatus(url, anchoredIds || [], orphanedIds || []);
+        // Lists only show the orphaned flag
+        if (changed) notifyPageChanged();
+        return { success: true, orphanedCount };
       }
 
       // Popup requests page data
+      // The side panel names its tab; it may not be in the focused window
       case 'POPUP_GET_PAGE_DATA': {
-        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+        const tabs = payload?.tabId
+          ? [await chrome.tabs.get(payload.tabId)]
+          : await chrome.tabs.query({ active: true, currentWindow: true });
         if (tabs.length === 0) return { pageData: { title: '', items: [] }, settings: await getSettings() };
 
         const activeUrl = tabs[0].url;
+        await syncTabCanonicalUrl(tabs[0]);
         const pageData = await getHighlightsForUrl(activeUrl);
+        pageData.items = await openForReading(pageData.items);
         const settings = await getSettings();
-        return { pageData, settings, url: activeUrl };
-      }
-
-      // Get all highlights (for dashboard)
-      case 'GET_ALL_HIGHLIGHTS': {
-        const result = await chrome.storage.local.get('highlights');
-        return { highlights: result.highlights || {} };
+        // IDs of the highlights placed on the page, in document order
+        const placement = await chrome.tabs.sendMessage(tabs[0].id, { type: 'GET_HIGHLIGHT_ORDER' }).catch(() => null);
+        return { pageData, settings, url: activeUrl, order: placement?.ids || [] };
       }
 
       // Popup requests highlight with specific color
@@ -219,14 +2548,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (targetTabId) {
           const tab = await chrome.tabs.get(targetTabId);
           const activeUrl = tab.url;
+          await syncTabCanonicalUrl(tab);
 
-          await removeHighlight(activeUrl, highlightId);
+          const change = await removeHighlight(activeUrl, highlightId);
+          const operationId = await logChange('delete', change);
 
-          // Tell content script to remove the visual
+          // Tell content script to remove the visual (and offer undo)
           await chrome.tabs.sendMessage(targetTabId, {
             type: 'REMOVE_HIGHLIGHT_VISUAL',
-            payload: { highlightId }
+            payload: { highlightId, operationId }
           }).catch(() => { });
+          notifyPageChanged();
+          return { success: true, operationId };
         }
         return { success: true };
       }
@@ -234,6 +2567,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       // Popup updates highlight (color or note)
       case 'POPUP_UPDATE_HIGHLIGHT': {
         const { highlightId, updates, tabId } = payload;
+        if ('note' in updates && await isLocked()) return { success: false, error: 'locked' };
 
         let targetTabId = tabId;
         if (!targetTabId) {
@@ -244,8 +2578,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (targetTabId) {
           const tab = await chrome.tabs.get(targetTabId);
           const activeUrl = tab.url;
+          await syncTabCanonicalUrl(tab);
 
-          await updateHighlight(activeUrl, highlightId, updates);
+          const change = await updateHighlight(activeUrl, highlightId, await sealForStorage(updates));
+          await logChange('update', change);
 
           // Always tell content script to update its cache/visuals
           await chrome.tabs.sendMessage(targetTabId, {
@@ -257,7 +2593,45 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           if (updates.color) {
             await updateSettings({ lastUsedColor: updates.color });
           }
+          notifyPageChanged();
+        }
+        return { success: true };
+      }
+
+      // Popup re-anchors an orphaned highlight to the current selection
+      case 'POPUP_REANCHOR_HIGHLIGHT': {
+        const { highlightId, tabId } = payload;
+
+        let targetTabId = tabId;
+        if (!targetTabId) {
+          const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+          if (tabs.length > 0) targetTabId = tabs[0].id;
+        }
+        if (!targetTabId) return { success: false, error: 'no-tab' };
+
+        const tab = await chrome.tabs.get(targetTabId);
+        await syncTabCanonicalUrl(tab);
+        const pageData = await getHighlightsForUrl(tab.url);
+        const item = pageData.items.find(i => i.id === highlightId);
+        if (!item) return { success: false, error: 'not-found' };
+
+        const response = await chrome.tabs.sendMessage(targetTabId, {
+          type: 'REANCHOR_HIGHLIGHT',
+          payload: { highlightId, color: item.color }
+        }).catch(() => null);
+
+        if (!response || !response.success) {
+          return { success: false, error: response?.error || 'no-content-script' };
         }
+
+        const change = await updateHighlight(tab.url, highlightId, await sealForStorage({
+          quote: response.quote,
+          selectors: response.selectors,
+          orphaned: false,
+          lastAnchoredAt: new Date().toISOString()
+        }));
+        await queueSyncChanges([change]);
+        notifyPageChanged();
         return { success: true };
       }
 
@@ -266,35 +2640,89 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return await getSettings();
       }
 
-      // Get all highlights across all sites
+      // Get highlights across all sites, one batch at a time (newest first)
       case 'GET_ALL_HIGHLIGHTS': {
-        const result = await chrome.storage.local.get(STORAGE_KEY_HIGHLIGHTS);
-        return { highlights: result[STORAGE_KEY_HIGHLIGHTS] || {} };
+        const offset = Math.max(0, Number(payload?.offset) || 0);
+        const limit = Math.max(1, Number(payload?.limit) || DEFAULT_PAGE_SIZE);
+        const result = await queryHighlights(offset, limit);
+        result.highlights = await openGroupedForReading(result.highlights);
+        return { ...result, schemaVersion: SCHEMA_VERSION, locked: await isLocked() };
       }
 
       // Import highlights (merge with existing)
+      // Dashboard shows what an import would do before running it
+      case 'PREVIEW_IMPORT': {
+        // Imported notes could not be sealed, nor stored ones compared
+        if (await isLocked()) return { error: 'Private notes are locked' };
+        const highlights = await prepareImport(payload.sources || [payload]);
+        if (!highlights) {
+          return { error: 'Backup was created by a newer version' };
+        }
+        const { additions, conflicts, unchanged } = await previewImport(await sealGroupedForStorage(highlights));
+        const opened = await Promise.all(conflicts.map(async conflict => {
+          const [local, imported] = await openForReading([conflict.local, conflict.imported]);
+          return { ...conflict, local, imported };
+        }));
+        return { added: additions.length, unchanged, conflicts: opened };
+      }
+
       case 'IMPORT_HIGHLIGHTS': {
-        const { highlights: importedHighlights } = payload;
-        const result = await chrome.storage.local.get(STORAGE_KEY_HIGHLIGHTS);
-        const existingHighlights = result[STORAGE_KEY_HIGHLIGHTS] || {};
-
-        // Merge: for each URL, merge items (avoid duplicates by ID)
-        for (const [url, pageData] of Object.entries(importedHighlights)) {
-          if (!existingHighlights[url]) {
-            existingHighlights[url] = pageData;
-          } else {
-            const existingIds = new Set(existingHighlights[url].items.map(i => i.id));
-            const newItems = (pageData.items || []).filter(i => !existingIds.has(i.id));
-            existingHighlights[url].items.push(...newItems);
-            // Update title if missing
-            if (!existingHighlights[url].title && pageData.title) {
-              existingHighlights[url].title = pageData.title;
-            }
-          }
+        if (await isLocked()) return { error: 'Private notes are locked' };
+        // One source per imported file, each with the version it was written with
+        const highlights = await prepareImport(payload.sources || [payload]);
+        if (!highlights) {
+          return { error: 'Backup was created by a newer version' };
         }
+        const changes = await importHighlights(await sealGroupedForStorage(highlights), payload.strategy || 'local', payload.resolutions);
 
-        await chrome.storage.local.set({ [STORAGE_KEY_HIGHLIGHTS]: existingHighlights });
-        return { success: true };
+        const operationId = await logOperation(GLOBAL_SCOPE, 'import', changes);
+        await refreshTabs([...new Set(changes.map(change => change.url))]);
+        return { success: true, imported: changes.length, operationId };
+      }
+
+      // Trash tab
+      case 'GET_TRASH': {
+        return { items: await openForReading(await getTrash()) };
+      }
+
+      case 'RESTORE_FROM_TRASH': {
+        const changes = await restoreFromTrash(payload.ids || []);
+        const operationId = await logOperation(GLOBAL_SCOPE, 'restore', changes);
+        await refreshTabs([...new Set(changes.map(change => change.url))]);
+        return { success: true, restored: changes.length, operationId };
+      }
+
+      case 'DELETE_FROM_TRASH': {
+        const deleted = await deleteFromTrash(payload.ids || []);
+        return { success: true, deleted };
+      }
+
+      case 'EMPTY_TRASH': {
+        const deleted = await deleteFromTrash(null);
+        return { success: true, deleted };
+      }
+
+      // Dashboard removes a highlight
+      case 'REMOVE_HIGHLIGHT': {
+        const { highlightId } = payload;
+        const change = await removeHighlight(url, highlightId);
+        if (change) await refreshTabs([change.url]);
+        return { success: !!change, operationId: await logChange('delete', change) };
+      }
+
+      // Undo / redo: a specific operation (toast action) or the page's latest
+      case 'UNDO_OPERATION':
+      case 'REDO_OPERATION': {
+        const stack = type === 'UNDO_OPERATION' ? 'undo' : 'redo';
+        const target = payload?.operationId
+          ? { operationId: payload.operationId }
+          : { scope: payload?.global ? GLOBAL_SCOPE : await normalizeUrl(url) };
+
+        const result = await replayOperation(stack, target);
+        if (!result) return { success: false };
+
+        await refreshTabs(result.pageUrls);
+        return { success: true, ...result };
       }
 
       // Update settings
@@ -310,13 +2738,157 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           }
         }
 
+        // Pages pick up the selection toolbar and marker settings when they reload their highlights
+        if ('selectionToolbar' in payload || 'selectionToolbarDisabledSites' in payload || 'highlightMarkers' in payload) {
+          await refreshTabs(null);
+        }
+
+        // A shorter retention period applies right away
+        if ('trashRetentionDays' in payload) {
+          await purgeTrash();
+        }
+
+        // So does keeping fewer snapshots
+        if ('backupKeepCount' in payload) {
+          const keep = Math.max(1, Number(newSettings.backupKeepCount) || DEFAULT_SETTINGS.backupKeepCount);
+          await runTransaction([STORE_SNAPSHOTS], 'readwrite', tx => pruneSnapshots(tx, keep));
+        }
+
+        // Sync starts, stops or moves to another server right away
+        if (Object.keys(payload).some(key => key.startsWith('sync'))) {
+          await scheduleSync();
+          if (getSyncConfig(newSettings)) syncNow();
+        }
+
+        // A new timeout starts counting now
+        if ('lockTimeoutMinutes' in payload) {
+          const keys = await getLockKeys();
+          if (keys) await startLockSession(keys);
+        }
+
+        // Stored pages must follow the new identity rules
+        if ('urlRules' in payload) {
+          const rekeyedPages = await applyUrlRules();
+          return { ...newSettings, rekeyedPages };
+        }
+
         return newSettings;
       }
 
+      // Snapshots (settings tab)
+      case 'GET_SNAPSHOTS': {
+        return { snapshots: await getSnapshots() };
+      }
+
+      case 'GET_SNAPSHOT': {
+        if (await isLocked()) return { error: 'Private notes are locked' };
+        const snapshot = await getSnapshot(payload.id);
+        if (!snapshot) return { error: 'Snapshot not found' };
+        snapshot.data.highlights = await openGroupedForReading(snapshot.data.highlights);
+        return { snapshot };
+      }
+
+      case 'CREATE_SNAPSHOT': {
+        const snapshot = await createSnapshot('manual');
+        return { success: true, snapshot: snapshot ? toSnapshotSummary(snapshot) : null };
+      }
+
+      case 'RESTORE_SNAPSHOT': {
+        const changes = await restoreSnapshot(payload.id);
+        if (!changes) {
+          return { error: 'Snapshot not found' };
+        }
+        const operationId = await logOperation(GLOBAL_SCOPE, 'restore', changes);
+        await refreshTabs(null);
+        return { success: true, restored: changes.length, operationId };
+      }
+
+      // Sync status (popup, settings)
+      case 'GET_SYNC_STATUS': {
+        return await getSyncStatus();
+      }
+
+      // Server password and passphrase (dashboard)
+      case 'SET_SYNC_SECRETS': {
+        const newSettings = await setSyncSecrets({
+          ...(typeof payload.password === 'string' ? { password: payload.password } : {}),
+          ...(typeof payload.passphrase === 'string' ? { passphrase: payload.passphrase } : {})
+        });
+        if (getSyncConfig(newSettings)) syncNow();
+        return await getSyncStatus();
+      }
+
+      case 'SYNC_NOW': {
+        await syncNow();
+        return await getSyncStatus();
+      }
+
+      // Private notes (settings, dashboard, popup)
+      case 'GET_LOCK_STATUS': {
+        return await getLockStatus();
+      }
+
+      case 'UNLOCK': {
+        if (!await unlock(payload.passphrase || '')) return { error: 'Wrong passphrase' };
+        await notifyLockChanged();
+        requestSync().catch(e => console.warn('Could not schedule sync:', e));
+        return { success: true, ...await getLockStatus() };
+      }
+
+      case 'LOCK': {
+        await lockNow();
+        return { success: true, ...await getLockStatus() };
+      }
+
+      case 'ENABLE_LOCK': {
+        if (!payload.passphrase) return { error: 'Passphrase missing' };
+        if (await getLockConfig()) return { error: 'Lock is already on' };
+        await enableLock(payload.passphrase, payload.quotes === true);
+        await notifyLockChanged();
+        return { success: true, ...await getLockStatus() };
+      }
+
+      case 'DISABLE_LOCK': {
+        if (!await disableLock(payload.passphrase || '')) return { error: 'Wrong passphrase' };
+        await notifyLockChanged();
+        return { success: true, ...await getLockStatus() };
+      }
+
+      case 'CHANGE_LOCK_PASSPHRASE': {
+        if (!payload.newPassphrase) return { error: 'Passphrase missing' };
+        if (!await changeLockPassphrase(payload.passphrase || '', payload.newPassphrase)) return { error: 'Wrong passphrase' };
+        return { success: true, ...await getLockStatus() };
+      }
+
+      case 'SET_LOCK_QUOTES': {
+        if (!await setLockQuotes(payload.quotes === true)) return { error: 'Private notes are locked' };
+        await notifyLockChanged();
+        return { success: true, ...await getLockStatus() };
+      }
+
+      // Selection toolbar on/off for one site (popup, the toolbar itself, settings)
+      case 'SET_SELECTION_TOOLBAR_SITE': {
+        let host;
+        try {
+          host = stripWww(new URL(url).hostname);
+        } catch {
+          return { error: 'Invalid URL' };
+        }
+
+        const settings = await getSettings();
+        const sites = (settings.selectionToolbarDisabledSites || []).filter(site => site !== host);
+        if (!payload.enabled) sites.push(host);
+        await updateSettings({ selectionToolbarDisabledSites: sites });
+        await refreshTabs(null);
+        return { success: true, selectionToolbarDisabledSites: sites };
+      }
+
       // Clear all data
       case 'CLEAR_ALL_DATA': {
-        await chrome.storage.local.remove(STORAGE_KEY_HIGHLIGHTS);
-        return { success: true };
+        const changes = await clearAllHighlights();
+        const operationId = await logOperation(GLOBAL_SCOPE, 'clear', changes);
+        await refreshTabs(null);
+        return { success: true, operationId };
       }
 
       default:
@@ -325,7 +2897,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   };
 
   // Return true to indicate async response
-  handleAsync().then(sendResponse);
+  handleAsync()
+    .then(sendResponse)
+    .catch(error => sendResponse({ success: false, error: error.message }));
   return true;
 });
 
@@ -334,6 +2908,29 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // ============================================
 
 chrome.commands.onCommand.addListener(async (command) => {
+  // The content script decides: text undo in a focused field, highlight undo otherwise
+  if (command === 'undo-highlight-change' || command === 'redo-highlight-change') {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tabs.length > 0) {
+      chrome.tabs.sendMessage(tabs[0].id, {
+        type: 'UNDO_SHORTCUT',
+        payload: { redo: command === 'redo-highlight-change' }
+      }).catch(() => { });
+    }
+    return;
+  }
+
+  if (command === 'next-highlight' || command === 'previous-highlight') {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tabs.length > 0) {
+      chrome.tabs.sendMessage(tabs[0].id, {
+        type: 'NAVIGATE_HIGHLIGHT',
+        payload: { direction: command === 'next-highlight' ? 1 : -1 }
+      }).catch(() => { });
+    }
+    return;
+  }
+
   if (command === 'highlight-selection') {
     const settings = await getSettings();
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -409,4 +3006,27 @@ async function initContextMenus() {
 }
 initContextMenus();
 
+// Auto-purge of the trash
+scheduleTrashPurge().catch(e => console.warn('Could not schedule trash purge:', e));
+
+// Automatic local backups
+scheduleSnapshots().catch(e => console.warn('Could not schedule snapshots:', e));
+
+// Sync with the user's server
+scheduleSync().catch(e => console.warn('Could not schedule sync:', e));
+
+// Upgrade stored data once the extension is installed, updated or started
+chrome.runtime.onInstalled.addListener(() => {
+  getDatabase().catch(e => console.warn('Schema migration failed:', e));
+});
+chrome.runtime.onStartup.addListener(() => {
+  getDatabase().catch(e => console.warn('Schema migration failed:', e));
+});
+
+// Sync secrets from older versions leave the stored settings
+migrateSyncSecrets().catch(e => console.warn('Sync secrets migration failed:', e));
+
+// Re-key stored pages if the URL rules changed since they were keyed
+applyUrlRules().catch(e => console.warn('URL rules migration failed:', e));
+
 console.log('Highlighter background script loaded');
@@ -13,6 +13,28 @@ const CONTEXT_SIZE = 30; // Characters for prefix/suffix
 // Cache for highlight data (notes, tags, etc.)
 let highlightCache = {};
 
+// Dynamic pages: restore is retried after DOM changes and URL changes
+const RESTORE_DEBOUNCE_MS = 500;
+const RESTORE_MAX_WAIT_MS = 2000;
+let restoreTimer = null;
+let restoreScheduledAt = 0;
+// Page text length when the fuzzy search last missed each highlight
+const fuzzyMissedAt = new Map();
+let currentPageUrl = null; // Storage key of the page, as returned by background
+let lastHref = window.location.href;
+
+// Toasts with an Undo button stay a bit longer
+const UNDO_NOTIFICATION_MS = 6000;
+
+// Floating toolbar next to selected text; settings arrive with the restore data
+const SELECTION_TOOLBAR_DELAY_MS = 10;
+let selectionToolbarEnabled = false;
+let lastUsedColor = '#FFEB3B';
+
+// Ticks along the viewport edge marking where highlights are on the page
+const MARKERS_UPDATE_DELAY_MS = 200;
+let markersEnabled = false;
+
 // Color palette
 const COLORS = {
   yellow: '#FFEB3B',
@@ -35,7 +57,12 @@ function generateId() {
   return 'hl-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
 }
 
-// normalizeUrl removed as it was unused and exists in helpers.js
+// URL normalization lives in background (depends on the URL rules in settings);
+// the content script only reports the page's canonical link
+function getCanonicalUrl() {
+  const link = document.querySelector('link[rel="canonical"]');
+  return link ? link.href : null;
+}
 
 function getContrastColor(hexColor) {
   if (!hexColor) return '#000000';
@@ -51,56 +78,86 @@ function getContrastColor(hexColor) {
 // XPATH FUNCTIONS (Consistent format: from body)
 // ============================================
 
+function isHighlightSpan(node) {
+  return node.nodeType === Node.ELEMENT_NODE && node.classList.contains(HIGHLIGHT_CLASS);
+}
+
+/**
+ * Returns element children with our highlight spans flattened away, so
+ * paths stay stable no matter which highlights are currently on the page
+ * @param {Element} parent - Parent element
+ * @returns {Element[]} Child elements as they were before highlighting
+ */
+function getPageChildren(parent) {
+  const children = [];
+  Array.from(parent.children).forEach(child => {
+    if (isHighlightSpan(child)) {
+      children.push(...getPageChildren(child));
+    } else {
+      children.push(child);
+    }
+  });
+  return children;
+}
+
 /**
- * Generates XPath for an element relative to document.body
+ * Generates XPath for an element relative to document.body, in the
+ * always-indexed form used by other annotation tools (e.g. '/div[1]/p[3]')
  * @param {Element} element - DOM element to get XPath for
  * @returns {string|null} XPath string or null if element is invalid
  */
 function getElementXPath(element) {
   if (!element) return null;
-  if (element === document.body) return '/body';
-  if (element.nodeType !== Node.ELEMENT_NODE) return null;
+  if (element === document.body) return '/';
+  if (element.nodeType !== Node.ELEMENT_NODE || !document.body.contains(element)) return null;
 
   let path = '';
   let current = element;
 
-  while (current && current !== document.body && current.parentNode) {
-    const parent = current.parentNode;
-    const siblings = Array.from(parent.children).filter(
+  while (current && current !== document.body) {
+    let parent = current.parentNode;
+    while (parent && isHighlightSpan(parent)) parent = parent.parentNode;
+    if (!parent) return null;
+
+    const siblings = getPageChildren(parent).filter(
       child => child.tagName === current.tagName
     );
-
-    if (siblings.length > 1) {
-      const index = siblings.indexOf(current) + 1;
-      path = `/${current.tagName.toLowerCase()}[${index}]` + path;
-    } else {
-      path = `/${current.tagName.toLowerCase()}` + path;
-    }
+    const index = siblings.indexOf(current) + 1;
+    path = `/${current.tagName.toLowerCase()}[${index}]` + path;
 
     current = parent;
   }
 
-  return '/body' + path;
+  return path;
 }
 
-function getTextNodeXPath(textNode) {
-  if (!textNode || textNode.nodeType !== Node.TEXT_NODE) return null;
+/**
+ * Resolves a path produced by getElementXPath(), skipping highlight spans
+ * @param {string} xpath - Path relative to document.body
+ * @returns {Element|null} Matching element or null
+ */
+function resolveElementXPath(xpath) {
+  if (typeof xpath !== 'string') return null;
 
-  const parent = textNode.parentNode;
-  if (!parent) return null;
+  let current = document.body;
+  const steps = xpath.split('/').filter(Boolean);
 
-  const parentXPath = getElementXPath(parent);
-  if (!parentXPath) return null;
+  for (const step of steps) {
+    const match = step.match(/^([\w-]+)(?:\[(\d+)\])?$/);
+    if (!match) return null;
 
-  // Count text node position among siblings
-  const textNodes = Array.from(parent.childNodes).filter(
-    node => node.nodeType === Node.TEXT_NODE
-  );
-  const index = textNodes.indexOf(textNode) + 1;
+    const tagName = match[1].toUpperCase();
+    const index = match[2] ? parseInt(match[2], 10) : 1;
+    const siblings = getPageChildren(current).filter(child => child.tagName === tagName);
+    current = siblings[index - 1];
+    if (!current) return null;
+  }
 
-  return parentXPath + `/text()[${index}]`;
+  return current;
 }
 
+// Legacy anchors (saved before selectors existed) point at text nodes
+// with a '/body/.../text()[n]' path evaluated by the browser
 function getElementByXPath(xpath) {
   if (!xpath) return null;
 
@@ -125,6 +182,398 @@ function getTextNodeByXPath(xpath) {
   return getElementByXPath(xpath);
 }
 
+// ============================================
+// TEXT SEGMENTS
+// ============================================
+
+// Text inside these elements is never highlighted
+const SKIPPED_PARENT_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA'];
+
+function isHighlightableTextNode(node) {
+  const parent = node.parentNode;
+  return !!parent && !SKIPPED_PARENT_TAGS.includes(parent.nodeName);
+}
+
+/**
+ * Collects the text node segments covered by a range
+ * @param {Range} range - DOM range, may span multiple elements
+ * @returns {Array<{node: Text, start: number, end: number}>} Segments in document order
+ */
+function getTextSegments(range) {
+  const root = range.commonAncestorContainer;
+  const nodes = [];
+
+  if (root.nodeType === Node.TEXT_NODE) {
+    nodes.push(root);
+  } else {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+    let node;
+    while (node = walker.nextNode()) {
+      if (range.intersectsNode(node)) nodes.push(node);
+    }
+  }
+
+  return nodes
+    .filter(isHighlightableTextNode)
+    .map(node => ({
+      node,
+      start: node === range.startContainer ? range.startOffset : 0,
+      end: node === range.endContainer ? range.endOffset : node.length
+    }))
+    .filter(segment => segment.end > segment.start);
+}
+
+/**
+ * Drops leading/trailing whitespace from a segment list so the stored
+ * quote and offsets match what the user actually selected
+ * @param {Array} segments - Segments from getTextSegments()
+ * @returns {Array} Trimmed segments (may be empty)
+ */
+function trimSegments(segments) {
+  const result = segments.map(s => ({ ...s }));
+
+  while (result.length > 0) {
+    const first = result[0];
+    const text = first.node.textContent.substring(first.start, first.end);
+    const leading = text.length - text.trimStart().length;
+    if (leading < text.length) {
+      first.start += leading;
+      break;
+    }
+    result.shift();
+  }
+
+  while (result.length > 0) {
+    const last = result[result.length - 1];
+    const text = last.node.textContent.substring(last.start, last.end);
+    const trailing = text.length - text.trimEnd().length;
+    if (trailing < text.length) {
+      last.end -= trailing;
+      break;
+    }
+    result.pop();
+  }
+
+  return result;
+}
+
+function getSegmentsText(segments) {
+  return segments.map(s => s.node.textContent.substring(s.start, s.end)).join('');
+}
+
+/**
+ * Builds the segment list between two independent anchors
+ * @returns {Array|null} Segments or null if the anchors are out of order
+ */
+function getSegmentsBetween(startNode, startOffset, endNode, endOffset) {
+  try {
+    const range = document.createRange();
+    range.setStart(startNode, startOffset);
+    range.setEnd(endNode, endOffset);
+    if (range.collapsed) return null;
+    return getTextSegments(range);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Flattens the text under an element into a single string, keeping a map
+ * back to the text nodes so matches can span element boundaries
+ * @param {Element} root - Element to index
+ * @returns {{text: string, nodes: Array<{node: Text, start: number}>}}
+ */
+function buildTextIndex(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+  const nodes = [];
+  let text = '';
+
+  let node;
+  while (node = walker.nextNode()) {
+    if (!isHighlightableTextNode(node)) continue;
+    nodes.push({ node, start: text.length });
+    text += node.textContent;
+  }
+
+  return { text, nodes };
+}
+
+/**
+ * Converts a [start, end) match in a text index back to text segments
+ */
+function indexRangeToSegments(index, start, end) {
+  const segments = [];
+
+  for (const { node, start: nodeStart } of index.nodes) {
+    const nodeEnd = nodeStart + node.textContent.length;
+    if (nodeEnd <= start) continue;
+    if (nodeStart >= end) break;
+
+    segments.push({
+      node,
+      start: Math.max(start, nodeStart) - nodeStart,
+      end: Math.min(end, nodeEnd) - nodeStart
+    });
+  }
+
+  return segments;
+}
+
+/**
+ * Converts a text node offset to a character offset in a text index
+ * @returns {number} Offset in index.text, or -1 if the node is not indexed
+ */
+function getIndexOffset(index, node, offset) {
+  const entry = index.nodes.find(n => n.node === node);
+  return entry ? entry.start + offset : -1;
+}
+
+// ============================================
+// SELECTORS (W3C Web Annotation model)
+// ============================================
+
+// Fuzzy matching limits: allowed edits per quote character, how far from
+// the expected position to look first, and the max DP cells for a full scan
+const FUZZY_ERROR_RATIO = 0.15;
+const FUZZY_WINDOW = 2000;
+const FUZZY_MAX_CELLS = 20000000;
+// Retries after DOM changes get a smaller budget, and skip highlights the
+// search already missed until the page text grows or shrinks by this much
+const FUZZY_RETRY_MAX_CELLS = 2000000;
+const FUZZY_RETRY_CHANGE_RATIO = 0.25;
+
+/**
+ * Returns the nearest ancestor that belongs to the page (not a highlight span)
+ * @param {Text} textNode - Text node
+ * @returns {Element} Container element
+ */
+function getAnchorContainer(textNode) {
+  let container = textNode.parentNode;
+  while (container && isHighlightSpan(container)) container = container.parentNode;
+  return container;
+}
+
+/**
+ * Describes text segments with TextQuote, TextPosition and Range selectors.
+ * The RangeSelector uses the container/offset form (offsets into the
+ * container's text) so it can be exchanged with other annotation tools.
+ * @param {Array} segments - Trimmed text segments of the selection
+ * @returns {Array|null} Selector list or null if the segments can't be described
+ */
+function createSelectors(segments) {
+  const first = segments[0];
+  const last = segments[segments.length - 1];
+
+  const bodyIndex = buildTextIndex(document.body);
+  const start = getIndexOffset(bodyIndex, first.node, first.start);
+  const end = getIndexOffset(bodyIndex, last.node, last.end);
+  if (start === -1 || end === -1) return null;
+
+  const startContainer = getAnchorContainer(first.node);
+  const endContainer = getAnchorContainer(last.node);
+  const startXPath = getElementXPath(startContainer);
+  const endXPath = getElementXPath(endContainer);
+  if (startXPath === null || endXPath === null) return null;
+
+  const text = bodyIndex.text;
+
+  return [
+    {
+      type: 'TextQuoteSelector',
+      exact: text.substring(start, end),
+      prefix: text.substring(Math.max(0, start - CONTEXT_SIZE), start),
+      suffix: text.substring(end, end + CONTEXT_SIZE)
+    },
+    {
+      type: 'TextPositionSelector',
+      start,
+      end
+    },
+    {
+      type: 'RangeSelector',
+      startContainer: startXPath,
+      startOffset: getIndexOffset(buildTextIndex(startContainer), first.node, first.start),
+      endContainer: endXPath,
+      endOffset: getIndexOffset(buildTextIndex(endContainer), last.node, last.end)
+    }
+  ];
+}
+
+/**
+ * Returns an item's selectors, deriving a TextQuoteSelector for items
+ * saved before selectors were stored
+ * @param {Object} item - Highlight item
+ * @returns {Array} Selector list
+ */
+function getSelectors(item) {
+  if (Array.isArray(item.selectors) && item.selectors.length > 0) {
+    return item.selectors;
+  }
+
+  return [{
+    type: 'TextQuoteSelector',
+    exact: item.quote || '',
+    prefix: item.prefix || '',
+    suffix: item.suffix || ''
+  }];
+}
+
+function findSelector(selectors, type) {
+  return selectors.find(s => s && s.type === type) || null;
+}
+
+// A null `exact` skips the text check
+function anchorRangeSelector(selector, exact) {
+  const startContainer = resolveElementXPath(selector.startContainer);
+  const endContainer = resolveElementXPath(selector.endContainer);
+  if (!startContainer || !endContainer) return null;
+
+  const startIndex = buildTextIndex(startContainer);
+  const endIndex = buildTextIndex(endContainer);
+  const [startSegment] = indexRangeToSegments(startIndex, selector.startOffset, selector.startOffset + 1);
+  const endSegments = indexRangeToSegments(endIndex, selector.endOffset - 1, selector.endOffset);
+  const endSegment = endSegments[endSegments.length - 1];
+  if (!startSegment || !endSegment) return null;
+
+  const segments = getSegmentsBetween(startSegment.node, startSegment.start, endSegment.node, endSegment.end);
+  if (!segments || (exact !== null && getSegmentsText(segments) !== exact)) return null;
+  return segments;
+}
+
+function anchorPositionSelector(selector, exact, bodyIndex) {
+  if (exact !== null && bodyIndex.text.substring(selector.start, selector.end) !== exact) return null;
+  return indexRangeToSegments(bodyIndex, selector.start, selector.end);
+}
+
+/**
+ * Finds the exact quote, preferring matches whose surrounding text equals
+ * the stored prefix/suffix and, among equals, the one nearest the hint
+ */
+function anchorQuoteSelector(selector, bodyIndex, hint) {
+  const { exact, prefix, suffix } = selector;
+  if (!exact) return null;
+
+  const text = bodyIndex.text;
+  let bestStart = -1;
+  let bestScore = 0;
+  let bestDistance = Infinity;
+  let searchStart = 0;
+  let start;
+
+  while ((start = text.indexOf(exact, searchStart)) !== -1) {
+    // Calculate context match score
+    let score = 1;
+
+    if (prefix) {
+      const actualPrefix = text.substring(start - prefix.length, start);
+      if (actualPrefix === prefix) score += 2;
+      else if (actualPrefix.includes(prefix.slice(-10))) score += 1;
+    }
+
+    if (suffix) {
+      const actualSuffix = text.substring(start + exact.length, start + exact.length + suffix.length);
+      if (actualSuffix === suffix) score += 2;
+      else if (actualSuffix.includes(suffix.slice(0, 10))) score += 1;
+    }
+
+    const distance = hint === null ? 0 : Math.abs(start - hint);
+    if (score > bestScore || (score === bestScore && distance < bestDistance)) {
+      bestScore = score;
+      bestDistance = distance;
+      bestStart = start;
+    }
+
+    searchStart = start + 1;
+  }
+
+  if (bestStart === -1) return null;
+  return indexRangeToSegments(bodyIndex, bestStart, bestStart + exact.length);
+}
+
+/**
+ * Last resort: approximate match of the quote so highlights survive small
+ * edits to the page. Searches near the expected position first.
+ * @param {number} maxCells - Budget for scanning the whole text, 0 skips the search
+ */
+function anchorFuzzy(selector, bodyIndex, hint, maxCells) {
+  if (maxCells === 0) return null;
+
+  const exact = selector.exact || '';
+  const maxErrors = Math.floor(exact.length * FUZZY_ERROR_RATIO);
+  if (maxErrors === 0) return null;
+
+  const text = bodyIndex.text;
+  let match = null;
+
+  if (hint !== null) {
+    const windowStart = Math.max(0, hint - FUZZY_WINDOW);
+    const windowEnd = Math.min(text.length, hint + exact.length + FUZZY_WINDOW);
+    match = fuzzySearch(text.substring(windowStart, windowEnd), exact, maxErrors, hint - windowStart);
+    if (match) {
+      match.start += windowStart;
+      match.end += windowStart;
+    }
+  }
+
+  if (!match && text.length * exact.length <= maxCells) {
+    match = fuzzySearch(text, exact, maxErrors, hint);
+  }
+
+  if (!match) return null;
+  return indexRangeToSegments(bodyIndex, match.start, match.end);
+}
+
+/**
+ * Approximate substring search (Sellers' edit-distance algorithm)
+ * @param {string} text - Text to search in
+ * @param {string} pattern - Text to look for
+ * @param {number} maxErrors - Max insertions/deletions/substitutions
+ * @param {number|null} hint - Expected start position, breaks ties
+ * @returns {{start: number, end: number, errors: number}|null} Best match
+ */
+function fuzzySearch(text, pattern, maxErrors, hint) {
+  const best = findBestMatchEnd(text, pattern, maxErrors, hint === null ? null : hint + pattern.length);
+  if (!best) return null;
+
+  // Run the same search backwards from the match end to recover its start
+  const windowStart = Math.max(0, best.end - pattern.length - maxErrors);
+  const reversedText = text.substring(windowStart, best.end).split('').reverse().join('');
+  const reversedPattern = pattern.split('').reverse().join('');
+  const reversed = findBestMatchEnd(reversedText, reversedPattern, maxErrors, null);
+  if (!reversed) return null;
+
+  return { start: best.end - reversed.end, end: best.end, errors: best.errors };
+}
+
+function findBestMatchEnd(text, pattern, maxErrors, hintEnd) {
+  const m = pattern.length;
+  let previous = new Int32Array(m + 1);
+  let current = new Int32Array(m + 1);
+  for (let i = 0; i <= m; i++) previous[i] = i;
+
+  let best = null;
+
+  for (let j = 1; j <= text.length; j++) {
+    const char = text[j - 1];
+    current[0] = 0;
+    for (let i = 1; i <= m; i++) {
+      const cost = pattern[i - 1] === char ? 0 : 1;
+      current[i] = Math.min(previous[i - 1] + cost, previous[i] + 1, current[i - 1] + 1);
+    }
+
+    const errors = current[m];
+    if (errors <= maxErrors) {
+      const better = !best || errors < best.errors ||
+        (errors === best.errors && hintEnd !== null && Math.abs(j - hintEnd) < Math.abs(best.end - hintEnd));
+      if (better) best = { end: j, errors };
+    }
+
+    [previous, current] = [current, previous];
+  }
+
+  return best;
+}
+
 // ============================================
 // SELECTION & VALIDATION
 // ============================================
@@ -138,44 +587,23 @@ function getSelectionInfo() {
 
   if (!text) return null;
 
-  // Check for single text node (MVP constraint)
-  if (range.startContainer !== range.endContainer) {
-    // Multi-node selection - check if it's _just_ text nodes within same parent
-    if (range.startContainer.nodeType !== Node.TEXT_NODE ||
-      range.endContainer.nodeType !== Node.TEXT_NODE ||
-      range.startContainer.parentNode !== range.endContainer.parentNode) {
-      return { error: 'multi-node', text };
-    }
-  }
-
-  const textNode = range.startContainer;
-  if (textNode.nodeType !== Node.TEXT_NODE) {
+  // Start and end are anchored independently, so the selection may cross
+  // any number of elements and text nodes
+  const segments = trimSegments(getTextSegments(range));
+  if (segments.length === 0) {
     return { error: 'not-text-node', text };
   }
 
-  // Get XPath
-  const xpath = getTextNodeXPath(textNode);
-  if (!xpath) {
+  const selectors = createSelectors(segments);
+  if (!selectors) {
     return { error: 'xpath-failed', text };
   }
 
-  // Get context (prefix/suffix)
-  const fullText = textNode.textContent || '';
-  const startOffset = range.startOffset;
-  const endOffset = range.endOffset;
-
-  const prefix = fullText.substring(Math.max(0, startOffset - CONTEXT_SIZE), startOffset);
-  const suffix = fullText.substring(endOffset, Math.min(fullText.length, endOffset + CONTEXT_SIZE));
-
   return {
     text,
-    quote: text,
-    xpath,
-    startOffset,
-    endOffset,
-    prefix,
-    suffix,
-    range
+    quote: getSegmentsText(segments),
+    selectors,
+    segments
   };
 }
 
@@ -196,13 +624,91 @@ function createHighlightSpan(id, color) {
   span.style.backgroundColor = color;
   span.style.color = getContrastColor(color);
   span.style.cursor = 'pointer';
+  span.setAttribute('role', 'mark');
+  span.setAttribute('aria-roledescription', chrome.i18n.getMessage('ariaHighlight'));
+  span.tabIndex = -1;
 
   // Create listener for interaction
   span.addEventListener('click', (e) => handleHighlightClick(e, id));
+  span.addEventListener('keydown', (e) => handleHighlightKeydown(e, id));
 
   return span;
 }
 
+/**
+ * Makes the first span of a highlight the tab stop and lets screen readers
+ * read its note along with the text
+ * @param {string} id - Highlight ID
+ */
+function describeHighlight(id) {
+  const spans = getHighlightSpans(id);
+  if (spans.length === 0) return;
+
+  const note = highlightCache[id]?.note;
+  spans.forEach((span, index) => {
+    span.tabIndex = index === 0 ? 0 : -1;
+    if (index === 0 && typeof note === 'string' && note) {
+      span.setAttribute('aria-description', note);
+    } else {
+      span.removeAttribute('aria-description');
+    }
+  });
+}
+
+/**
+ * Wraps every segment in its own span, all sharing one highlight ID.
+ * Whitespace-only segments (e.g. between block elements) are left alone.
+ * @param {Array} segments - Text segments to wrap
+ * @param {string} id - Highlight ID
+ * @param {string} color - Highlight color in hex format
+ * @returns {boolean} True if at least one span was created
+ */
+function wrapSegments(segments, id, color) {
+  let wrapped = 0;
+
+  try {
+    segments.forEach(({ node, start, end }) => {
+      if (!node.textContent.substring(start, end).trim()) return;
+
+      const range = document.createRange();
+      range.setStart(node, start);
+      range.setEnd(node, end);
+      range.surroundContents(createHighlightSpan(id, color));
+      wrapped++;
+    });
+  } catch (e) {
+    console.warn('wrapSegments failed:', e);
+    removeHighlightSpan(id);
+    return false;
+  }
+
+  if (wrapped > 0) {
+    describeHighlight(id);
+    scheduleMarkersUpdate();
+  }
+  return wrapped > 0;
+}
+
+/**
+ * Caches a highlight that was just placed and saves it via background
+ * @param {Object} highlightData - Highlight data from applyHighlight()
+ * @returns {Promise<Object>} The background response
+ */
+function saveNewHighlight(highlightData) {
+  highlightCache[highlightData.id] = highlightData;
+  lastUsedColor = highlightData.color;
+
+  return chrome.runtime.sendMessage({
+    type: 'CONTENT_ADD_HIGHLIGHT',
+    payload: {
+      url: window.location.href,
+      canonicalUrl: getCanonicalUrl(),
+      title: document.title,
+      highlightData
+    }
+  });
+}
+
 /**
  * Applies a highlight to the selected text
  * @param {Object} selectionInfo - Selection info from getSelectionInfo()
@@ -210,16 +716,12 @@ function createHighlightSpan(id, color) {
  * @returns {Object|null} Highlight data object or null if failed
  */
 function applyHighlight(selectionInfo, color) {
-  const { range, text, quote, xpath, startOffset, endOffset, prefix, suffix } = selectionInfo;
+  const { segments, text, quote, selectors } = selectionInfo;
 
   const id = generateId();
-  const span = createHighlightSpan(id, color);
 
-  try {
-    range.surroundContents(span);
-  } catch (e) {
-    console.warn('surroundContents failed:', e);
-    showNotification('Bu seçim vurgulanamıyor (karmaşık yapı)', 'error');
+  if (!wrapSegments(segments, id, color)) {
+    showNotification(chrome.i18n.getMessage('notificationCannotHighlight'), 'error');
     return null;
   }
 
@@ -227,219 +729,297 @@ function applyHighlight(selectionInfo, color) {
   window.getSelection().removeAllRanges();
 
   // Prepare highlight data for storage
-  const highlightData = {
+  return {
     id,
     quote: quote || text,
-    prefix: prefix || '',
-    suffix: suffix || '',
     color,
-    xpath,
-    startOffset,
-    endOffset,
+    selectors,
     note: '',
+    tags: [],
     createdAt: new Date().toISOString()
   };
-
-  // Add click handler
-  span.addEventListener('click', (e) => handleHighlightClick(e, id));
-
-  return highlightData;
 }
 
 // ============================================
-// HIGHLIGHT RESTORATION (3-tier strategy)
+// HIGHLIGHT RESTORATION
 // ============================================
 
-function restoreHighlights(items) {
-  if (!items || items.length === 0) return;
-
-  items.forEach(item => {
+/**
+ * Places every item that is not already on the page
+ * @param {Array} items - Highlight items
+ * @param {boolean} [retry=false] - Whether this is a retry after a DOM change
+ * @returns {{anchoredIds: string[], orphanedIds: string[]}} Placement result
+ */
+function restoreHighlights(items, retry = false) {
+  const anchoredIds = [];
+  const orphanedIds = [];
+  // Shared by the items of one pass until a wrap splits its text nodes
+  let bodyIndex = null;
+  const getBodyIndex = () => bodyIndex || (bodyIndex = buildTextIndex(document.body));
+
+  (items || []).forEach(item => {
     // Cache item data
     highlightCache[item.id] = item;
 
     // Skip if already restored
-    if (document.querySelector(`[${HIGHLIGHT_DATA_ATTR}="${item.id}"]`)) {
+    if (getHighlightSpans(item.id).length > 0) {
+      anchoredIds.push(item.id);
       return;
     }
 
-    const restored = tryRestoreHighlight(item);
-    if (!restored) {
-      console.warn('Could not restore highlight:', item.id, item.quote?.substring(0, 30));
+    if (tryRestoreHighlight(item, getBodyIndex, getFuzzyBudget(item, getBodyIndex, retry))) {
+      anchoredIds.push(item.id);
+      fuzzyMissedAt.delete(item.id);
+      bodyIndex = null;
+    } else if (!isQuoteHidden(item)) {
+      // Without its quote a locked highlight cannot be searched for, so it is not lost yet
+      orphanedIds.push(item.id);
+      fuzzyMissedAt.set(item.id, getBodyIndex().text.length);
     }
   });
+
+  return { anchoredIds, orphanedIds };
 }
 
-function tryRestoreHighlight(item) {
-  // Strategy 1: XPath + offset
-  let textNode = getTextNodeByXPath(item.xpath);
-  if (textNode && textNode.nodeType === Node.TEXT_NODE) {
-    const text = textNode.textContent || '';
+// A full fuzzy scan is the expensive part of a retry
+function getFuzzyBudget(item, getBodyIndex, retry) {
+  if (!retry) return FUZZY_MAX_CELLS;
+  if (!fuzzyMissedAt.has(item.id)) return FUZZY_RETRY_MAX_CELLS;
 
-    // Verify the text matches at expected position
-    const expectedText = text.substring(item.startOffset, item.endOffset);
-    if (expectedText === item.quote) {
-      return applyHighlightToTextNode(textNode, item.startOffset, item.endOffset, item);
-    }
-  }
+  const missedAt = fuzzyMissedAt.get(item.id);
+  const changed = Math.abs(getBodyIndex().text.length - missedAt) >= missedAt * FUZZY_RETRY_CHANGE_RATIO;
+  return changed ? FUZZY_RETRY_MAX_CELLS : 0;
+}
 
-  // Strategy 2: Find quote within XPath parent
-  if (textNode) {
-    const parent = textNode.nodeType === Node.TEXT_NODE ? textNode.parentNode : textNode;
-    const found = findQuoteInElement(parent, item.quote);
-    if (found) {
-      return applyHighlightToTextNode(found.node, found.start, found.end, item);
+// Let background record the orphaned ones so the popup/dashboard can show them
+function reportAnchoring(anchoredIds, orphanedIds) {
+  if (anchoredIds.length === 0 && orphanedIds.length === 0) return;
+
+  chrome.runtime.sendMessage({
+    type: 'CONTENT_REPORT_ANCHORING',
+    payload: {
+      url: window.location.href,
+      canonicalUrl: getCanonicalUrl(),
+      anchoredIds,
+      orphanedIds
     }
-  }
-
-  // Strategy 3: Search document with prefix/suffix context
-  const found = findQuoteWithContext(item.quote, item.prefix, item.suffix);
-  if (found) {
-    return applyHighlightToTextNode(found.node, found.start, found.end, item);
-  }
-
-  return false;
+  }).catch(() => { });
 }
 
-function findQuoteInElement(element, quote) {
-  if (!element || !quote) return null;
+/**
+ * Attaches an orphaned highlight to the current selection, keeping its ID
+ * @param {string} id - Orphaned highlight ID
+ * @param {string} color - Highlight color in hex format
+ * @returns {Object} Result with the new quote and selectors on success
+ */
+function reanchorHighlight(id, color) {
+  const selectionInfo = getSelectionInfo();
+  if (!selectionInfo) {
+    showNotification(chrome.i18n.getMessage('notificationReanchorSelect'), 'warning');
+    return { success: false, error: 'no-selection' };
+  }
+  if (selectionInfo.error) {
+    showNotification(chrome.i18n.getMessage('notificationCannotHighlight'), 'warning');
+    return { success: false, error: selectionInfo.error };
+  }
 
-  const walker = document.createTreeWalker(
-    element,
-    NodeFilter.SHOW_TEXT,
-    null,
-    false
-  );
+  // Drop any partial placement left from an earlier attempt
+  removeHighlightSpan(id);
 
-  let node;
-  while (node = walker.nextNode()) {
-    const text = node.textContent || '';
-    const index = text.indexOf(quote);
-    if (index !== -1) {
-      return { node, start: index, end: index + quote.length };
-    }
+  if (!wrapSegments(selectionInfo.segments, id, color)) {
+    showNotification(chrome.i18n.getMessage('notificationCannotHighlight'), 'error');
+    return { success: false, error: 'apply-failed' };
   }
 
-  return null;
-}
+  window.getSelection().removeAllRanges();
 
-function findQuoteWithContext(quote, prefix, suffix) {
-  if (!quote) return null;
+  const { quote, selectors } = selectionInfo;
+  highlightCache[id] = { ...highlightCache[id], quote, selectors, orphaned: false };
+  showNotification(chrome.i18n.getMessage('notificationReanchored'), 'success');
+  return { success: true, quote, selectors };
+}
 
-  const walker = document.createTreeWalker(
-    document.body,
-    NodeFilter.SHOW_TEXT,
-    null,
-    false
-  );
+// Private notes that are locked come without their quote text
+function isQuoteHidden(item) {
+  return item.locked === true && !item.quote;
+}
 
-  let node;
-  let bestMatch = null;
-  let bestScore = 0;
+/**
+ * Tries each selector in turn: Range, TextPosition, exact TextQuote and
+ * finally a fuzzy TextQuote match. Without the quote (locked), the Range
+ * and TextPosition selectors are trusted as they are.
+ * @param {Object} item - Highlight item
+ * @param {Function} getBodyIndex - Returns the text index of the body
+ * @param {number} fuzzyMaxCells - See anchorFuzzy()
+ * @returns {boolean} True if the highlight was placed
+ */
+function tryRestoreHighlight(item, getBodyIndex, fuzzyMaxCells) {
+  const selectors = getSelectors(item);
+  const quoteSelector = findSelector(selectors, 'TextQuoteSelector');
+  const positionSelector = findSelector(selectors, 'TextPositionSelector');
+  const rangeSelector = findSelector(selectors, 'RangeSelector');
+  const exact = quoteSelector ? quoteSelector.exact : item.quote;
+  const trustPositions = isQuoteHidden(item);
+
+  // Items saved before selectors existed: legacy text node XPath + offsets
+  if (!item.selectors && item.xpath) {
+    const segments = anchorLegacyXPath(item);
+    if (segments) return wrapSegments(segments, item.id, item.color);
+  }
 
-  while (node = walker.nextNode()) {
-    const text = node.textContent || '';
-    let searchStart = 0;
-    let index;
-
-    while ((index = text.indexOf(quote, searchStart)) !== -1) {
-      // Calculate context match score
-      let score = 1;
-
-      if (prefix && index >= prefix.length) {
-        const actualPrefix = text.substring(index - prefix.length, index);
-        if (actualPrefix === prefix) score += 2;
-        else if (actualPrefix.includes(prefix.slice(-10))) score += 1;
-      }
+  if (rangeSelector && (exact || trustPositions)) {
+    const segments = anchorRangeSelector(rangeSelector, trustPositions ? null : exact);
+    if (segments) return wrapSegments(segments, item.id, item.color);
+  }
 
-      if (suffix && index + quote.length + suffix.length <= text.length) {
-        const actualSuffix = text.substring(index + quote.length, index + quote.length + suffix.length);
-        if (actualSuffix === suffix) score += 2;
-        else if (actualSuffix.includes(suffix.slice(0, 10))) score += 1;
-      }
+  const bodyIndex = getBodyIndex();
+  const hint = positionSelector ? positionSelector.start : null;
 
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = { node, start: index, end: index + quote.length };
-      }
+  if (positionSelector && (exact || trustPositions)) {
+    const segments = anchorPositionSelector(positionSelector, trustPositions ? null : exact, bodyIndex);
+    if (segments) return wrapSegments(segments, item.id, item.color);
+  }
 
-      searchStart = index + 1;
-    }
+  if (quoteSelector) {
+    const segments = anchorQuoteSelector(quoteSelector, bodyIndex, hint) ||
+      anchorFuzzy(quoteSelector, bodyIndex, hint, fuzzyMaxCells);
+    if (segments) return wrapSegments(segments, item.id, item.color);
   }
 
-  return bestMatch;
+  return false;
 }
 
-function applyHighlightToTextNode(textNode, startOffset, endOffset, item) {
-  try {
-    const range = document.createRange();
-    range.setStart(textNode, startOffset);
-    range.setEnd(textNode, endOffset);
-
-    const span = createHighlightSpan(item.id, item.color);
-    range.surroundContents(span);
-
-    // Listener is added in createHighlightSpan
-
-    return true;
-  } catch (e) {
-    console.warn('applyHighlightToTextNode failed:', e);
-    return false;
+function anchorLegacyXPath(item) {
+  const startNode = getTextNodeByXPath(item.xpath);
+  const endNode = item.endXpath ? getTextNodeByXPath(item.endXpath) : startNode;
+  if (!startNode || !endNode ||
+    startNode.nodeType !== Node.TEXT_NODE || endNode.nodeType !== Node.TEXT_NODE) {
+    return null;
   }
+
+  // Verify the text matches at expected position
+  const segments = getSegmentsBetween(startNode, item.startOffset, endNode, item.endOffset);
+  if (!segments || getSegmentsText(segments) !== item.quote) return null;
+  return segments;
 }
 
 // ============================================
 // HIGHLIGHT MANAGEMENT
 // ============================================
 
+/**
+ * Returns every span belonging to a highlight (one per wrapped text segment)
+ * @param {string} id - Highlight ID
+ * @returns {HTMLSpanElement[]} Spans in document order
+ */
+function getHighlightSpans(id) {
+  // Imported and synced ids can hold any character
+  return Array.from(document.querySelectorAll(`[${HIGHLIGHT_DATA_ATTR}="${CSS.escape(id)}"]`));
+}
+
 function removeHighlightSpan(id) {
-  const span = document.querySelector(`[${HIGHLIGHT_DATA_ATTR}="${id}"]`);
-  if (!span) return false;
+  const spans = getHighlightSpans(id);
+  if (spans.length === 0) return false;
 
-  const parent = span.parentNode;
-  if (!parent) return false;
+  spans.forEach(span => {
+    const parent = span.parentNode;
+    if (!parent) return;
 
-  // Unwrap: move children out, remove span
-  while (span.firstChild) {
-    parent.insertBefore(span.firstChild, span);
-  }
-  parent.removeChild(span);
+    // Unwrap: move children out, remove span
+    while (span.firstChild) {
+      parent.insertBefore(span.firstChild, span);
+    }
+    parent.removeChild(span);
 
-  // Normalize to merge adjacent text nodes
-  parent.normalize();
+    // Normalize to merge adjacent text nodes
+    parent.normalize();
+  });
 
   return true;
 }
 
 function updateHighlightColor(id, newColor) {
-  const span = document.querySelector(`[${HIGHLIGHT_DATA_ATTR}="${id}"]`);
-  if (!span) return false;
+  const spans = getHighlightSpans(id);
+  if (spans.length === 0) return false;
 
-  span.style.backgroundColor = newColor;
-  span.style.color = getContrastColor(newColor);
+  spans.forEach(span => {
+    span.style.backgroundColor = newColor;
+    span.style.color = getContrastColor(newColor);
+  });
+  scheduleMarkersUpdate();
   return true;
 }
 
 function scrollToHighlight(id) {
-  const span = document.querySelector(`[${HIGHLIGHT_DATA_ATTR}="${id}"]`);
-  if (!span) return false;
+  const spans = getHighlightSpans(id);
+  if (spans.length === 0) return false;
 
   // Scroll to element with offset
-  span.scrollIntoView({
+  spans[0].scrollIntoView({
     behavior: 'smooth',
     block: 'center'
   });
 
   // Add pulse animation
-  span.classList.add('hl-pulse');
+  spans.forEach(span => span.classList.add('hl-pulse'));
 
   // Remove animation after it completes
   setTimeout(() => {
-    span.classList.remove('hl-pulse');
+    spans.forEach(span => span.classList.remove('hl-pulse'));
   }, 2000);
 
   return true;
 }
 
+// ============================================
+// UI ROOT
+// ============================================
+// Toolbars, the note modal and notifications live in a closed shadow root, so
+// page styles cannot restyle them and page scripts cannot reach into them.
+// Highlight spans stay in the page, where the text is.
+// Web accessible under a per-session URL (use_dynamic_url), so pages cannot
+// detect the extension by requesting it at a fixed address
+const UI_STYLESHEET = 'content/ui.css';
+let uiHost = null;
+let uiRoot = null;
+
+/**
+ * Returns the shadow root for injected UI, creating the host on first use
+ * @returns {ShadowRoot}
+ */
+function getUiRoot() {
+  if (!uiHost) {
+    uiHost = document.createElement('highlighter-ui');
+    // Above everything on the page; hidden until the stylesheet is in
+    uiHost.style.cssText = [
+      'all: initial', 'position: fixed', 'top: 0', 'left: 0', 'width: 0', 'height: 0',
+      'z-index: 2147483647', 'visibility: hidden'
+    ].map(rule => `${rule} !important;`).join(' ');
+    uiRoot = uiHost.attachShadow({ mode: 'closed' });
+
+    const stylesheet = document.createElement('link');
+    stylesheet.rel = 'stylesheet';
+    stylesheet.href = chrome.runtime.getURL(UI_STYLESHEET);
+    const reveal = () => uiHost.style.removeProperty('visibility');
+    stylesheet.addEventListener('load', reveal, { once: true });
+    stylesheet.addEventListener('error', reveal, { once: true });
+    uiRoot.appendChild(stylesheet);
+  }
+  // Outside <body>, so text indexing and the restore observer never see it;
+  // re-attached when the page replaces its document content
+  if (!uiHost.isConnected) document.documentElement.appendChild(uiHost);
+  return uiRoot;
+}
+
+function isExtensionUi(node) {
+  return !!uiHost && (node === uiHost || uiRoot.contains(node));
+}
+
+// Focus inside the shadow root shows up as the host on the document
+function getActiveElement() {
+  return uiHost && document.activeElement === uiHost ? uiRoot.activeElement : document.activeElement;
+}
+
 // ============================================
 // UI FEEDBACK
 // ============================================
@@ -453,12 +1033,21 @@ function handleHighlightClick(e, id) {
   showHighlightToolbar(e.target, id);
 }
 
-function showHighlightToolbar(highlightSpan, id) {
+/**
+ * Shows the mini toolbar above a highlight
+ * @param {HTMLElement} highlightSpan - Span to place the toolbar at
+ * @param {string} id - Highlight ID
+ * @param {boolean} focus - Move keyboard focus into the toolbar
+ */
+function showHighlightToolbar(highlightSpan, id, focus = false) {
   removeTooltip();
+  removeSelectionToolbar();
 
   const toolbar = document.createElement('div');
   toolbar.className = 'hl-extension-toolbar';
   toolbar.dataset.id = id;
+  toolbar.setAttribute('role', 'toolbar');
+  toolbar.setAttribute('aria-label', chrome.i18n.getMessage('ariaHighlightToolbar'));
   toolbar.innerHTML = `
     <div class="hl-toolbar-row">
       <div class="hl-toolbar-colors">
@@ -485,28 +1074,24 @@ function showHighlightToolbar(highlightSpan, id) {
   toolbar.style.position = 'fixed';
   toolbar.style.top = (rect.top - 40) + 'px';
   toolbar.style.left = rect.left + 'px';
-  toolbar.style.zIndex = '999999';
 
-  document.body.appendChild(toolbar);
+  getUiRoot().appendChild(toolbar);
   currentTooltip = toolbar;
+  if (focus) toolbar.querySelector('button').focus();
+
+  // Escape goes back to the highlight
+  toolbar.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    removeTooltip();
+  });
 
   // Color buttons
   toolbar.querySelectorAll('.hl-color-btn').forEach(btn => {
     btn.addEventListener('click', async (e) => {
       e.stopPropagation();
-      const color = btn.dataset.color;
-      updateHighlightColor(id, color);
-
-      await chrome.runtime.sendMessage({
-        type: 'CONTENT_UPDATE_HIGHLIGHT',
-        payload: {
-          url: window.location.href,
-          highlightId: id,
-          updates: { color }
-        }
-      });
-
       removeTooltip();
+      await recolorHighlight(id, btn.dataset.color);
     });
   });
 
@@ -521,16 +1106,19 @@ function showHighlightToolbar(highlightSpan, id) {
   toolbar.querySelector('.hl-delete-btn').addEventListener('click', async (e) => {
     e.stopPropagation();
     removeHighlightSpan(id);
+    delete highlightCache[id];
+    removeTooltip();
 
-    await chrome.runtime.sendMessage({
+    const response = await chrome.runtime.sendMessage({
       type: 'CONTENT_REMOVE_HIGHLIGHT',
       payload: {
         url: window.location.href,
+        canonicalUrl: getCanonicalUrl(),
         highlightId: id
       }
     });
 
-    removeTooltip();
+    showUndoNotification(response?.operationId);
   });
 
   // Close on outside click
@@ -539,17 +1127,384 @@ function showHighlightToolbar(highlightSpan, id) {
   }, 0);
 }
 
+// ============================================
+// KEYBOARD NAVIGATION
+// ============================================
+// Highlights are tab stops. On a focused highlight: Enter/Space opens the
+// toolbar, 1-6 recolor, N opens the note, arrow up/down move between them.
+let lastNavigatedId = null;
+
+/**
+ * Changes a highlight's color on the page and in storage
+ * @param {string} id - Highlight ID
+ * @param {string} color - Highlight color in hex format
+ */
+async function recolorHighlight(id, color) {
+  if (!updateHighlightColor(id, color)) return;
+  highlightCache[id] = { ...highlightCache[id], color };
+
+  await chrome.runtime.sendMessage({
+    type: 'CONTENT_UPDATE_HIGHLIGHT',
+    payload: {
+      url: window.location.href,
+      canonicalUrl: getCanonicalUrl(),
+      highlightId: id,
+      updates: { color }
+    }
+  });
+}
+
+function handleHighlightKeydown(e, id) {
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+  const colors = Object.values(COLORS);
+  const colorIndex = Number(e.key) - 1;
+  if (e.key === 'Enter' || e.key === ' ') {
+    showHighlightToolbar(e.currentTarget, id, true);
+  } else if (Number.isInteger(colorIndex) && colors[colorIndex]) {
+    recolorHighlight(id, colors[colorIndex]);
+  } else if (e.key === 'n' || e.key === 'N') {
+    removeTooltip();
+    showNoteModal(id);
+  } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    navigateHighlights(e.key === 'ArrowDown' ? 1 : -1);
+  } else if (e.key === 'Escape' && currentTooltip) {
+    removeTooltip();
+  } else {
+    return;
+  }
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+// Highlight IDs in the order they appear on the page
+function getHighlightOrder() {
+  const ids = Array.from(document.querySelectorAll(`.${HIGHLIGHT_CLASS}`), span => span.getAttribute(HIGHLIGHT_DATA_ATTR));
+  return [...new Set(ids)];
+}
+
+/**
+ * Moves to the next or previous highlight, wrapping around at the ends.
+ * Starts from the focused highlight, else the last one visited, else the viewport.
+ * @param {1|-1} direction
+ */
+function navigateHighlights(direction) {
+  const ids = getHighlightOrder();
+  if (ids.length === 0) {
+    showNotification(chrome.i18n.getMessage('notificationNoHighlightsOnPage'), 'info');
+    return;
+  }
+
+  const active = document.activeElement;
+  const currentId = isHighlightSpan(active) ? active.getAttribute(HIGHLIGHT_DATA_ATTR) : lastNavigatedId;
+  let index = ids.indexOf(currentId);
+  if (index === -1) {
+    // First highlight below the top of the viewport, or the last one above it
+    const below = ids.findIndex(id => getHighlightSpans(id)[0].getBoundingClientRect().top >= 0);
+    if (direction > 0) {
+      index = (below === -1 ? 0 : below) - 1;
+    } else {
+      index = below === -1 ? ids.length : below;
+    }
+  }
+
+  const targetId = ids[(index + direction + ids.length) % ids.length];
+  lastNavigatedId = targetId;
+  removeTooltip();
+  scrollToHighlight(targetId);
+  getHighlightSpans(targetId)[0].focus({ preventScroll: true });
+}
+
+// ============================================
+// HIGHLIGHT MARKERS
+// ============================================
+let markersTrack = null;
+let markersTimer = null;
+
+function scheduleMarkersUpdate() {
+  clearTimeout(markersTimer);
+  markersTimer = setTimeout(updateMarkers, MARKERS_UPDATE_DELAY_MS);
+}
+
+/**
+ * Redraws the marker track: one tick per highlight at its position in the
+ * whole page, scaled to the viewport height. Hidden when the page does not
+ * scroll or has no highlights.
+ */
+function updateMarkers() {
+  const pageHeight = document.documentElement.scrollHeight;
+  const ids = markersEnabled ? getHighlightOrder() : [];
+  if (ids.length === 0 || pageHeight <= window.innerHeight) {
+    removeMarkers();
+    return;
+  }
+
+  if (!markersTrack) {
+    markersTrack = document.createElement('div');
+    markersTrack.className = 'hl-markers';
+    // A pointer shortcut only: keyboard and screen reader users step through
+    // the highlights themselves
+    markersTrack.setAttribute('aria-hidden', 'true');
+    markersTrack.addEventListener('click', (e) => {
+      const tick = e.target.closest('.hl-marker');
+      if (!tick) return;
+      e.stopPropagation();
+      scrollToHighlight(tick.dataset.id);
+    });
+    getUiRoot().appendChild(markersTrack);
+  }
+
+  markersTrack.replaceChildren(...ids.map(id => {
+    const span = getHighlightSpans(id)[0];
+    const rect = span.getBoundingClientRect();
+    // Collapsed or hidden text (closed details, display: none) has no position
+    if (rect.width === 0 && rect.height === 0) return null;
+
+    const pageTop = rect.top + window.scrollY;
+    const quote = highlightCache[id]?.quote || span.textContent;
+    const tick = document.createElement('button');
+    tick.className = 'hl-marker';
+    tick.tabIndex = -1;
+    tick.dataset.id = id;
+    tick.style.top = `${(pageTop / pageHeight) * 100}%`;
+    tick.style.backgroundColor = span.style.backgroundColor;
+    tick.title = quote.length > 80 ? quote.substring(0, 80) + '…' : quote;
+    return tick;
+  }).filter(Boolean));
+}
+
+function removeMarkers() {
+  if (markersTrack) {
+    markersTrack.remove();
+    markersTrack = null;
+  }
+}
+
+window.addEventListener('resize', scheduleMarkersUpdate, { passive: true });
+
+// ============================================
+// SELECTION TOOLBAR
+// ============================================
+let selectionToolbar = null;
+let selectionToolbarRange = null;
+let selectionCheckTimer = null;
+
+function getSiteHost() {
+  return window.location.hostname.replace(/^www\./, '');
+}
+
+function applyPageSettings(settings) {
+  if (!settings) return;
+  lastUsedColor = settings.lastUsedColor || lastUsedColor;
+  selectionToolbarEnabled = settings.selectionToolbar !== false &&
+    !(settings.selectionToolbarDisabledSites || []).includes(getSiteHost());
+  if (!selectionToolbarEnabled) removeSelectionToolbar();
+  markersEnabled = settings.highlightMarkers !== false;
+  scheduleMarkersUpdate();
+}
+
+// Selections in form fields and editors belong to the page (copy, formatting)
+function isInEditableArea(node) {
+  const element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+  return !!element && (isEditableElement(element) ||
+    !!element.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])'));
+}
+
+function scheduleSelectionCheck() {
+  clearTimeout(selectionCheckTimer);
+  // Let the click that ends a selection (or collapses it) settle first
+  selectionCheckTimer = setTimeout(checkSelection, SELECTION_TOOLBAR_DELAY_MS);
+}
+
+function checkSelection() {
+  if (!selectionToolbarEnabled || currentNoteModal) return;
+
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || selection.rangeCount === 0 || !selection.toString().trim()) {
+    removeSelectionToolbar();
+    return;
+  }
+  if (isEditableElement(getActiveElement()) || isInEditableArea(selection.anchorNode) || isInEditableArea(selection.focusNode)) {
+    removeSelectionToolbar();
+    return;
+  }
+
+  const range = selection.getRangeAt(0);
+  if (isExtensionUi(range.commonAncestorContainer)) return;
+  showSelectionToolbar(range);
+}
+
+function showSelectionToolbar(range) {
+  removeTooltip();
+  removeSelectionToolbar();
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'hl-extension-toolbar hl-selection-toolbar';
+  toolbar.setAttribute('role', 'toolbar');
+  toolbar.setAttribute('aria-label', chrome.i18n.getMessage('ariaSelectionToolbar'));
+  toolbar.innerHTML = `
+    <div class="hl-toolbar-row">
+      <div class="hl-toolbar-colors">
+        ${Object.entries(COLORS).map(([name, color]) =>
+    `<button class="hl-color-btn" data-color="${color}" style="background-color: ${color};" title="${escapeHtml(chrome.i18n.getMessage(`color${name[0].toUpperCase()}${name.slice(1)}`) || name)}"></button>`
+  ).join('')}
+      </div>
+      <button class="hl-note-btn" title="${escapeHtml(chrome.i18n.getMessage('toolbarHighlightWithNote'))}">📝</button>
+      <button class="hl-copy-btn" title="${escapeHtml(chrome.i18n.getMessage('toolbarCopyQuote'))}">❝</button>
+      <button class="hl-hide-btn" title="${escapeHtml(chrome.i18n.getMessage('toolbarHideOnSite'))}">✕</button>
+    </div>
+  `;
+  toolbar.style.position = 'fixed';
+
+  // Keep the selection when the toolbar is clicked
+  toolbar.addEventListener('mousedown', (e) => e.preventDefault());
+
+  toolbar.querySelectorAll('.hl-color-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      highlightFromToolbar(btn.dataset.color);
+    });
+  });
+
+  toolbar.querySelector('.hl-note-btn').addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const highlightData = await highlightFromToolbar(lastUsedColor);
+    if (highlightData) showNoteModal(highlightData.id);
+  });
+
+  toolbar.querySelector('.hl-copy-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    copySelectionAsQuote();
+  });
+
+  toolbar.querySelector('.hl-hide-btn').addEventListener('click', async (e) => {
+    e.stopPropagation();
+    removeSelectionToolbar();
+    selectionToolbarEnabled = false;
+    await chrome.runtime.sendMessage({
+      type: 'SET_SELECTION_TOOLBAR_SITE',
+      payload: { url: window.location.href, enabled: false }
+    });
+    showNotification(chrome.i18n.getMessage('notificationToolbarHiddenOnSite'), 'info');
+  });
+
+  getUiRoot().appendChild(toolbar);
+  selectionToolbar = toolbar;
+  selectionToolbarRange = range;
+  positionSelectionToolbar();
+}
+
+// Above the selection, or below it when there is no room, kept inside the viewport
+function positionSelectionToolbar() {
+  if (!selectionToolbar || !selectionToolbarRange) return;
+
+  const rect = selectionToolbarRange.getBoundingClientRect();
+  const { offsetWidth: width, offsetHeight: height } = selectionToolbar;
+  const gap = 8;
+
+  // Scrolled out of view
+  if (rect.bottom < 0 || rect.top > window.innerHeight) {
+    selectionToolbar.style.visibility = 'hidden';
+    return;
+  }
+  selectionToolbar.style.visibility = '';
+
+  const top = rect.top - height - gap >= 0 ? rect.top - height - gap : rect.bottom + gap;
+  const left = Math.min(Math.max(gap, rect.left + rect.width / 2 - width / 2), window.innerWidth - width - gap);
+  selectionToolbar.style.top = `${top}px`;
+  selectionToolbar.style.left = `${left}px`;
+}
+
+function removeSelectionToolbar() {
+  if (selectionToolbar) {
+    selectionToolbar.remove();
+    selectionToolbar = null;
+  }
+  selectionToolbarRange = null;
+}
+
+/**
+ * Highlights the selection from the toolbar
+ * @param {string} color - Highlight color in hex format
+ * @returns {Promise<Object|null>} The saved highlight, null if nothing was highlighted
+ */
+async function highlightFromToolbar(color) {
+  const selectionInfo = getSelectionInfo();
+  removeSelectionToolbar();
+
+  if (!selectionInfo || selectionInfo.error) {
+    showNotification(chrome.i18n.getMessage('notificationCannotHighlight'), 'warning');
+    return null;
+  }
+
+  const highlightData = applyHighlight(selectionInfo, color);
+  if (!highlightData) return null;
+
+  await saveNewHighlight(highlightData);
+  showNotification(chrome.i18n.getMessage('notificationAdded'), 'success');
+  return highlightData;
+}
+
+// Markdown block quote with a link back to the page
+async function copySelectionAsQuote() {
+  const text = window.getSelection().toString().trim();
+  removeSelectionToolbar();
+  if (!text) return;
+
+  const quote = text.split(/\r?\n/).map(line => `> ${line}`.trimEnd()).join('\n');
+  const source = `[${document.title || window.location.hostname}](${window.location.href})`;
+  const markdown = `${quote}\n>\n> — ${source}`;
+
+  try {
+    await navigator.clipboard.writeText(markdown);
+  } catch {
+    // No clipboard API on insecure pages or without focus
+    const textarea = document.createElement('textarea');
+    textarea.value = markdown;
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand('copy');
+    textarea.remove();
+    if (!copied) {
+      showNotification(chrome.i18n.getMessage('notificationCopyFailed'), 'error');
+      return;
+    }
+  }
+  showNotification(chrome.i18n.getMessage('notificationQuoteCopied'), 'success');
+}
+
+document.addEventListener('mouseup', (e) => {
+  if (isExtensionUi(e.target)) return;
+  scheduleSelectionCheck();
+});
+
+// Shift+arrows, Ctrl+A and the like
+document.addEventListener('keyup', (e) => {
+  if (e.key === 'Escape') {
+    removeSelectionToolbar();
+    return;
+  }
+  if (e.shiftKey || e.key === 'Shift' || e.ctrlKey || e.metaKey) scheduleSelectionCheck();
+});
+
+document.addEventListener('selectionchange', () => {
+  if (selectionToolbar && window.getSelection()?.isCollapsed) removeSelectionToolbar();
+});
+
+window.addEventListener('scroll', positionSelectionToolbar, { capture: true, passive: true });
+window.addEventListener('resize', positionSelectionToolbar, { passive: true });
+
 // ============================================
 // NOTE MODAL
 // ============================================
 let currentNoteModal = null;
+let noteModalReturnFocus = null;
 
 async function showNoteModal(highlightId) {
   // Close existing modal
-  if (currentNoteModal) {
-    currentNoteModal.remove();
-    currentNoteModal = null;
-  }
+  closeNoteModal();
 
   // Get existing data
   let existingNote = '';
@@ -557,9 +1512,14 @@ async function showNoteModal(highlightId) {
   try {
     const response = await chrome.runtime.sendMessage({
       type: 'CONTENT_REQUEST_RESTORE',
-      payload: { url: window.location.href }
+      payload: { url: window.location.href, canonicalUrl: getCanonicalUrl() }
     });
     const item = response.pageData?.items?.find(i => i.id === highlightId);
+    // Editing would replace a note that cannot be shown
+    if (item?.locked) {
+      showNotification(chrome.i18n.getMessage('notificationNotesLocked'), 'warning');
+      return;
+    }
     existingNote = item?.note || '';
     existingTags = item?.tags || [];
   } catch { }
@@ -567,9 +1527,9 @@ async function showNoteModal(highlightId) {
   const modal = document.createElement('div');
   modal.className = 'hl-extension-note-modal';
   modal.innerHTML = `
-    <div class="hl-note-modal-content">
+    <div class="hl-note-modal-content" role="dialog" aria-modal="true" aria-labelledby="hl-note-modal-title">
       <div class="hl-note-modal-header">
-        <span>📝 Not ve Etiketler</span>
+        <span id="hl-note-modal-title">📝 Not ve Etiketler</span>
         <button class="hl-note-close-btn">×</button>
       </div>
       <textarea class="hl-note-textarea" placeholder="Notunuzu yazın..." rows="3">${escapeHtml(existingNote)}</textarea>
@@ -585,7 +1545,8 @@ async function showNoteModal(highlightId) {
     </div>
   `;
 
-  document.body.appendChild(modal);
+  noteModalReturnFocus = getActiveElement();
+  getUiRoot().appendChild(modal);
   currentNoteModal = modal;
 
   const textarea = modal.querySelector('.hl-note-textarea');
@@ -604,15 +1565,24 @@ async function showNoteModal(highlightId) {
         .filter(t => t.length > 1)
     )];
 
-    await chrome.runtime.sendMessage({
+    const response = await chrome.runtime.sendMessage({
       type: 'CONTENT_UPDATE_HIGHLIGHT',
       payload: {
         url: window.location.href,
+        canonicalUrl: getCanonicalUrl(),
         highlightId: highlightId,
         updates: { note, tags }
       }
     });
 
+    // Locked since the modal opened
+    if (response?.error === 'locked') {
+      showNotification(chrome.i18n.getMessage('notificationNotesLocked'), 'warning');
+      return;
+    }
+
+    highlightCache[highlightId] = { ...highlightCache[highlightId], note, tags };
+    describeHighlight(highlightId);
     showNotification('Kaydedildi!', 'success');
     closeNoteModal();
   });
@@ -626,13 +1596,31 @@ async function showNoteModal(highlightId) {
     if (e.target === modal) closeNoteModal();
   });
 
-  // Close on Escape
-  document.addEventListener('keydown', handleNoteEscape);
+  modal.addEventListener('keydown', handleNoteModalKeydown);
+  // Typing here must not trigger the page's own keyboard shortcuts
+  ['keydown', 'keyup', 'keypress'].forEach(type => {
+    modal.addEventListener(type, (e) => e.stopPropagation());
+  });
 }
 
-function handleNoteEscape(e) {
+// Escape closes; Tab cycles through the modal's controls
+function handleNoteModalKeydown(e) {
   if (e.key === 'Escape') {
     closeNoteModal();
+    return;
+  }
+  if (e.key !== 'Tab') return;
+
+  const focusable = Array.from(currentNoteModal.querySelectorAll('button, textarea, input'));
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = uiRoot.activeElement;
+  if (e.shiftKey && (active === first || !focusable.includes(active))) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (active === last || !focusable.includes(active))) {
+    e.preventDefault();
+    first.focus();
   }
 }
 
@@ -641,7 +1629,9 @@ function closeNoteModal() {
     currentNoteModal.remove();
     currentNoteModal = null;
   }
-  document.removeEventListener('keydown', handleNoteEscape);
+  // Back to where the user was, if it is still on the page
+  if (noteModalReturnFocus?.isConnected) noteModalReturnFocus.focus({ preventScroll: true });
+  noteModalReturnFocus = null;
 }
 
 function escapeHtml(text) {
@@ -652,22 +1642,100 @@ function escapeHtml(text) {
 
 function removeTooltip() {
   if (currentTooltip) {
+    // Keyboard users continue from the highlight the toolbar belonged to
+    const hadFocus = currentTooltip.contains(uiRoot.activeElement);
+    const id = currentTooltip.dataset.id;
     currentTooltip.remove();
     currentTooltip = null;
+    if (hadFocus) getHighlightSpans(id)[0]?.focus({ preventScroll: true });
   }
 }
 
-function showNotification(message, type = 'info') {
+/**
+ * Shows a toast, optionally with an action button (e.g. Undo)
+ * @param {string} message
+ * @param {string} type - 'success', 'warning', 'error' or 'info'
+ * @param {{label: string, onClick: Function}|null} action
+ */
+function showNotification(message, type = 'info', action = null) {
   const notification = document.createElement('div');
   notification.className = `hl-extension-notification hl-notification-${type}`;
   notification.textContent = message;
+  notification.setAttribute('role', type === 'error' ? 'alert' : 'status');
 
-  document.body.appendChild(notification);
+  if (action) {
+    const button = document.createElement('button');
+    button.className = 'hl-notification-action';
+    button.textContent = action.label;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      notification.remove();
+      action.onClick();
+    });
+    notification.appendChild(button);
+  }
+
+  getUiRoot().appendChild(notification);
 
   setTimeout(() => {
     notification.classList.add('hl-notification-hide');
     setTimeout(() => notification.remove(), 300);
-  }, 2700);
+  }, action ? UNDO_NOTIFICATION_MS : 2700);
+}
+
+// ============================================
+// UNDO / REDO
+// ============================================
+
+// "Highlight deleted" toast with an Undo button for the logged operation
+function showUndoNotification(operationId) {
+  const message = chrome.i18n.getMessage('notificationHighlightDeleted');
+  if (!operationId) {
+    showNotification(message, 'info');
+    return;
+  }
+  showNotification(message, 'info', {
+    label: chrome.i18n.getMessage('actionUndo'),
+    onClick: () => replayOperation('UNDO_OPERATION', { operationId })
+  });
+}
+
+/**
+ * Asks background to undo/redo; it refreshes every affected tab, this one included
+ * @param {'UNDO_OPERATION'|'REDO_OPERATION'} type
+ * @param {Object} payload - `{ operationId }`, or the page URL for its latest operation
+ */
+async function replayOperation(type, payload) {
+  const response = await chrome.runtime.sendMessage({ type, payload }).catch(() => null);
+  const undo = type === 'UNDO_OPERATION';
+
+  if (response?.success) {
+    showNotification(chrome.i18n.getMessage(undo ? 'notificationUndone' : 'notificationRedone'), 'success');
+  } else {
+    showNotification(chrome.i18n.getMessage(undo ? 'notificationNothingToUndo' : 'notificationNothingToRedo'), 'info');
+  }
+}
+
+function isEditableElement(element) {
+  if (!element) return false;
+  return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+}
+
+// The undo/redo commands (Alt+Shift+Z / Alt+Shift+Y unless reassigned)
+// reach us even while the user types: hand them back to the field, and leave
+// embedded frames (editors, players) to their own undo.
+function handleUndoShortcut(redo) {
+  const activeElement = getActiveElement();
+  if (isEditableElement(activeElement)) {
+    document.execCommand(redo ? 'redo' : 'undo');
+    return;
+  }
+  if (activeElement?.tagName === 'IFRAME' || activeElement?.tagName === 'FRAME') return;
+
+  replayOperation(redo ? 'REDO_OPERATION' : 'UNDO_OPERATION', {
+    url: window.location.href,
+    canonicalUrl: getCanonicalUrl()
+  });
 }
 
 // ============================================
@@ -688,11 +1756,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       }
 
       if (selectionInfo.error) {
-        if (selectionInfo.error === 'multi-node') {
-          showNotification(chrome.i18n.getMessage('notificationMultiNode'), 'warning');
-        } else {
-          showNotification(chrome.i18n.getMessage('notificationCannotHighlight'), 'warning');
-        }
+        showNotification(chrome.i18n.getMessage('notificationCannotHighlight'), 'warning');
         sendResponse({ success: false, error: selectionInfo.error });
         return;
       }
@@ -700,19 +1764,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       const highlightData = applyHighlight(selectionInfo, payload.color);
 
       if (highlightData) {
-        // Update cache
-        highlightCache[highlightData.id] = highlightData;
-
-        // Save to storage via background
-        chrome.runtime.sendMessage({
-          type: 'CONTENT_ADD_HIGHLIGHT',
-          payload: {
-            url: window.location.href,
-            title: document.title,
-            highlightData
-          }
-        });
-
+        saveNewHighlight(highlightData);
         showNotification(chrome.i18n.getMessage('notificationAdded'), 'success');
         sendResponse({ success: true, highlightData });
       } else {
@@ -722,8 +1774,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
 
     case 'REMOVE_HIGHLIGHT_VISUAL': {
-      const { highlightId } = payload;
+      const { highlightId, operationId } = payload;
       removeHighlightSpan(highlightId);
+      delete highlightCache[highlightId];
+      if (operationId) showUndoNotification(operationId);
+      sendResponse({ success: true });
+      return;
+    }
+
+    // Stored highlights changed elsewhere (undo/redo, dashboard)
+    case 'REFRESH_HIGHLIGHTS': {
+      teardownHighlights();
+      loadPageHighlights().catch(e => console.warn('Highlighter refresh failed:', e));
+      sendResponse({ success: true });
+      return;
+    }
+
+    case 'UNDO_SHORTCUT': {
+      handleUndoShortcut(payload.redo);
       sendResponse({ success: true });
       return;
     }
@@ -738,6 +1806,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         // Not strictly necessary for showing the note in toolbar.
       }
       highlightCache[highlightId] = { ...highlightCache[highlightId], ...updates };
+      if ('note' in updates) describeHighlight(highlightId);
 
       // Update visual if color changed
       if (updates.color) {
@@ -767,12 +1836,34 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return;
     }
 
+    case 'REANCHOR_HIGHLIGHT': {
+      const { highlightId, color } = payload;
+      sendResponse(reanchorHighlight(highlightId, color));
+      return;
+    }
+
+    case 'GET_PAGE_INFO': {
+      sendResponse({ url: window.location.href, canonicalUrl: getCanonicalUrl() });
+      return;
+    }
+
     case 'SCROLL_TO_HIGHLIGHT': {
       const { highlightId } = payload;
       scrollToHighlight(highlightId);
       sendResponse({ success: true });
       return;
     }
+
+    case 'GET_HIGHLIGHT_ORDER': {
+      sendResponse({ ids: getHighlightOrder() });
+      return;
+    }
+
+    case 'NAVIGATE_HIGHLIGHT': {
+      navigateHighlights(payload.direction);
+      sendResponse({ success: true });
+      return;
+    }
   }
 });
 
@@ -780,20 +1871,99 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // INITIALIZATION
 // ============================================
 
-async function init() {
-  try {
-    // Request restore data from background (SINGLE restore source)
-    const response = await chrome.runtime.sendMessage({
-      type: 'CONTENT_REQUEST_RESTORE',
-      payload: { url: window.location.href }
-    });
+/**
+ * Fetches the items for the current URL and places them. When the page
+ * key changed (SPA navigation) the previous page's highlights are removed.
+ */
+async function loadPageHighlights() {
+  // Request restore data from background (SINGLE restore source)
+  const response = await chrome.runtime.sendMessage({
+    type: 'CONTENT_REQUEST_RESTORE',
+    payload: { url: window.location.href, canonicalUrl: getCanonicalUrl() }
+  });
+  if (!response) return;
+  applyPageSettings(response.settings);
+
+  if (currentPageUrl && response.pageUrl !== currentPageUrl) {
+    teardownHighlights();
+  }
+  currentPageUrl = response.pageUrl;
+
+  if (response.pageData && response.pageData.items) {
+    const { anchoredIds, orphanedIds } = restoreHighlights(response.pageData.items);
+    reportAnchoring(anchoredIds, orphanedIds);
+  }
+}
+
+function teardownHighlights() {
+  removeTooltip();
+  removeSelectionToolbar();
+  closeNoteModal();
+  Object.keys(highlightCache).forEach(id => removeHighlightSpan(id));
+  highlightCache = {};
+  fuzzyMissedAt.clear();
+}
+
+function getUnplacedItems() {
+  return Object.values(highlightCache).filter(item =>
+    item.id && getHighlightSpans(item.id).length === 0
+  );
+}
 
-    if (response && response.pageData && response.pageData.items) {
-      restoreHighlights(response.pageData.items);
+/**
+ * Runs after the DOM settles: reloads on URL changes within the tab,
+ * otherwise retries items whose text was not on the page yet
+ */
+async function handlePageChange() {
+  try {
+    if (window.location.href !== lastHref) {
+      lastHref = window.location.href;
+      await loadPageHighlights();
+      return;
     }
+
+    const unplaced = getUnplacedItems();
+    if (unplaced.length === 0) return;
+
+    // Only report newly placed ones; orphans were reported on load
+    const { anchoredIds } = restoreHighlights(unplaced, true);
+    reportAnchoring(anchoredIds, []);
+  } catch (e) {
+    console.warn('Highlighter re-restore failed:', e);
+  }
+}
+
+// Debounced, but never postponed longer than RESTORE_MAX_WAIT_MS so pages
+// that mutate constantly (tickers, feeds) still get restored
+function scheduleRestore() {
+  const now = Date.now();
+  if (!restoreScheduledAt) restoreScheduledAt = now;
+
+  clearTimeout(restoreTimer);
+  const wait = Math.min(RESTORE_DEBOUNCE_MS, Math.max(0, restoreScheduledAt + RESTORE_MAX_WAIT_MS - now));
+  restoreTimer = setTimeout(() => {
+    restoreScheduledAt = 0;
+    handlePageChange();
+  }, wait);
+}
+
+async function init() {
+  try {
+    await loadPageHighlights();
   } catch (e) {
     console.warn('Highlighter restore failed:', e);
   }
+
+  // Lazy-loaded content, SPA re-renders and history navigations
+  // (which also move highlights up or down the page)
+  new MutationObserver(() => {
+    scheduleRestore();
+    scheduleMarkersUpdate();
+  }).observe(document.body, { childList: true, subtree: true });
+  // Images and fonts loading change the page height without DOM changes
+  new ResizeObserver(scheduleMarkersUpdate).observe(document.body);
+  window.addEventListener('popstate', scheduleRestore);
+  window.addEventListener('hashchange', scheduleRestore);
 }
 
 // Run on document ready
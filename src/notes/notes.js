@@ -11,13 +11,65 @@ const emptyState = document.getElementById('emptyState');
 const totalSitesEl = document.getElementById('totalSites');
 const totalHighlightsEl = document.getElementById('totalHighlights');
 const searchInput = document.getElementById('searchInput');
+const collectionsList = document.getElementById('collectionsList');
+const saveCollectionBtn = document.getElementById('saveCollectionBtn');
 const tagFilterBar = document.getElementById('tagFilterBar');
 const tagFilterList = document.getElementById('tagFilterList');
+const tagModeBtn = document.getElementById('tagModeBtn');
+const tagFilterSummary = document.getElementById('tagFilterSummary');
+const orphanFilterBar = document.getElementById('orphanFilterBar');
+const orphanFilterBtn = document.getElementById('orphanFilterBtn');
+const orphanFilterCount = document.getElementById('orphanFilterCount');
+const lockBar = document.getElementById('lockBar');
+const lockBarInput = document.getElementById('lockBarInput');
+const lockBarError = document.getElementById('lockBarError');
 
 // Settings elements
 const themeSelect = document.getElementById('themeSelect');
 const contextMenuToggle = document.getElementById('contextMenuToggle');
+const selectionToolbarToggle = document.getElementById('selectionToolbarToggle');
+const highlightMarkersToggle = document.getElementById('highlightMarkersToggle');
+const toolbarSitesList = document.getElementById('toolbarSitesList');
+const toolbarSitesEmpty = document.getElementById('toolbarSitesEmpty');
 const clearAllBtn = document.getElementById('clearAllBtn');
+const mergeHostVariantsToggle = document.getElementById('mergeHostVariantsToggle');
+const ignoreTrailingSlashToggle = document.getElementById('ignoreTrailingSlashToggle');
+const stripTrackingToggle = document.getElementById('stripTrackingToggle');
+const useCanonicalToggle = document.getElementById('useCanonicalToggle');
+const siteRulesInput = document.getElementById('siteRulesInput');
+const saveSiteRulesBtn = document.getElementById('saveSiteRulesBtn');
+const trashRetentionSelect = document.getElementById('trashRetentionSelect');
+const backupScheduleSelect = document.getElementById('backupScheduleSelect');
+const backupKeepSelect = document.getElementById('backupKeepSelect');
+const backupDownloadToggle = document.getElementById('backupDownloadToggle');
+const snapshotList = document.getElementById('snapshotList');
+const snapshotEmpty = document.getElementById('snapshotEmpty');
+const createSnapshotBtn = document.getElementById('createSnapshotBtn');
+const syncEnabledToggle = document.getElementById('syncEnabledToggle');
+const syncUrlInput = document.getElementById('syncUrlInput');
+const syncUsernameInput = document.getElementById('syncUsernameInput');
+const syncPasswordInput = document.getElementById('syncPasswordInput');
+const saveSyncBtn = document.getElementById('saveSyncBtn');
+const syncPassphraseInput = document.getElementById('syncPassphraseInput');
+const saveSyncPassphraseBtn = document.getElementById('saveSyncPassphraseBtn');
+const syncIntervalSelect = document.getElementById('syncIntervalSelect');
+const syncStatusText = document.getElementById('syncStatusText');
+const syncNowBtn = document.getElementById('syncNowBtn');
+const lockEnabledToggle = document.getElementById('lockEnabledToggle');
+const lockPassphraseItem = document.getElementById('lockPassphraseItem');
+const lockPassphraseInput = document.getElementById('lockPassphraseInput');
+const lockPassphraseConfirm = document.getElementById('lockPassphraseConfirm');
+const lockPassphraseError = document.getElementById('lockPassphraseError');
+const saveLockPassphraseBtn = document.getElementById('saveLockPassphraseBtn');
+const lockQuotesToggle = document.getElementById('lockQuotesToggle');
+const lockTimeoutSelect = document.getElementById('lockTimeoutSelect');
+const lockStatusText = document.getElementById('lockStatusText');
+const lockNowBtn = document.getElementById('lockNowBtn');
+
+// Trash elements
+const trashList = document.getElementById('trashList');
+const trashEmpty = document.getElementById('trashEmpty');
+const emptyTrashBtn = document.getElementById('emptyTrashBtn');
 
 // Navigation
 const navTabs = document.querySelectorAll('.nav-tab');
@@ -26,39 +78,91 @@ const tabContents = document.querySelectorAll('.tab-content');
 // ============================================
 // STATE
 // ============================================
+const HIGHLIGHTS_PAGE_SIZE = 500;
+const UNDO_NOTIFICATION_MS = 6000;
+const SEARCH_DEBOUNCE_MS = 150;
+
 let allData = {};
 let allTags = [];
-let selectedTag = null;
+// Tags an item must have (all of them, or any with mode 'or') and tags it must not have
+let tagFilter = { include: [], exclude: [], mode: 'and' };
+let showOrphanedOnly = false;
 let currentSettings = {};
+let lockStatus = {};
+
+// Search runs in a worker; results are { id → { score, snippets } }, null without a query
+const searchWorker = new Worker('searchWorker.js');
+let searchResults = null;
+let searchError = null;
+let searchSeq = 0;
+let searchTimer = null;
+
+// Saved searches ("smart collections"): [{ id, name, query }], counts in the same order
+let savedSearches = [];
+let collectionCounts = [];
+let countSeq = 0;
 
 // ============================================
 // INITIALIZATION
 // ============================================
 async function init() {
-  try {
-    // Initialize i18n
-    if (window.i18n) {
-      await window.i18n.init();
-      setupLanguageSelector();
-    }
+  // Initialize i18n
+  if (window.i18n) {
+    await window.i18n.init();
+    setupLanguageSelector();
+  }
+
+  await loadCollections();
+  if (location.hash) applyViewHash();
+  await loadLockStatus();
+  await loadHighlights();
+}
 
+/**
+ * Fetches every highlight, batch by batch, and groups them by page
+ * @returns {Promise<{highlights: Object, schemaVersion: number}>} Highlights
+ *   keyed by page URL ({ title, items }) and the schema they are in
+ */
+async function fetchAllHighlights() {
+  const highlights = {};
+  let schemaVersion = 1;
+  let offset = 0;
+
+  while (offset !== null) {
     const response = await chrome.runtime.sendMessage({
       type: 'GET_ALL_HIGHLIGHTS',
-      payload: {}
+      payload: { offset, limit: HIGHLIGHTS_PAGE_SIZE }
     });
+    if (!response || !response.highlights) break;
+    schemaVersion = response.schemaVersion;
+
+    for (const [url, pageData] of Object.entries(response.highlights)) {
+      if (!highlights[url]) highlights[url] = { title: pageData.title, items: [] };
+      highlights[url].items.push(...pageData.items);
+    }
+    offset = response.nextOffset;
+  }
+
+  // Batches come newest first; pages list their items oldest first
+  Object.values(highlights).forEach(pageData => {
+    pageData.items.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+  });
+  return { highlights, schemaVersion };
+}
+
+async function loadHighlights() {
+  try {
+    const { highlights } = await fetchAllHighlights();
 
     loadingEl.style.display = 'none';
 
-    if (response && response.highlights) {
-      allData = response.highlights;
-      collectAllTags(allData);
-      renderTagFilter();
-      renderAllNotes(allData);
-      renderStats(allData); // Init stats
-    } else {
-      showEmpty();
-      renderStats({}); // Init empty stats
-    }
+    allData = highlights;
+    indexHighlights();
+    collectAllTags(allData);
+    renderTagFilter();
+    renderOrphanFilter();
+    renderAllNotes(allData);
+    renderStats(allData); // Init stats
   } catch (e) {
     console.error('Failed to load highlights:', e);
     loadingEl.textContent = 'Yüklenemedi';
@@ -70,11 +174,13 @@ async function init() {
 // ============================================
 
 /**
- * Renders all notes grouped by website
+ * Renders all notes grouped by website, best search matches first
  * @param {Object} data - Object with URLs as keys and page data as values
- * @param {string} [filter=''] - Optional search filter string
  */
-function renderAllNotes(data, filter = '') {
+function renderAllNotes(data) {
+  renderCollections();
+  writeViewHash();
+
   // Clear existing content (except loading/empty)
   notesList.querySelectorAll('.site-group').forEach(el => el.remove());
 
@@ -90,33 +196,22 @@ function renderAllNotes(data, filter = '') {
   let totalHighlights = 0;
   let sitesWithMatches = 0;
 
-  urls.forEach(url => {
-    const pageData = data[url];
-    const items = pageData.items || [];
-
-    // Filter items by search and/or tag
-    let filteredItems = items;
-
-    if (filter) {
-      filteredItems = filteredItems.filter(item =>
-        (item.quote || '').toLowerCase().includes(filter) ||
-        (item.note || '').toLowerCase().includes(filter) ||
-        (item.tags || []).some(t => t.toLowerCase().includes(filter))
-      );
-    }
-
-    if (selectedTag) {
-      filteredItems = filteredItems.filter(item =>
-        (item.tags || []).includes(selectedTag)
-      );
-    }
-
-    if (filteredItems.length === 0) return;
+  // Filter items by search and/or tag
+  const groups = urls
+    .map(url => ({ url, pageData: data[url], items: filterItems(data[url].items || []) }))
+    .filter(group => group.items.length > 0);
+  if (searchResults) {
+    groups.forEach(group => {
+      group.score = Math.max(...group.items.map(item => searchResults.get(item.id).score));
+    });
+    groups.sort((a, b) => b.score - a.score);
+  }
 
+  groups.forEach(({ url, pageData, items }) => {
     sitesWithMatches++;
-    totalHighlights += filteredItems.length;
+    totalHighlights += items.length;
 
-    const siteGroup = createSiteGroup(url, pageData.title, filteredItems);
+    const siteGroup = createSiteGroup(url, pageData.title, items);
     notesList.appendChild(siteGroup);
   });
 
@@ -124,12 +219,45 @@ function renderAllNotes(data, filter = '') {
   totalSitesEl.textContent = sitesWithMatches;
   totalHighlightsEl.textContent = totalHighlights;
 
-  if (sitesWithMatches === 0 && filter) {
+  if (searchError) {
+    showEmpty(`${window.i18n.t('searchInvalidOperator')} ${searchError}`);
+  } else if (sitesWithMatches === 0 && searchResults) {
     showEmpty('Aramanızla eşleşen sonuç bulunamadı');
   }
 }
 
+/**
+ * Applies the search results and the tag / orphan filters to a page's items
+ * @param {Array} items - Highlight items
+ * @returns {Array} Matching items
+ */
+function filterItems(items) {
+  let filteredItems = items;
+
+  if (searchResults) {
+    filteredItems = filteredItems.filter(item => searchResults.has(item.id));
+  }
+
+  if (isTagFilterActive()) {
+    filteredItems = filteredItems.filter(matchesTagFilter);
+  }
+
+  if (showOrphanedOnly) {
+    filteredItems = filteredItems.filter(item => item.orphaned);
+  }
+
+  return filteredItems;
+}
+
+// Pages with the items the list currently shows
+function getVisiblePages() {
+  return Object.entries(allData)
+    .map(([url, pageData]) => ({ url, title: pageData.title || '', items: filterItems(pageData.items || []) }))
+    .filter(page => page.items.length > 0);
+}
+
 function createSiteGroup(url, title, items) {
+  const { escapeHtml } = window.HighlighterUtils;
   const group = document.createElement('div');
   group.className = 'site-group';
 
@@ -139,8 +267,9 @@ function createSiteGroup(url, title, items) {
     domain = new URL(url).hostname;
   } catch { }
 
-  // Sort by date (newest first)
+  // Sort by relevance while searching, otherwise by date (newest first)
   const sortedItems = [...items].sort((a, b) =>
+    (searchResults ? searchResults.get(b.id).score - searchResults.get(a.id).score : 0) ||
     new Date(b.createdAt) - new Date(a.createdAt)
   );
 
@@ -203,7 +332,7 @@ function createSiteGroup(url, title, items) {
         if (!confirm('Bu vurguyu silmek istediğinize emin misiniz?')) return;
 
         // Remove from storage
-        await chrome.runtime.sendMessage({
+        const response = await chrome.runtime.sendMessage({
           type: 'REMOVE_HIGHLIGHT',
           payload: {
             url: url,
@@ -221,9 +350,9 @@ function createSiteGroup(url, title, items) {
 
         // Update stats
         // We need to reload or manually update stats, reloading is safer for sync
-        init();
+        loadHighlights();
 
-        showNotification(window.i18n.t('notificationHighlightDeleted'), 'success');
+        showUndoNotification(window.i18n.t('notificationHighlightDeleted'), response?.operationId);
       });
     }
   });
@@ -232,7 +361,9 @@ function createSiteGroup(url, title, items) {
 }
 
 function createHighlightItem(item, url) {
-  const quote = item.quote || '';
+  const { escapeHtml, getContrastColor, sanitizeColor } = window.HighlighterUtils;
+  const quote = item.quote || (item.locked ? window.i18n.t('lockQuoteHidden') : '');
+  const snippets = searchResults?.get(item.id)?.snippets || {};
 
   const date = item.createdAt
     ? new Date(item.createdAt).toLocaleDateString('tr-TR', {
@@ -242,20 +373,21 @@ function createHighlightItem(item, url) {
     })
     : '';
 
-  const contrastColor = getContrastColor(item.color);
+  const color = sanitizeColor(item.color);
+  const contrastColor = getContrastColor(color);
 
   const tagsHtml = item.tags && item.tags.length > 0
     ? `<div class="highlight-tags">${item.tags.map(t => `<span class="tag" data-tag="${escapeHtml(t)}">${escapeHtml(t)}</span>`).join('')}</div>`
     : '';
 
   return `
-    <div class="highlight-item" data-id="${item.id}" data-url="${escapeHtml(url)}">
-      <div class="highlight-color-bar" style="background-color: ${item.color};"></div>
+    <div class="highlight-item" data-id="${escapeHtml(item.id)}" data-url="${escapeHtml(url)}">
+      <div class="highlight-color-bar" style="background-color: ${color};"></div>
       <div class="highlight-content">
-        <div class="highlight-quote" style="background-color: ${item.color}; color: ${contrastColor};">${escapeHtml(quote)}</div>
-        ${item.note ? `<div class="highlight-note">📝 ${escapeHtml(item.note)}</div>` : ''}
+        <div class="highlight-quote" style="background-color: ${color}; color: ${contrastColor};">${snippets.quote ? markMatches(snippets.quote) : escapeHtml(quote)}</div>
+        ${item.note ? `<div class="highlight-note">📝 ${snippets.note ? markMatches(snippets.note) : escapeHtml(item.note)}</div>` : ''}
         ${tagsHtml}
-        <div class="highlight-meta">${date}</div>
+        <div class="highlight-meta">${date}${item.orphaned ? `<span class="orphan-badge">⚠️ ${window.i18n.t('notesOrphanedBadge')}</span>` : ''}</div>
       </div>
       <div class="highlight-actions">
         <button class="highlight-action-btn highlight-goto-btn" title="Sayfaya Git">🔗</button>
@@ -277,11 +409,235 @@ function showEmpty(message = null) {
 // ============================================
 // SEARCH
 // ============================================
-searchInput.addEventListener('input', (e) => {
-  const filter = e.target.value.toLowerCase().trim();
-  renderAllNotes(allData, filter);
+
+// Hands the loaded highlights to the search worker, which only re-reads changed ones
+function indexHighlights() {
+  const items = [];
+  Object.entries(allData).forEach(([url, pageData]) => {
+    (pageData.items || []).forEach(item => {
+      items.push({
+        id: item.id,
+        url,
+        title: pageData.title || '',
+        quote: item.quote || '',
+        note: item.note || '',
+        tags: item.tags || [],
+        color: item.color || '',
+        createdAt: item.createdAt || ''
+      });
+    });
+  });
+  searchWorker.postMessage({ type: 'index', items });
+
+  // The worker answers in order, so these see the new index
+  if (searchInput.value.trim()) runSearch();
+  countCollections();
+}
+
+function runSearch() {
+  clearTimeout(searchTimer);
+  const query = searchInput.value.trim();
+
+  if (!query) {
+    searchSeq++;
+    searchResults = null;
+    searchError = null;
+    renderAllNotes(allData);
+    return;
+  }
+  searchWorker.postMessage({ type: 'search', seq: ++searchSeq, query });
+}
+
+searchWorker.addEventListener('message', (e) => {
+  const { type, seq } = e.data;
+
+  // Drop answers to queries that were typed over
+  if (type === 'results' && seq === searchSeq) {
+    searchResults = new Map(e.data.results.map(({ id, score, snippets }) => [id, { score, snippets }]));
+    searchError = e.data.error;
+    renderAllNotes(allData);
+  } else if (type === 'counts' && seq === countSeq) {
+    collectionCounts = e.data.counts;
+    renderCollections();
+  }
+});
+
+searchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, SEARCH_DEBOUNCE_MS);
+});
+
+/**
+ * Renders a snippet with its matches wrapped in <mark>
+ * @param {{text: string, ranges: Array<{start: number, end: number}>}} snippet
+ * @returns {string} HTML
+ */
+function markMatches({ text, ranges }) {
+  const { escapeHtml } = window.HighlighterUtils;
+  let html = '';
+  let offset = 0;
+  ranges.forEach(({ start, end }) => {
+    html += `${escapeHtml(text.slice(offset, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    offset = end;
+  });
+  return html + escapeHtml(text.slice(offset));
+}
+
+// ============================================
+// SAVED SEARCHES
+// ============================================
+async function loadCollections() {
+  const response = await chrome.runtime.sendMessage({
+    type: 'GET_SETTINGS',
+    payload: {}
+  });
+  savedSearches = Array.isArray(response?.savedSearches) ? response.savedSearches : [];
+  collectionCounts = [];
+}
+
+// Commas separate tags and quotes end values, so both are escaped inside a tag
+function tagClause(tags, negated = false) {
+  const value = tags.map(tag => tag.replace(/[\\",]/g, '\\$&')).join(',');
+  return `${negated ? '-' : ''}tag:${/\s/.test(value) ? `"${value}"` : value}`;
+}
+
+// The search box and the tag filter as one query
+function getCurrentQuery() {
+  const clauses = [searchInput.value.trim()];
+  if (tagFilter.mode === 'or' && tagFilter.include.length > 1) {
+    clauses.push(tagClause(tagFilter.include));
+  } else {
+    tagFilter.include.forEach(tag => clauses.push(tagClause([tag])));
+  }
+  tagFilter.exclude.forEach(tag => clauses.push(tagClause([tag], true)));
+  return clauses.filter(Boolean).join(' ');
+}
+
+function getActiveCollection() {
+  const query = getCurrentQuery();
+  return query ? savedSearches.find(collection => collection.query === query) || null : null;
+}
+
+function countCollections() {
+  if (savedSearches.length === 0) return;
+  searchWorker.postMessage({ type: 'count', seq: ++countSeq, queries: savedSearches.map(c => c.query) });
+}
+
+function renderCollections() {
+  const { escapeHtml } = window.HighlighterUtils;
+  const active = getActiveCollection();
+  const total = Object.values(allData).reduce((sum, page) => sum + (page.items || []).length, 0);
+  const isAll = !getCurrentQuery();
+
+  collectionsList.innerHTML = `
+    <li class="collection-item ${isAll ? 'active' : ''}" data-id="">
+      <span class="collection-name">${escapeHtml(window.i18n.t('collectionsAll'))}</span>
+      <span class="collection-count">${total}</span>
+    </li>
+    ${savedSearches.map((collection, i) => `
+    <li class="collection-item ${collection === active ? 'active' : ''}" data-id="${escapeHtml(collection.id)}" title="${escapeHtml(collection.query)}">
+      <span class="collection-name">${escapeHtml(collection.name)}</span>
+      <span class="collection-count">${collectionCounts[i] ?? '–'}</span>
+      <button class="collection-delete-btn" title="${escapeHtml(window.i18n.t('btnDeleteCollection'))}">✕</button>
+    </li>`).join('')}
+  `;
+  saveCollectionBtn.disabled = isAll || !!active;
+}
+
+function openCollection(collection) {
+  searchInput.value = collection ? collection.query : '';
+  tagFilter = { include: [], exclude: [], mode: 'and' };
+  renderTagFilter();
+  runSearch();
+}
+
+async function saveCollections() {
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    payload: { savedSearches }
+  });
+  currentSettings.savedSearches = savedSearches;
+  collectionCounts = [];
+  countCollections();
+  renderCollections();
+}
+
+collectionsList.addEventListener('click', async (e) => {
+  const item = e.target.closest('.collection-item');
+  if (!item) return;
+  const collection = savedSearches.find(c => c.id === item.dataset.id) || null;
+
+  if (e.target.closest('.collection-delete-btn')) {
+    if (!confirm(window.i18n.t('collectionConfirmDelete'))) return;
+    savedSearches = savedSearches.filter(c => c !== collection);
+    await saveCollections();
+    return;
+  }
+  openCollection(collection);
+});
+
+saveCollectionBtn.addEventListener('click', async () => {
+  const query = getCurrentQuery();
+  if (!query) return;
+
+  const name = prompt(window.i18n.t('collectionNamePrompt'), searchInput.value.trim() || describeTagFilter())?.trim();
+  if (!name) return;
+
+  // Saving under an existing name updates that collection
+  const existing = savedSearches.find(c => c.name === name);
+  if (existing) {
+    existing.query = query;
+  } else {
+    savedSearches = [...savedSearches, { id: crypto.randomUUID(), name, query }];
+  }
+  await saveCollections();
+  showNotification(window.i18n.t('notificationSearchSaved'), 'success');
 });
 
+// ============================================
+// VIEW HASH
+// ============================================
+// notes.html#collection=<id> for a saved search (the popup opens these),
+// otherwise #q=<search>&tag=<tag>&notTag=<tag>&tagMode=or so a filtered view
+// can be bookmarked
+
+function writeViewHash() {
+  const params = new URLSearchParams();
+  const active = getActiveCollection();
+
+  if (active) {
+    params.set('collection', active.id);
+  } else {
+    if (searchInput.value.trim()) params.set('q', searchInput.value.trim());
+    tagFilter.include.forEach(tag => params.append('tag', tag));
+    tagFilter.exclude.forEach(tag => params.append('notTag', tag));
+    if (tagFilter.mode === 'or' && tagFilter.include.length > 1) params.set('tagMode', 'or');
+  }
+
+  const hash = params.toString() ? `#${params}` : '';
+  if (location.hash !== hash) history.replaceState(null, '', hash || location.pathname);
+}
+
+function applyViewHash() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  const collection = savedSearches.find(c => c.id === params.get('collection'));
+  if (collection) {
+    openCollection(collection);
+    return;
+  }
+
+  searchInput.value = params.get('q') || '';
+  tagFilter = {
+    include: params.getAll('tag'),
+    exclude: params.getAll('notTag'),
+    mode: params.get('tagMode') === 'or' ? 'or' : 'and'
+  };
+  renderTagFilter();
+  runSearch();
+}
+
+window.addEventListener('hashchange', applyViewHash);
+
 // ============================================
 // TAG FILTER
 // ============================================
@@ -295,79 +651,237 @@ function collectAllTags(data) {
   allTags = [...tagSet].sort();
 }
 
+function isTagFilterActive() {
+  return tagFilter.include.length > 0 || tagFilter.exclude.length > 0;
+}
+
+function matchesTagFilter(item) {
+  const tags = item.tags || [];
+  if (tagFilter.exclude.some(tag => tags.includes(tag))) return false;
+  if (tagFilter.include.length === 0) return true;
+  return tagFilter.mode === 'or'
+    ? tagFilter.include.some(tag => tags.includes(tag))
+    : tagFilter.include.every(tag => tags.includes(tag));
+}
+
+// e.g. "(#research OR #reading) AND NOT #done"
+function describeTagFilter() {
+  const parts = [];
+  if (tagFilter.include.length > 0) {
+    const joiner = tagFilter.mode === 'or' ? ' OR ' : ' AND ';
+    const included = tagFilter.include.map(tag => `#${tag}`).join(joiner);
+    parts.push(tagFilter.mode === 'or' && tagFilter.include.length > 1 && tagFilter.exclude.length > 0 ? `(${included})` : included);
+  }
+  tagFilter.exclude.forEach(tag => parts.push(`NOT #${tag}`));
+  return parts.join(' AND ');
+}
+
 function renderTagFilter() {
-  if (allTags.length === 0) {
+  const { escapeHtml } = window.HighlighterUtils;
+  // Tags from a bookmarked view may no longer exist, but must stay removable
+  const tags = [...new Set([...allTags, ...tagFilter.include, ...tagFilter.exclude])].sort();
+  if (tags.length === 0) {
     tagFilterBar.style.display = 'none';
     return;
   }
 
   tagFilterBar.style.display = 'flex';
   tagFilterList.innerHTML = `
-    <button class="tag-filter-btn ${!selectedTag ? 'active' : ''}" data-tag="">Tümü</button>
-    ${allTags.map(tag =>
-    `<button class="tag-filter-btn ${selectedTag === tag ? 'active' : ''}" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</button>`
-  ).join('')}
+    <button class="tag-filter-btn ${!isTagFilterActive() ? 'active' : ''}" data-tag="">Tümü</button>
+    ${tags.map(tag => {
+    const state = tagFilter.include.includes(tag) ? 'active' : tagFilter.exclude.includes(tag) ? 'excluded' : '';
+    return `<button class="tag-filter-btn ${state}" data-tag="${escapeHtml(tag)}" title="${escapeHtml(window.i18n.t('tagFilterHint'))}">${state === 'excluded' ? '− ' : ''}${escapeHtml(tag)}</button>`;
+  }).join('')}
   `;
 
-  // Add click handlers
+  tagModeBtn.style.display = tagFilter.include.length > 1 ? 'inline-block' : 'none';
+  tagModeBtn.textContent = window.i18n.t(tagFilter.mode === 'or' ? 'tagModeAny' : 'tagModeAll');
+  tagFilterSummary.textContent = describeTagFilter();
+
+  // Add click handlers: off → required → excluded → off
   tagFilterList.querySelectorAll('.tag-filter-btn').forEach(btn => {
     btn.addEventListener('click', () => {
-      selectedTag = btn.dataset.tag || null;
+      const tag = btn.dataset.tag;
+      if (!tag) {
+        tagFilter = { include: [], exclude: [], mode: tagFilter.mode };
+      } else if (tagFilter.include.includes(tag)) {
+        tagFilter.include = tagFilter.include.filter(t => t !== tag);
+        tagFilter.exclude = [...tagFilter.exclude, tag];
+      } else if (tagFilter.exclude.includes(tag)) {
+        tagFilter.exclude = tagFilter.exclude.filter(t => t !== tag);
+      } else {
+        tagFilter.include = [...tagFilter.include, tag];
+      }
       renderTagFilter();
-      renderAllNotes(allData, searchInput.value.toLowerCase().trim());
+      renderAllNotes(allData);
     });
   });
 }
 
+tagModeBtn.addEventListener('click', () => {
+  tagFilter.mode = tagFilter.mode === 'or' ? 'and' : 'or';
+  renderTagFilter();
+  renderAllNotes(allData);
+});
+
 // ============================================
-// UTILITIES
+// ORPHAN FILTER
 // ============================================
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
+function renderOrphanFilter() {
+  let count = 0;
+  Object.values(allData).forEach(page => {
+    count += (page.items || []).filter(item => item.orphaned).length;
+  });
 
-function getContrastColor(hexColor) {
-  if (!hexColor) return '#000000';
-  const hex = hexColor.replace('#', '');
-  const r = parseInt(hex.substr(0, 2), 16) / 255;
-  const g = parseInt(hex.substr(2, 2), 16) / 255;
-  const b = parseInt(hex.substr(4, 2), 16) / 255;
-  const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
-  return luminance > 0.5 ? '#000000' : '#ffffff';
+  if (count === 0) showOrphanedOnly = false;
+  orphanFilterBar.style.display = count > 0 ? 'flex' : 'none';
+  orphanFilterCount.textContent = count;
+  orphanFilterBtn.classList.toggle('active', showOrphanedOnly);
 }
 
+orphanFilterBtn.addEventListener('click', () => {
+  showOrphanedOnly = !showOrphanedOnly;
+  renderOrphanFilter();
+  renderAllNotes(allData);
+});
+
 // ============================================
 // EXPORT / IMPORT
 // ============================================
 const exportBtn = document.getElementById('exportBtn');
 const importBtn = document.getElementById('importBtn');
 const importFile = document.getElementById('importFile');
+const exportDialog = document.getElementById('exportDialog');
+const exportScope = document.getElementById('exportScope');
+const exportEncryptToggle = document.getElementById('exportEncryptToggle');
+const exportPassphraseFields = document.getElementById('exportPassphraseFields');
+const exportPassphraseInput = document.getElementById('exportPassphraseInput');
+const exportPassphraseConfirm = document.getElementById('exportPassphraseConfirm');
+const exportPassphraseError = document.getElementById('exportPassphraseError');
+const exportConfirmBtn = document.getElementById('exportConfirmBtn');
+
+function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
 
-// Export all highlights as JSON
-exportBtn.addEventListener('click', async () => {
-  try {
-    const response = await chrome.runtime.sendMessage({
-      type: 'GET_ALL_HIGHLIGHTS',
-      payload: {}
-    });
+function getSelectedExportFormat() {
+  return exportDialog.querySelector('input[name="exportFormat"]:checked').value;
+}
+
+// The JSON backup always has everything; other formats follow the filters
+function renderExportScope() {
+  if (getSelectedExportFormat() === 'json') {
+    exportScope.textContent = window.i18n.t('exportScopeAll');
+    return;
+  }
+
+  const pages = getVisiblePages();
+  const count = pages.reduce((sum, page) => sum + page.items.length, 0);
+  exportScope.textContent = `${count} ${window.i18n.t('notesHighlights')} · ${pages.length} ${window.i18n.t('notesSites')} (${window.i18n.t('exportScopeFiltered')})`;
+}
+
+async function exportBackup() {
+  const { highlights, schemaVersion } = await fetchAllHighlights();
+  const data = {
+    version: schemaVersion,
+    exportedAt: new Date().toISOString(),
+    highlights
+  };
+
+  return {
+    content: JSON.stringify(data, null, 2),
+    fileName: `highlighter-backup-${new Date().toISOString().slice(0, 10)}.json`,
+    mimeType: 'application/json'
+  };
+}
+
+function exportFiltered(formatId) {
+  const { content, extension, mimeType } = window.exporters.render(formatId, getVisiblePages(), {
+    title: window.i18n.t('exportDocumentTitle'),
+    note: window.i18n.t('exportNoteLabel'),
+    tags: window.i18n.t('exportTagsLabel'),
+    exportedAt: window.i18n.t('exportExportedAt')
+  });
+
+  return {
+    content,
+    fileName: `highlights-${new Date().toISOString().slice(0, 10)}.${extension}`,
+    mimeType: `${mimeType};charset=utf-8`
+  };
+}
+
+// The original file name goes inside, so importing picks the right format again
+async function encryptExport(file, passphrase) {
+  return {
+    content: await window.encryption.encrypt(JSON.stringify({ fileName: file.fileName, content: file.content }), passphrase),
+    fileName: `${file.fileName}.enc`,
+    mimeType: 'application/json'
+  };
+}
+
+function resetExportPassphrase() {
+  exportPassphraseInput.value = '';
+  exportPassphraseConfirm.value = '';
+  exportPassphraseError.hidden = true;
+}
 
-    const data = {
-      version: '1.0',
-      exportedAt: new Date().toISOString(),
-      highlights: response.highlights || {}
-    };
+exportBtn.addEventListener('click', () => {
+  if (isNotesLocked()) {
+    remindNotesLocked();
+    return;
+  }
+  renderExportScope();
+  resetExportPassphrase();
+  exportDialog.returnValue = '';
+  exportDialog.showModal();
+});
+
+exportDialog.querySelectorAll('input[name="exportFormat"]').forEach(input => {
+  input.addEventListener('change', renderExportScope);
+});
+
+exportEncryptToggle.addEventListener('change', () => {
+  exportPassphraseFields.hidden = !exportEncryptToggle.checked;
+  exportPassphraseError.hidden = true;
+  if (exportEncryptToggle.checked) exportPassphraseInput.focus();
+});
+
+// The dialog stays open until the passphrase is usable
+exportConfirmBtn.addEventListener('click', (e) => {
+  if (!exportEncryptToggle.checked) return;
 
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
+  let error = null;
+  if (!exportPassphraseInput.value) {
+    error = 'exportPassphraseMissing';
+  } else if (exportPassphraseInput.value !== exportPassphraseConfirm.value) {
+    error = 'exportPassphraseMismatch';
+  }
+  if (error) {
+    e.preventDefault();
+    exportPassphraseError.textContent = window.i18n.t(error);
+    exportPassphraseError.hidden = false;
+  }
+});
+
+exportDialog.addEventListener('close', async () => {
+  const passphrase = exportEncryptToggle.checked ? exportPassphraseInput.value : '';
+  resetExportPassphrase();
+  if (exportDialog.returnValue !== 'export') return;
 
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `highlighter-backup-${new Date().toISOString().slice(0, 10)}.json`;
-    a.click();
+  try {
+    const formatId = getSelectedExportFormat();
+    let file = formatId === 'json' ? await exportBackup() : exportFiltered(formatId);
+    if (passphrase) file = await encryptExport(file, passphrase);
 
-    URL.revokeObjectURL(url);
+    downloadFile(file.content, file.fileName, file.mimeType);
     showNotification(window.i18n.t('notificationExportSuccess'), 'success');
   } catch (e) {
     console.error('Export failed:', e);
@@ -377,110 +891,509 @@ exportBtn.addEventListener('click', async () => {
 
 // Trigger file picker
 importBtn.addEventListener('click', () => {
+  if (isNotesLocked()) {
+    remindNotesLocked();
+    return;
+  }
   importFile.click();
 });
 
 // Handle file import
-importFile.addEventListener('change', async (e) => {
-  const file = e.target.files[0];
-  if (!file) return;
+const importDialog = document.getElementById('importDialog');
+const importFiles = document.getElementById('importFiles');
+const importSummary = document.getElementById('importSummary');
+const importConflicts = document.getElementById('importConflicts');
+const importConflictList = document.getElementById('importConflictList');
+const importConfirmBtn = document.getElementById('importConfirmBtn');
+
+// Files read by the importers, waiting for the preview to be confirmed
+let pendingImports = [];
+// Issues listed per file in the preview
+const MAX_LISTED_IMPORT_ISSUES = 100;
+// Background's answer to PREVIEW_IMPORT for those files
+let importPreview = null;
+
+function countImported(highlights) {
+  const pages = Object.values(highlights || {});
+  return {
+    pages: pages.length,
+    items: pages.reduce((sum, page) => sum + (page?.items || []).length, 0)
+  };
+}
 
-  try {
-    const text = await file.text();
-    const data = JSON.parse(text);
+const passphraseDialog = document.getElementById('passphraseDialog');
+const passphraseTitle = document.getElementById('passphraseTitle');
+const passphraseFile = document.getElementById('passphraseFile');
+const passphraseInput = document.getElementById('passphraseInput');
+const passphraseError = document.getElementById('passphraseError');
 
-    // Validate structure
-    if (!data.highlights || typeof data.highlights !== 'object') {
-      throw new Error('Invalid file format');
-    }
+/**
+ * Asks for the passphrase of an encrypted file (or of the private notes)
+ * @param {string} fileName - Shown under the title
+ * @param {boolean} retry - The last passphrase was wrong
+ * @param {string} [titleKey] - i18n key of the title
+ * @returns {Promise<string|null>} The passphrase, null when cancelled
+ */
+function askPassphrase(fileName, retry, titleKey = 'passphraseTitle') {
+  passphraseTitle.textContent = window.i18n.t(titleKey);
+  passphraseFile.textContent = fileName;
+  passphraseInput.value = '';
+  passphraseError.hidden = !retry;
+  passphraseDialog.returnValue = '';
+  passphraseDialog.showModal();
+  passphraseInput.focus();
+
+  return new Promise(resolve => {
+    passphraseDialog.addEventListener('close', () => {
+      const passphrase = passphraseInput.value;
+      passphraseInput.value = '';
+      resolve(passphraseDialog.returnValue === 'unlock' ? passphrase : null);
+    }, { once: true });
+  });
+}
 
-    // Count items
-    let count = 0;
-    Object.values(data.highlights).forEach(page => {
-      count += (page.items || []).length;
-    });
+// Enter unlocks (the first button of the form would cancel)
+passphraseInput.addEventListener('keydown', (e) => {
+  if (e.key !== 'Enter') return;
+  e.preventDefault();
+  passphraseDialog.close('unlock');
+});
 
-    // Confirm before import
-    const confirmed = confirm(`${count} vurgu içe aktarılacak. Mevcut verilerle birleştirilecek. Devam edilsin mi?`);
-    if (!confirmed) {
-      importFile.value = '';
-      return;
+/**
+ * Opens an encrypted export, asking again while the passphrase is wrong
+ * @returns {Promise<{fileName: string, content: string}|null>} null when cancelled
+ */
+async function decryptImportFile(fileName, text) {
+  let retry = false;
+  for (;;) {
+    const passphrase = await askPassphrase(fileName, retry);
+    if (passphrase === null) return null;
+
+    const decrypted = await window.encryption.decrypt(text, passphrase);
+    if (decrypted === null) {
+      retry = true;
+      continue;
     }
 
-    // Send to background for merge
-    await chrome.runtime.sendMessage({
-      type: 'IMPORT_HIGHLIGHTS',
-      payload: { highlights: data.highlights }
-    });
+    const payload = JSON.parse(decrypted);
+    if (typeof payload?.content !== 'string') throw new Error('Unexpected encrypted content');
+    return { fileName: typeof payload.fileName === 'string' ? payload.fileName : fileName, content: payload.content };
+  }
+}
 
-    showNotification(`${count} ${window.i18n.t('notificationImported')}`, 'success');
+async function readImportFile(file) {
+  try {
+    let fileName = file.name;
+    let text = await file.text();
+    if (window.encryption.isEncrypted(text)) {
+      const decrypted = await decryptImportFile(file.name, text).catch(e => {
+        console.error('Decryption failed:', file.name, e);
+        return { error: 'importEncryptedUnsupported' };
+      });
+      if (!decrypted || decrypted.error) {
+        return { name: file.name, error: true, errorKey: decrypted?.error || 'importEncryptedSkipped' };
+      }
+      ({ fileName, content: text } = decrypted);
+    }
 
-    // Refresh the page
-    setTimeout(() => location.reload(), 1000);
+    const result = window.importers.parse(fileName, text);
+    // Nothing from the file reaches storage without passing the validator
+    const validation = window.backupValidator.validate(result.highlights);
+    return { name: file.name, ...result, highlights: validation.highlights, validation, ...countImported(validation.highlights) };
   } catch (e) {
-    console.error('Import failed:', e);
-    showNotification(window.i18n.t('notificationImportFailed'), 'error');
+    console.error('Import failed:', file.name, e);
+    return { name: file.name, error: true };
   }
+}
 
-  importFile.value = '';
-});
+function getImportSources() {
+  return pendingImports
+    .filter(entry => !entry.error && entry.items > 0)
+    .map(entry => ({ highlights: entry.highlights, version: entry.version }));
+}
 
-// ============================================
-// NOTIFICATIONS
-// ============================================
-function showNotification(message, type = 'info') {
-  // Remove existing
-  document.querySelectorAll('.notification').forEach(el => el.remove());
+function getImportStrategy() {
+  return importDialog.querySelector('input[name="importStrategy"]:checked').value;
+}
 
-  const notif = document.createElement('div');
-  notif.className = `notification notification-${type}`;
-  notif.textContent = message;
-  document.body.appendChild(notif);
+function formatConflictDate(isoDate) {
+  return isoDate
+    ? new Date(isoDate).toLocaleString('tr-TR', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : '';
+}
 
-  setTimeout(() => {
-    notif.classList.add('notification-hide');
-    setTimeout(() => notif.remove(), 300);
-  }, 2700);
+/**
+ * One copy of a conflicting highlight; fields that differ from the other
+ * copy are marked
+ */
+function createConflictSide(conflict, index, side) {
+  const { escapeHtml } = window.HighlighterUtils;
+  const item = conflict[side];
+  const other = conflict[side === 'local' ? 'imported' : 'local'];
+  const changed = field => {
+    const a = field === 'tags' ? (item.tags || []).join(' ') : item[field] || '';
+    const b = field === 'tags' ? (other.tags || []).join(' ') : other[field] || '';
+    return a !== b ? 'import-diff-changed' : '';
+  };
+  const label = window.i18n.t(side === 'local' ? 'importSideLocal' : 'importSideImported');
+
+  return `
+    <label class="import-conflict-side">
+      <span class="import-conflict-label">
+        <input type="radio" name="conflict-${index}" value="${side}">
+        ${escapeHtml(label)} · ${formatConflictDate(item.updatedAt || item.createdAt)}
+      </span>
+      <span class="import-conflict-quote ${changed('quote')} ${changed('color')}" style="border-color: ${escapeHtml(item.color || '#FFEB3B')};">${escapeHtml(item.quote || '')}</span>
+      ${item.note ? `<span class="${changed('note')}">📝 ${escapeHtml(item.note)}</span>` : ''}
+      ${item.tags && item.tags.length > 0 ? `<span class="highlight-tags ${changed('tags')}">${item.tags.map(t => `<span class="tag">${escapeHtml(t)}</span>`).join('')}</span>` : ''}
+    </label>
+  `;
 }
 
-// ============================================
-// THEME SYSTEM
-// ============================================
-function applyTheme(theme) {
-  if (theme === 'auto') {
-    // Check system preference
-    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-    document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
-  } else {
-    document.documentElement.setAttribute('data-theme', theme);
-  }
+function renderImportConflicts(conflicts) {
+  const { escapeHtml } = window.HighlighterUtils;
+  importConflicts.hidden = conflicts.length === 0;
+  importConflictList.innerHTML = conflicts.map((conflict, index) => `
+    <li class="import-conflict">
+      <div class="import-conflict-head">
+        ${escapeHtml(window.i18n.t(conflict.type === 'id' ? 'importConflictEdited' : 'importConflictDuplicate'))} · ${escapeHtml(conflict.title || conflict.url)}
+      </div>
+      <div class="import-conflict-sides">
+        ${createConflictSide(conflict, index, 'local')}
+        ${createConflictSide(conflict, index, 'imported')}
+      </div>
+    </li>
+  `).join('');
+  applyImportStrategy();
 }
 
-// Listen for system theme changes
-window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-  if (currentSettings.theme === 'auto') {
-    document.documentElement.setAttribute('data-theme', e.matches ? 'dark' : 'light');
-  }
-});
+// Shows the copy each strategy keeps; only "choose each" lets items be changed
+function applyImportStrategy() {
+  const strategy = getImportStrategy();
+  (importPreview?.conflicts || []).forEach((conflict, index) => {
+    const inputs = importConflictList.querySelectorAll(`input[name="conflict-${index}"]`);
+    const keep = strategy === 'manual' ? null : strategy === 'newest' ? conflict.newer : strategy;
+    inputs.forEach(input => {
+      input.disabled = strategy !== 'manual';
+      if (keep) input.checked = input.value === keep;
+    });
+  });
+}
 
-// ============================================
-// TAB NAVIGATION
-// ============================================
-navTabs.forEach(tab => {
-  tab.addEventListener('click', () => {
-    const targetTab = tab.dataset.tab;
+function describeImportIssue(issue) {
+  const problem = issue.problem.charAt(0).toUpperCase() + issue.problem.slice(1);
+  const position = issue.index === null ? '' : ` #${issue.index + 1}`;
+  const field = issue.field ? ` (${issue.field})` : '';
+  const action = window.i18n.t(issue.action === 'fixed' ? 'importIssueFixed' : 'importIssueDropped');
+  return `${issue.url}${position}${field}: ${window.i18n.t(`importIssue${problem}`)} → ${action}`;
+}
 
-    // Update active tab
-    navTabs.forEach(t => t.classList.remove('active'));
-    tab.classList.add('active');
+function createImportIssues(validation) {
+  const { escapeHtml } = window.HighlighterUtils;
+  if (!validation || validation.issues.length === 0) return '';
 
-    // Show target content
+  const listed = validation.issues.slice(0, MAX_LISTED_IMPORT_ISSUES);
+  const more = validation.issues.length - listed.length;
+  return `
+    <details class="import-issues">
+      <summary>${validation.fixed} ${escapeHtml(window.i18n.t('importIssuesFixed'))} · ${validation.dropped} ${escapeHtml(window.i18n.t('importIssuesDropped'))}</summary>
+      <ul>
+        ${listed.map(issue => `<li>${escapeHtml(describeImportIssue(issue))}</li>`).join('')}
+        ${more > 0 ? `<li>+${more}</li>` : ''}
+      </ul>
+    </details>
+  `;
+}
+
+function renderImportPreview() {
+  const { escapeHtml } = window.HighlighterUtils;
+  importFiles.innerHTML = pendingImports.map(entry => `
+    <li class="import-file ${entry.error ? 'import-file-error' : ''}">
+      <div class="import-file-name">${escapeHtml(entry.name)}</div>
+      <div class="import-file-summary">${entry.error
+        ? escapeHtml(window.i18n.t(entry.errorKey || 'importUnrecognized'))
+        : `${escapeHtml(entry.label)} · ${entry.pages} ${escapeHtml(window.i18n.t('notesSites'))} · ${entry.items} ${escapeHtml(window.i18n.t('notesHighlights'))}`}</div>
+      ${createImportIssues(entry.validation)}
+    </li>
+  `).join('');
+
+  const conflicts = importPreview?.conflicts || [];
+  if (importPreview?.error) {
+    importSummary.textContent = window.i18n.t('importNewerVersion');
+  } else if (importPreview) {
+    importSummary.textContent = [
+      `${importPreview.added} ${window.i18n.t('importSummaryNew')}`,
+      `${conflicts.length} ${window.i18n.t('importSummaryConflicts')}`,
+      `${importPreview.unchanged} ${window.i18n.t('importSummaryUnchanged')}`
+    ].join(' · ');
+  } else {
+    importSummary.textContent = '';
+  }
+
+  renderImportConflicts(importPreview?.error ? [] : conflicts);
+  importConfirmBtn.disabled = !importPreview || !!importPreview.error ||
+    (importPreview.added === 0 && conflicts.length === 0);
+}
+
+importFile.addEventListener('change', async (e) => {
+  const files = [...e.target.files];
+  importFile.value = '';
+  if (files.length === 0) return;
+
+  // One at a time: encrypted files ask for their passphrase
+  pendingImports = [];
+  for (const file of files) {
+    pendingImports.push(await readImportFile(file));
+  }
+  importPreview = null;
+
+  const sources = getImportSources();
+  if (sources.length > 0) {
+    importPreview = await chrome.runtime.sendMessage({
+      type: 'PREVIEW_IMPORT',
+      payload: { sources }
+    }).catch(() => null);
+  }
+
+  importDialog.querySelector('input[name="importStrategy"][value="newest"]').checked = true;
+  renderImportPreview();
+  importDialog.returnValue = '';
+  importDialog.showModal();
+});
+
+importDialog.querySelectorAll('input[name="importStrategy"]').forEach(input => {
+  input.addEventListener('change', applyImportStrategy);
+});
+
+importDialog.addEventListener('close', async () => {
+  const sources = getImportSources();
+  const strategy = getImportStrategy();
+  const resolutions = {};
+  if (strategy === 'manual') {
+    (importPreview?.conflicts || []).forEach((conflict, index) => {
+      const checked = importConflictList.querySelector(`input[name="conflict-${index}"]:checked`);
+      if (checked) resolutions[conflict.id] = checked.value;
+    });
+  }
+
+  pendingImports = [];
+  importPreview = null;
+  if (importDialog.returnValue !== 'import' || sources.length === 0) return;
+
+  try {
+    // Send to background for merge
+    // Background upgrades backups of older versions before merging
+    const response = await chrome.runtime.sendMessage({
+      type: 'IMPORT_HIGHLIGHTS',
+      payload: { sources, strategy: strategy === 'manual' ? 'newest' : strategy, resolutions }
+    });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+
+    showUndoNotification(`${response.imported} ${window.i18n.t('notificationImported')}`, response.operationId);
+    loadHighlights();
+  } catch (e) {
+    console.error('Import failed:', e);
+    showNotification(window.i18n.t('notificationImportFailed'), 'error');
+  }
+});
+
+// ============================================
+// TRASH
+// ============================================
+async function loadTrash() {
+  const response = await chrome.runtime.sendMessage({
+    type: 'GET_TRASH',
+    payload: {}
+  });
+  renderTrash(response?.items || []);
+}
+
+function renderTrash(items) {
+  trashList.querySelectorAll('.highlight-item').forEach(el => el.remove());
+  trashEmpty.style.display = items.length === 0 ? 'block' : 'none';
+  emptyTrashBtn.disabled = items.length === 0;
+
+  items.forEach(item => {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = createTrashItem(item);
+    const el = wrapper.firstElementChild;
+
+    el.querySelector('.trash-restore-btn').addEventListener('click', () => restoreTrashItems([item.id]));
+    el.querySelector('.trash-delete-btn').addEventListener('click', () => deleteTrashItems([item.id]));
+    trashList.appendChild(el);
+  });
+}
+
+function createTrashItem(item) {
+  const { escapeHtml, getContrastColor, sanitizeColor } = window.HighlighterUtils;
+  let domain = item.url;
+  try {
+    domain = new URL(item.url).hostname;
+  } catch { }
+
+  const deletedAt = new Date(item.deletedAt).toLocaleDateString('tr-TR', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+  const color = sanitizeColor(item.color);
+  const contrastColor = getContrastColor(color);
+
+  return `
+    <div class="highlight-item trash-item" data-id="${escapeHtml(item.id)}">
+      <div class="highlight-color-bar" style="background-color: ${color};"></div>
+      <div class="highlight-content">
+        <div class="highlight-quote" style="background-color: ${color}; color: ${contrastColor};">${escapeHtml(item.quote || (item.locked ? window.i18n.t('lockQuoteHidden') : ''))}</div>
+        ${item.note ? `<div class="highlight-note">📝 ${escapeHtml(item.note)}</div>` : ''}
+        <div class="highlight-meta">${escapeHtml(item.pageTitle || domain)} · ${window.i18n.t('trashDeletedOn')} ${deletedAt}</div>
+      </div>
+      <div class="highlight-actions">
+        <button class="highlight-action-btn trash-restore-btn" title="${window.i18n.t('trashRestore')}">♻️</button>
+        <button class="highlight-action-btn trash-delete-btn" title="${window.i18n.t('trashDeleteForever')}">✖️</button>
+      </div>
+    </div>
+  `;
+}
+
+async function restoreTrashItems(ids) {
+  const response = await chrome.runtime.sendMessage({
+    type: 'RESTORE_FROM_TRASH',
+    payload: { ids }
+  });
+
+  showUndoNotification(`${response?.restored || 0} ${window.i18n.t('notificationRestored')}`, response?.operationId);
+  loadTrash();
+  loadHighlights();
+}
+
+async function deleteTrashItems(ids) {
+  if (!confirm(window.i18n.t('trashConfirmDelete'))) return;
+
+  await chrome.runtime.sendMessage({
+    type: 'DELETE_FROM_TRASH',
+    payload: { ids }
+  });
+
+  showNotification(window.i18n.t('notificationDeletedForever'), 'success');
+  loadTrash();
+}
+
+emptyTrashBtn.addEventListener('click', async () => {
+  if (!confirm(window.i18n.t('trashConfirmEmpty'))) return;
+
+  await chrome.runtime.sendMessage({
+    type: 'EMPTY_TRASH',
+    payload: {}
+  });
+
+  showNotification(window.i18n.t('notificationTrashEmptied'), 'success');
+  loadTrash();
+});
+
+// ============================================
+// NOTIFICATIONS
+// ============================================
+function showNotification(message, type = 'info', action = null) {
+  // Remove existing
+  document.querySelectorAll('.notification').forEach(el => el.remove());
+
+  const notif = document.createElement('div');
+  notif.className = `notification notification-${type}`;
+  notif.textContent = message;
+
+  if (action) {
+    const button = document.createElement('button');
+    button.className = 'notification-action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      notif.remove();
+      action.onClick();
+    });
+    notif.appendChild(button);
+  }
+
+  document.body.appendChild(notif);
+
+  setTimeout(() => {
+    notif.classList.add('notification-hide');
+    setTimeout(() => notif.remove(), 300);
+  }, action ? UNDO_NOTIFICATION_MS : 2700);
+}
+
+// Success toast with an Undo button for the logged operation
+function showUndoNotification(message, operationId) {
+  if (!operationId) {
+    showNotification(message, 'success');
+    return;
+  }
+
+  showNotification(message, 'success', {
+    label: window.i18n.t('actionUndo'),
+    onClick: async () => {
+      const response = await chrome.runtime.sendMessage({
+        type: 'UNDO_OPERATION',
+        payload: { operationId }
+      });
+
+      if (response?.success) {
+        showNotification(window.i18n.t('notificationUndone'), 'success');
+        loadHighlights();
+        if (trashList.closest('.tab-content').classList.contains('active')) loadTrash();
+      } else {
+        showNotification(window.i18n.t('notificationNothingToUndo'), 'error');
+      }
+    }
+  });
+}
+
+// ============================================
+// THEME SYSTEM
+// ============================================
+function applyTheme(theme) {
+  if (theme === 'auto') {
+    // Check system preference
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
+  } else {
+    document.documentElement.setAttribute('data-theme', theme);
+  }
+}
+
+// Listen for system theme changes
+window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
+  if (currentSettings.theme === 'auto') {
+    document.documentElement.setAttribute('data-theme', e.matches ? 'dark' : 'light');
+  }
+});
+
+// ============================================
+// TAB NAVIGATION
+// ============================================
+navTabs.forEach(tab => {
+  tab.addEventListener('click', () => {
+    const targetTab = tab.dataset.tab;
+
+    // Update active tab
+    navTabs.forEach(t => t.classList.remove('active'));
+    tab.classList.add('active');
+
+    // Show target content
     tabContents.forEach(content => {
       content.classList.remove('active');
       if (content.id === `tab-${targetTab}`) {
         content.classList.add('active');
       }
     });
+
+    if (targetTab === 'trash') {
+      loadTrash();
+    }
+    if (targetTab === 'settings') {
+      loadSnapshots();
+      loadSyncStatus();
+    }
   });
 });
 
@@ -503,8 +1416,86 @@ async function loadSettings() {
   // Apply context menu setting
   const showContextMenu = currentSettings.showContextMenu !== false;
   contextMenuToggle.checked = showContextMenu;
+
+  // Apply selection toolbar settings
+  selectionToolbarToggle.checked = currentSettings.selectionToolbar !== false;
+  renderToolbarSites(currentSettings.selectionToolbarDisabledSites || []);
+
+  // Apply highlight markers setting
+  highlightMarkersToggle.checked = currentSettings.highlightMarkers !== false;
+
+  // Apply URL rules
+  renderUrlRules(currentSettings.urlRules || {});
+
+  // Apply trash retention
+  trashRetentionSelect.value = String(currentSettings.trashRetentionDays ?? 30);
+
+  // Apply automatic backups
+  backupScheduleSelect.value = currentSettings.backupSchedule || 'daily';
+  backupKeepSelect.value = String(currentSettings.backupKeepCount ?? 7);
+  backupDownloadToggle.checked = currentSettings.backupDownload === true;
+
+  // Apply sync
+  syncEnabledToggle.checked = currentSettings.syncEnabled === true;
+  syncUrlInput.value = currentSettings.syncUrl || '';
+  syncUsernameInput.value = currentSettings.syncUsername || '';
+  syncIntervalSelect.value = String(currentSettings.syncIntervalMinutes ?? 15);
+
+  // Apply lock timeout
+  lockTimeoutSelect.value = String(currentSettings.lockTimeoutMinutes ?? 15);
+}
+
+// ============================================
+// URL RULES
+// ============================================
+function renderUrlRules(rules) {
+  mergeHostVariantsToggle.checked = rules.mergeHostVariants !== false;
+  ignoreTrailingSlashToggle.checked = rules.ignoreTrailingSlash !== false;
+  stripTrackingToggle.checked = rules.stripTrackingParams !== false;
+  useCanonicalToggle.checked = rules.useCanonical !== false;
+  siteRulesInput.value = (rules.sites || [])
+    .map(site => [site.host, ...(site.keepParams || [])].join(' '))
+    .join('\n');
+}
+
+// One site per line: "<host> <param> <param>..."
+function parseSiteRules(text) {
+  return text.split('\n')
+    .map(line => line.trim().split(/\s+/).filter(Boolean))
+    .filter(parts => parts.length > 0)
+    .map(([host, ...keepParams]) => ({
+      host: host.toLowerCase().replace(/^www\./, ''),
+      keepParams
+    }));
+}
+
+async function saveUrlRules() {
+  const urlRules = {
+    mergeHostVariants: mergeHostVariantsToggle.checked,
+    ignoreTrailingSlash: ignoreTrailingSlashToggle.checked,
+    stripTrackingParams: stripTrackingToggle.checked,
+    useCanonical: useCanonicalToggle.checked,
+    sites: parseSiteRules(siteRulesInput.value)
+  };
+
+  const response = await chrome.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    payload: { urlRules }
+  });
+
+  currentSettings.urlRules = urlRules;
+  renderUrlRules(urlRules);
+  showNotification(`${window.i18n.t('notificationUrlRulesSaved')} (${response?.rekeyedPages || 0})`, 'success');
+
+  // Page keys may have changed
+  loadHighlights();
 }
 
+[mergeHostVariantsToggle, ignoreTrailingSlashToggle, stripTrackingToggle, useCanonicalToggle].forEach(toggle => {
+  toggle.addEventListener('change', saveUrlRules);
+});
+saveSiteRulesBtn.addEventListener('click', saveUrlRules);
+
 themeSelect.addEventListener('change', async () => {
   const theme = themeSelect.value;
   currentSettings.theme = theme;
@@ -516,6 +1507,54 @@ themeSelect.addEventListener('change', async () => {
   });
 });
 
+selectionToolbarToggle.addEventListener('change', async () => {
+  const selectionToolbar = selectionToolbarToggle.checked;
+  currentSettings.selectionToolbar = selectionToolbar;
+
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    payload: { selectionToolbar }
+  });
+
+  showNotification(window.i18n.t(selectionToolbar ? 'notificationSelectionToolbarOn' : 'notificationSelectionToolbarOff'), 'success');
+});
+
+highlightMarkersToggle.addEventListener('change', async () => {
+  const highlightMarkers = highlightMarkersToggle.checked;
+  currentSettings.highlightMarkers = highlightMarkers;
+
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    payload: { highlightMarkers }
+  });
+
+  showNotification(window.i18n.t(highlightMarkers ? 'notificationHighlightMarkersOn' : 'notificationHighlightMarkersOff'), 'success');
+});
+
+function renderToolbarSites(sites) {
+  const { escapeHtml } = window.HighlighterUtils;
+  toolbarSitesEmpty.style.display = sites.length === 0 ? 'block' : 'none';
+  toolbarSitesList.innerHTML = sites.map(site => `
+    <li class="snapshot-item" data-site="${escapeHtml(site)}">
+      <div class="snapshot-info">${escapeHtml(site)}</div>
+      <button class="setting-btn toolbar-site-remove-btn">${escapeHtml(window.i18n.t('btnShowToolbarAgain'))}</button>
+    </li>
+  `).join('');
+}
+
+toolbarSitesList.addEventListener('click', async (e) => {
+  const item = e.target.closest('.toolbar-site-remove-btn')?.closest('.snapshot-item');
+  if (!item) return;
+
+  const response = await chrome.runtime.sendMessage({
+    type: 'SET_SELECTION_TOOLBAR_SITE',
+    payload: { url: `https://${item.dataset.site}/`, enabled: true }
+  });
+  if (!response?.success) return;
+  currentSettings.selectionToolbarDisabledSites = response.selectionToolbarDisabledSites;
+  renderToolbarSites(response.selectionToolbarDisabledSites);
+});
+
 contextMenuToggle.addEventListener('change', async () => {
   const showContextMenu = contextMenuToggle.checked;
   currentSettings.showContextMenu = showContextMenu;
@@ -528,21 +1567,479 @@ contextMenuToggle.addEventListener('change', async () => {
   showNotification(showContextMenu ? window.i18n.t('notificationContextMenuOn') : window.i18n.t('notificationContextMenuOff'), 'success');
 });
 
+trashRetentionSelect.addEventListener('change', async () => {
+  const trashRetentionDays = Number(trashRetentionSelect.value);
+  currentSettings.trashRetentionDays = trashRetentionDays;
+
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    payload: { trashRetentionDays }
+  });
+
+  showNotification(window.i18n.t('notificationTrashRetentionSaved'), 'success');
+});
+
+async function saveBackupSettings(updates) {
+  Object.assign(currentSettings, updates);
+
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    payload: updates
+  });
+
+  showNotification(window.i18n.t('notificationBackupSettingsSaved'), 'success');
+  if ('backupKeepCount' in updates) loadSnapshots();
+}
+
+backupScheduleSelect.addEventListener('change', () => {
+  saveBackupSettings({ backupSchedule: backupScheduleSelect.value });
+});
+
+backupKeepSelect.addEventListener('change', () => {
+  saveBackupSettings({ backupKeepCount: Number(backupKeepSelect.value) });
+});
+
+backupDownloadToggle.addEventListener('change', () => {
+  saveBackupSettings({ backupDownload: backupDownloadToggle.checked });
+});
+
+// ============================================
+// LOCK (private notes)
+// ============================================
+async function loadLockStatus() {
+  renderLockStatus(await chrome.runtime.sendMessage({
+    type: 'GET_LOCK_STATUS',
+    payload: {}
+  }));
+}
+
+function isNotesLocked() {
+  return !!lockStatus.enabled && !lockStatus.unlocked;
+}
+
+function remindNotesLocked() {
+  showNotification(window.i18n.t('notificationNotesLocked'), 'error');
+  lockBarInput.focus();
+}
+
+function resetLockPassphrase() {
+  lockPassphraseInput.value = '';
+  lockPassphraseConfirm.value = '';
+  lockPassphraseError.hidden = true;
+}
+
+function renderLockStatus(status) {
+  lockStatus = status || {};
+  const locked = isNotesLocked();
+
+  lockBar.hidden = !locked;
+  if (!locked) lockBarError.hidden = true;
+
+  lockEnabledToggle.checked = !!lockStatus.enabled;
+  // The passphrase can only be changed while unlocked
+  lockPassphraseItem.hidden = !lockStatus.enabled || locked;
+  lockQuotesToggle.checked = !!lockStatus.quotes;
+  lockQuotesToggle.disabled = locked;
+  lockNowBtn.disabled = !lockStatus.enabled;
+  lockNowBtn.textContent = window.i18n.t(locked ? 'btnUnlockNotes' : 'btnLockNow');
+
+  let text = window.i18n.t('lockStatusOff');
+  if (locked) {
+    text = window.i18n.t('lockLocked');
+  } else if (lockStatus.enabled && lockStatus.expiresAt) {
+    const time = new Date(lockStatus.expiresAt).toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' });
+    text = `${window.i18n.t('lockStatusUnlockedUntil')} ${time}`;
+  } else if (lockStatus.enabled) {
+    text = window.i18n.t('lockStatusUnlocked');
+  }
+  lockStatusText.textContent = text;
+}
+
+/**
+ * Sends a message that needs the lock passphrase, asking again while it is wrong
+ * @param {string} type - Message type
+ * @param {Object} [payload] - Sent along with the passphrase
+ * @returns {Promise<Object|null>} The response, null when cancelled
+ */
+async function sendWithLockPassphrase(type, payload = {}) {
+  let retry = false;
+  for (;;) {
+    const passphrase = await askPassphrase(window.i18n.t('lockPassphrasePrompt'), retry, 'settingsLockPassphrase');
+    if (passphrase === null) return null;
+
+    const response = await chrome.runtime.sendMessage({ type, payload: { ...payload, passphrase } });
+    if (response?.error !== 'Wrong passphrase') return response;
+    retry = true;
+  }
+}
+
+lockBar.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const response = await chrome.runtime.sendMessage({
+    type: 'UNLOCK',
+    payload: { passphrase: lockBarInput.value }
+  });
+  lockBarInput.value = '';
+
+  if (!response?.success) {
+    lockBarError.hidden = false;
+    lockBarInput.focus();
+    return;
+  }
+  // Highlights reload on LOCK_CHANGED
+  renderLockStatus(response);
+});
+
+lockEnabledToggle.addEventListener('change', async () => {
+  // Turned on once a passphrase is saved
+  if (lockEnabledToggle.checked) {
+    lockPassphraseItem.hidden = false;
+    lockPassphraseInput.focus();
+    return;
+  }
+  if (!lockStatus.enabled) {
+    lockPassphraseItem.hidden = true;
+    resetLockPassphrase();
+    return;
+  }
+
+  const response = await sendWithLockPassphrase('DISABLE_LOCK');
+  if (!response?.success) {
+    lockEnabledToggle.checked = true;
+    if (response) showNotification(window.i18n.t('notificationLockFailed'), 'error');
+    return;
+  }
+  renderLockStatus(response);
+  showNotification(window.i18n.t('notificationLockDisabled'), 'success');
+});
+
+saveLockPassphraseBtn.addEventListener('click', async () => {
+  let error = null;
+  if (!lockPassphraseInput.value) {
+    error = 'exportPassphraseMissing';
+  } else if (lockPassphraseInput.value !== lockPassphraseConfirm.value) {
+    error = 'exportPassphraseMismatch';
+  }
+  if (error) {
+    lockPassphraseError.textContent = window.i18n.t(error);
+    lockPassphraseError.hidden = false;
+    return;
+  }
+
+  const newPassphrase = lockPassphraseInput.value;
+  const wasEnabled = !!lockStatus.enabled;
+  resetLockPassphrase();
+
+  const response = wasEnabled
+    ? await sendWithLockPassphrase('CHANGE_LOCK_PASSPHRASE', { newPassphrase })
+    : await chrome.runtime.sendMessage({
+      type: 'ENABLE_LOCK',
+      payload: { passphrase: newPassphrase, quotes: lockQuotesToggle.checked }
+    });
+  if (!response) return;
+  if (!response.success) {
+    showNotification(window.i18n.t('notificationLockFailed'), 'error');
+    return;
+  }
+
+  renderLockStatus(response);
+  showNotification(window.i18n.t(wasEnabled ? 'notificationLockPassphraseChanged' : 'notificationLockEnabled'), 'success');
+});
+
+lockQuotesToggle.addEventListener('change', async () => {
+  // Before the lock is on, the choice goes along with ENABLE_LOCK
+  if (!lockStatus.enabled) return;
+
+  const response = await chrome.runtime.sendMessage({
+    type: 'SET_LOCK_QUOTES',
+    payload: { quotes: lockQuotesToggle.checked }
+  });
+  if (!response?.success) {
+    lockQuotesToggle.checked = !!lockStatus.quotes;
+    remindNotesLocked();
+    return;
+  }
+  renderLockStatus(response);
+  showNotification(window.i18n.t('notificationLockSaved'), 'success');
+});
+
+lockTimeoutSelect.addEventListener('change', async () => {
+  const lockTimeoutMinutes = Number(lockTimeoutSelect.value);
+  currentSettings.lockTimeoutMinutes = lockTimeoutMinutes;
+
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    payload: { lockTimeoutMinutes }
+  });
+
+  showNotification(window.i18n.t('notificationLockSaved'), 'success');
+  loadLockStatus();
+});
+
+lockNowBtn.addEventListener('click', async () => {
+  const response = isNotesLocked()
+    ? await sendWithLockPassphrase('UNLOCK')
+    : await chrome.runtime.sendMessage({ type: 'LOCK', payload: {} });
+  if (response?.success) renderLockStatus(response);
+});
+
+// Locked or unlocked elsewhere (popup, auto-lock) or by this page
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type !== 'LOCK_CHANGED') return;
+  loadLockStatus();
+  loadHighlights();
+  if (document.getElementById('tab-trash').classList.contains('active')) loadTrash();
+});
+
+// ============================================
+// SYNC
+// ============================================
+function isValidSyncUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// The background can only reach servers the user allowed
+async function requestSyncPermission(url) {
+  try {
+    return await chrome.permissions.request({ origins: [`${new URL(url).origin}/*`] });
+  } catch (e) {
+    console.error('Permission request failed:', e);
+    return false;
+  }
+}
+
+async function saveSyncSettings(updates) {
+  const settings = { ...currentSettings, ...updates };
+
+  if (settings.syncEnabled) {
+    let error = null;
+    if (!isValidSyncUrl(settings.syncUrl)) {
+      error = 'notificationSyncInvalidUrl';
+    } else if (!await requestSyncPermission(settings.syncUrl)) {
+      error = 'notificationSyncPermissionDenied';
+    }
+    if (error) {
+      syncEnabledToggle.checked = currentSettings.syncEnabled === true;
+      showNotification(window.i18n.t(error), 'error');
+      return;
+    }
+  }
+
+  Object.assign(currentSettings, updates);
+  await chrome.runtime.sendMessage({
+    type: 'UPDATE_SETTINGS',
+    payload: updates
+  });
+
+  showNotification(window.i18n.t('notificationSyncSaved'), 'success');
+  loadSyncStatus();
+}
+
+syncEnabledToggle.addEventListener('change', () => {
+  saveSyncSettings({ syncEnabled: syncEnabledToggle.checked });
+});
+
+// The password and passphrase are kept apart from the settings, for this
+// browser session only, so their fields start out empty
+async function saveSyncSecrets(secrets) {
+  const status = await chrome.runtime.sendMessage({
+    type: 'SET_SYNC_SECRETS',
+    payload: secrets
+  });
+  renderSyncStatus(status);
+}
+
+saveSyncBtn.addEventListener('click', async () => {
+  const syncUsername = syncUsernameInput.value.trim();
+  // An empty field keeps the saved password, unless the username was cleared too
+  if (syncPasswordInput.value || !syncUsername) {
+    await saveSyncSecrets({ password: syncPasswordInput.value });
+    syncPasswordInput.value = '';
+  }
+  saveSyncSettings({
+    syncUrl: syncUrlInput.value.trim(),
+    syncUsername
+  });
+});
+
+saveSyncPassphraseBtn.addEventListener('click', async () => {
+  await saveSyncSecrets({ passphrase: syncPassphraseInput.value });
+  syncPassphraseInput.value = '';
+  showNotification(window.i18n.t('notificationSyncSaved'), 'success');
+});
+
+syncIntervalSelect.addEventListener('change', () => {
+  saveSyncSettings({ syncIntervalMinutes: Number(syncIntervalSelect.value) });
+});
+
+async function loadSyncStatus() {
+  const status = await chrome.runtime.sendMessage({
+    type: 'GET_SYNC_STATUS',
+    payload: {}
+  });
+  renderSyncStatus(status);
+}
+
+function renderSyncStatus(status) {
+  syncNowBtn.disabled = !status?.enabled || status.syncing;
+  syncStatusText.classList.toggle('sync-error', status?.enabled && status.status === 'error');
+
+  let text = window.i18n.t('syncStatusOff');
+  if (status?.enabled) {
+    if (status.syncing) {
+      text = window.i18n.t('syncStatusSyncing');
+    } else if (status.status === 'error') {
+      text = `${window.i18n.t('syncStatusError')}: ${status.error}`;
+    } else if (status.locked) {
+      text = window.i18n.t('syncStatusLocked');
+    } else if (status.needsSecrets) {
+      text = window.i18n.t('syncStatusNeedsSecrets');
+    } else if (status.lastSyncAt) {
+      const date = new Date(status.lastSyncAt).toLocaleString('tr-TR', {
+        day: 'numeric',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+      text = `${window.i18n.t('syncStatusLastSync')} ${date}`;
+      if (status.conflicts > 0) text += ` · ${status.conflicts} ${window.i18n.t('syncConflicts')}`;
+    } else {
+      text = window.i18n.t('syncStatusNever');
+    }
+    if (status.pending > 0 && !status.syncing) text += ` · ${status.pending} ${window.i18n.t('syncPending')}`;
+  }
+  syncStatusText.textContent = text;
+}
+
+syncNowBtn.addEventListener('click', async () => {
+  renderSyncStatus({ enabled: true, syncing: true });
+  const status = await chrome.runtime.sendMessage({
+    type: 'SYNC_NOW',
+    payload: {}
+  });
+  renderSyncStatus(status);
+
+  if (status?.status === 'error') {
+    showNotification(window.i18n.t('notificationSyncFailed'), 'error');
+    return;
+  }
+  showNotification(window.i18n.t('notificationSyncDone'), 'success');
+  if (status?.pulled > 0) loadHighlights();
+});
+
+// ============================================
+// SNAPSHOTS
+// ============================================
+async function loadSnapshots() {
+  const response = await chrome.runtime.sendMessage({
+    type: 'GET_SNAPSHOTS',
+    payload: {}
+  });
+  renderSnapshots(response?.snapshots || []);
+}
+
+function renderSnapshots(snapshots) {
+  const { escapeHtml } = window.HighlighterUtils;
+  snapshotEmpty.style.display = snapshots.length === 0 ? 'block' : 'none';
+  snapshotList.innerHTML = snapshots.map(snapshot => {
+    const date = new Date(snapshot.createdAt).toLocaleString('tr-TR', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    const reason = window.i18n.t(snapshot.reason === 'manual' ? 'snapshotManual' : 'snapshotScheduled');
+
+    return `
+      <li class="snapshot-item" data-id="${snapshot.id}">
+        <div class="snapshot-info">
+          <div>${escapeHtml(date)}</div>
+          <div class="snapshot-meta">${escapeHtml(reason)} · ${snapshot.count} ${escapeHtml(window.i18n.t('notesHighlights'))} · ${snapshot.pages} ${escapeHtml(window.i18n.t('notesSites'))}</div>
+        </div>
+        <button class="setting-btn snapshot-download-btn">${escapeHtml(window.i18n.t('snapshotDownload'))}</button>
+        <button class="setting-btn snapshot-restore-btn">${escapeHtml(window.i18n.t('snapshotRestore'))}</button>
+      </li>
+    `;
+  }).join('');
+
+  snapshotList.querySelectorAll('.snapshot-item').forEach(el => {
+    const id = Number(el.dataset.id);
+    el.querySelector('.snapshot-download-btn').addEventListener('click', () => downloadSnapshot(id));
+    el.querySelector('.snapshot-restore-btn').addEventListener('click', () => restoreSnapshot(id));
+  });
+}
+
+async function downloadSnapshot(id) {
+  if (isNotesLocked()) {
+    remindNotesLocked();
+    return;
+  }
+
+  const response = await chrome.runtime.sendMessage({
+    type: 'GET_SNAPSHOT',
+    payload: { id }
+  });
+  if (!response?.snapshot) {
+    showNotification(window.i18n.t('notificationExportFailed'), 'error');
+    return;
+  }
+
+  const { data } = response.snapshot;
+  downloadFile(JSON.stringify(data, null, 2), `highlighter-snapshot-${data.exportedAt.slice(0, 10)}.json`, 'application/json');
+}
+
+async function restoreSnapshot(id) {
+  if (!confirm(window.i18n.t('snapshotConfirmRestore'))) return;
+
+  const response = await chrome.runtime.sendMessage({
+    type: 'RESTORE_SNAPSHOT',
+    payload: { id }
+  });
+  if (!response?.success) {
+    showNotification(window.i18n.t('notificationSnapshotFailed'), 'error');
+    return;
+  }
+
+  showUndoNotification(window.i18n.t('notificationSnapshotRestored'), response.operationId);
+  loadHighlights();
+}
+
+createSnapshotBtn.addEventListener('click', async () => {
+  const response = await chrome.runtime.sendMessage({
+    type: 'CREATE_SNAPSHOT',
+    payload: {}
+  });
+
+  if (!response?.snapshot) {
+    showNotification(window.i18n.t('notificationSnapshotNothing'), 'error');
+    return;
+  }
+  showNotification(window.i18n.t('notificationSnapshotCreated'), 'success');
+  loadSnapshots();
+});
+
 clearAllBtn.addEventListener('click', async () => {
-  const confirmed = confirm('Tüm vurgular silinecek. Bu işlem geri alınamaz. Devam edilsin mi?');
+  const confirmed = confirm('Tüm vurgular çöp kutusuna taşınacak. Devam edilsin mi?');
   if (!confirmed) return;
 
-  await chrome.runtime.sendMessage({
+  const response = await chrome.runtime.sendMessage({
     type: 'CLEAR_ALL_DATA',
     payload: {}
   });
 
-  showNotification(window.i18n.t('notificationDeleted'), 'success');
+  showUndoNotification(window.i18n.t('notificationMovedToTrash'), response?.operationId);
   allData = {};
   allTags = [];
-  selectedTag = null;
+  tagFilter = { include: [], exclude: [], mode: 'and' };
+  indexHighlights();
   renderAllNotes({});
   renderTagFilter();
+  renderOrphanFilter();
 });
 
 // ============================================
@@ -690,7 +2187,8 @@ function renderColorStats(colors) {
 
   const total = Object.values(colors).reduce((a, b) => a + b, 0);
 
-  sortedColors.forEach(([color, count]) => {
+  sortedColors.forEach(([storedColor, count]) => {
+    const color = window.HighlighterUtils.sanitizeColor(storedColor);
     const percent = (count / total) * 100;
     const row = document.createElement('div');
     row.className = 'stat-row';
@@ -0,0 +1,514 @@
+/**
+ * Highlighter Extension - Search Worker
+ * Keeps an inverted index of the dashboard's highlights off the main thread
+ * and answers queries against it.
+ *
+ * Text is folded before it is indexed: lowercased, diacritics removed and
+ * Turkish/German special letters mapped (İ/ı → i, ß → ss), so "Istanbul"
+ * finds "İstanbul" and "muller" finds "Müller". Han and kana runs have no
+ * spaces between words, so they are indexed as overlapping character pairs
+ * and a query for them becomes a phrase of those pairs.
+ *
+ * Query syntax (terms are ANDed, a leading "-" negates):
+ *   word  "exact phrase"  tag:name  tag:any,of,these  color:yellow|#ffeb3b
+ *   site:example.com  before:2024-05-01  after:2024-01  has:note  has:tag
+ *
+ * Messages:
+ *   { type: 'index', items }   → replaces the indexed items (unchanged ones are kept)
+ *   { type: 'search', seq, query }
+ *     → { type: 'results', seq, results: [{ id, score, snippets }], error }
+ *   { type: 'count', seq, queries }
+ *     → { type: 'counts', seq, counts }   (null for a query that has an error)
+ */
+
+const FIELD_WEIGHTS = { quote: 1, note: 1, tags: 2, title: 0.5 };
+const SNIPPET_FIELDS = { quote: 300, note: 200 };
+const PREFIX_PENALTY = 0.5; // "highl" should rank "highlight" below an exact "highl"
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const COLOR_NAMES = {
+  yellow: '#ffeb3b', sari: '#ffeb3b',
+  green: '#69f0ae', yesil: '#69f0ae',
+  blue: '#40c4ff', mavi: '#40c4ff',
+  pink: '#ff80ab', pembe: '#ff80ab',
+  orange: '#ffab40', turuncu: '#ffab40',
+  purple: '#b388ff', mor: '#b388ff'
+};
+
+// Letters that NFKD leaves alone but readers treat as plain ones
+const FOLDED_LETTERS = { ı: 'i', ß: 'ss', ø: 'o', æ: 'ae', œ: 'oe', đ: 'd', ł: 'l', þ: 'th' };
+
+const WORD_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+const PAIRED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+// id → { id, signature, url, site, color, createdAt, tags, hasNote, fields: { name: { text, tokens } } }
+const docs = new Map();
+// token → Set of ids
+const postings = new Map();
+let sortedTokens = null;
+let averageLength = {};
+
+// ============================================
+// TOKENIZING
+// ============================================
+
+function fold(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[ıßøæœđłþ]/g, letter => FOLDED_LETTERS[letter]);
+}
+
+// Stored tags keep their "#", so tag:research and tag:#research are the same
+function foldTag(tag) {
+  return fold(tag.trim().replace(/^#+/, ''));
+}
+
+/**
+ * Splits text into folded tokens that remember where they came from
+ * @param {string} text
+ * @returns {Array<{token: string, start: number, end: number}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    let runStart = match.index;
+    let runPaired = null;
+    let offset = match.index;
+
+    // Split the word where it moves in or out of Han/kana
+    for (const char of match[0]) {
+      const paired = PAIRED_SCRIPT.test(char);
+      if (runPaired !== null && paired !== runPaired) {
+        pushRun(tokens, text, runStart, offset, runPaired);
+        runStart = offset;
+      }
+      runPaired = paired;
+      offset += char.length;
+    }
+    pushRun(tokens, text, runStart, offset, runPaired);
+  }
+  return tokens;
+}
+
+function pushRun(tokens, text, start, end, paired) {
+  if (!paired) {
+    tokens.push({ token: fold(text.slice(start, end)), start, end });
+    return;
+  }
+
+  const chars = [];
+  for (let offset = start; offset < end;) {
+    const char = String.fromCodePoint(text.codePointAt(offset));
+    chars.push({ char: fold(char), start: offset, end: offset + char.length });
+    offset += char.length;
+  }
+  if (chars.length === 1) {
+    tokens.push({ token: chars[0].char, start: chars[0].start, end: chars[0].end });
+    return;
+  }
+  for (let i = 0; i < chars.length - 1; i++) {
+    tokens.push({ token: chars[i].char + chars[i + 1].char, start: chars[i].start, end: chars[i + 1].end });
+  }
+}
+
+// ============================================
+// INDEXING
+// ============================================
+
+function siteOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+function addDoc(item) {
+  const tags = (item.tags || []).map(String);
+  const fields = {};
+  for (const [name, text] of Object.entries({
+    quote: item.quote || '',
+    note: item.note || '',
+    tags: tags.join('\n'),
+    title: item.title || ''
+  })) {
+    const tokens = tokenize(text);
+    fields[name] = { text, tokens };
+    tokens.forEach(({ token }) => {
+      if (!postings.has(token)) {
+        postings.set(token, new Set());
+        sortedTokens = null;
+      }
+      postings.get(token).add(item.id);
+    });
+  }
+
+  docs.set(item.id, {
+    id: item.id,
+    signature: item.signature,
+    url: item.url || '',
+    site: siteOf(item.url),
+    color: (item.color || '').toLowerCase(),
+    createdAt: Date.parse(item.createdAt) || 0,
+    tags: tags.map(foldTag).filter(Boolean),
+    hasNote: !!item.note,
+    fields
+  });
+}
+
+function removeDoc(id) {
+  const doc = docs.get(id);
+  if (!doc) return;
+  Object.values(doc.fields).forEach(({ tokens }) => {
+    tokens.forEach(({ token }) => {
+      const ids = postings.get(token);
+      if (!ids) return;
+      ids.delete(id);
+      if (ids.size === 0) {
+        postings.delete(token);
+        sortedTokens = null;
+      }
+    });
+  });
+  docs.delete(id);
+}
+
+// Items the dashboard shows; an item whose text did not change is not re-tokenized
+function indexItems(items) {
+  const seen = new Set();
+  items.forEach(item => {
+    const signature = [item.quote, item.note, (item.tags || []).join('\n'), item.title, item.color, item.url, item.createdAt].join('\u0000');
+    seen.add(item.id);
+    if (docs.get(item.id)?.signature === signature) return;
+    removeDoc(item.id);
+    addDoc({ ...item, signature });
+  });
+  [...docs.keys()].forEach(id => {
+    if (!seen.has(id)) removeDoc(id);
+  });
+
+  averageLength = {};
+  Object.keys(FIELD_WEIGHTS).forEach(name => {
+    let total = 0;
+    docs.forEach(doc => { total += doc.fields[name].tokens.length; });
+    averageLength[name] = docs.size ? total / docs.size : 0;
+  });
+}
+
+// Indexed tokens starting with prefix, the exact one included
+function tokensWithPrefix(prefix) {
+  if (!sortedTokens) sortedTokens = [...postings.keys()].sort();
+
+  let low = 0;
+  let high = sortedTokens.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sortedTokens[mid] < prefix) low = mid + 1;
+    else high = mid;
+  }
+  const tokens = [];
+  for (let i = low; i < sortedTokens.length && sortedTokens[i].startsWith(prefix); i++) {
+    tokens.push(sortedTokens[i]);
+  }
+  return tokens;
+}
+
+// ============================================
+// QUERY PARSING
+// ============================================
+
+/**
+ * Parses a date for before:/after:
+ * @param {string} value - YYYY, YYYY-MM or YYYY-MM-DD
+ * @returns {{start: number, end: number}|null} The local time span it covers
+ */
+function parseDateSpan(value) {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : null;
+  const day = match[3] ? Number(match[3]) : null;
+  if (month !== null && (month < 0 || month > 11)) return null;
+
+  const start = new Date(year, month ?? 0, day ?? 1);
+  if (day !== null && start.getDate() !== day) return null;
+  const end = day !== null
+    ? new Date(year, month, day + 1)
+    : month !== null ? new Date(year, month + 1, 1) : new Date(year + 1, 0, 1);
+  return { start: start.getTime(), end: end.getTime() };
+}
+
+// A backslash keeps the next character literal (a quote inside quotes, a comma in a tag)
+function unescapeValue(value) {
+  return value.replace(/\\(.?)/g, '$1');
+}
+
+// Splits a tag: value on commas that are not escaped
+function splitTagList(value) {
+  return value.match(/(?:[^,\\]|\\.?)+/g) || [];
+}
+
+/**
+ * Splits a query into clauses
+ * @param {string} query
+ * @returns {{clauses: Array<Object>, error: string|null}} Each clause is
+ *   { kind: 'text'|'tag'|'color'|'site'|'before'|'after'|'has', negated, ... }
+ */
+function parseQuery(query) {
+  const clauses = [];
+  const pattern = /(-?)(?:(\w+):)?(?:"((?:[^"\\]|\\.?)*)"?|(\S+))/g;
+
+  for (const match of query.matchAll(pattern)) {
+    const negated = match[1] === '-';
+    const operator = match[2]?.toLowerCase();
+    const quoted = match[3] !== undefined;
+    const raw = quoted ? match[3] : match[4] || '';
+    const value = quoted ? unescapeValue(raw) : raw;
+
+    switch (operator) {
+      case 'tag': {
+        const values = splitTagList(raw).map(tag => foldTag(unescapeValue(tag))).filter(Boolean);
+        if (values.length > 0) clauses.push({ kind: 'tag', negated, values });
+        continue;
+      }
+      case 'color': {
+        const color = value.toLowerCase();
+        const hex = COLOR_NAMES[fold(color)] || (/^#?[0-9a-f]{6}$/.test(color) ? color.replace(/^#?/, '#') : null);
+        if (!hex) return { clauses, error: `color:${value}` };
+        clauses.push({ kind: 'color', negated, value: hex });
+        continue;
+      }
+      case 'site':
+        if (value) clauses.push({ kind: 'site', negated, value: value.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '') });
+        continue;
+      case 'before':
+      case 'after': {
+        const span = parseDateSpan(value);
+        if (!span) return { clauses, error: `${operator}:${value}` };
+        clauses.push({ kind: operator, negated, value: operator === 'before' ? span.start : span.end });
+        continue;
+      }
+      case 'has':
+        if (!['note', 'tag', 'tags'].includes(value.toLowerCase())) return { clauses, error: `has:${value}` };
+        clauses.push({ kind: 'has', negated, value: value.toLowerCase() === 'note' ? 'note' : 'tag' });
+        continue;
+      default: {
+        // Not an operator (e.g. "http://..."): search the text as written
+        const text = operator ? `${match[2]}:${value}` : value;
+        const tokens = tokenize(text).map(t => t.token);
+        if (tokens.length === 0) continue;
+        // Han/kana pairs must follow each other even outside quotes
+        const phrase = quoted || tokens.length > 1;
+        // A lone Han/kana character can also be the second of a pair
+        const anywhere = !phrase && PAIRED_SCRIPT.test(text) && [...tokens[0]].length === 1;
+        clauses.push({ kind: 'text', negated, tokens, phrase, anywhere });
+      }
+    }
+  }
+  return { clauses, error: null };
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+function matchesFilter(doc, clause) {
+  switch (clause.kind) {
+    case 'tag': return clause.values.some(tag => doc.tags.includes(tag));
+    case 'color': return doc.color === clause.value;
+    case 'site': {
+      const [host, ...path] = clause.value.split('/');
+      const siteMatches = doc.site === host || doc.site.endsWith(`.${host}`);
+      if (!siteMatches || path.length === 0) return siteMatches;
+      try {
+        return new URL(doc.url).pathname.toLowerCase().startsWith(`/${path.join('/')}`);
+      } catch {
+        return false;
+      }
+    }
+    case 'before': return doc.createdAt > 0 && doc.createdAt < clause.value;
+    case 'after': return doc.createdAt >= clause.value;
+    case 'has': return clause.value === 'note' ? doc.hasNote : doc.tags.length > 0;
+    default: return true;
+  }
+}
+
+/**
+ * Finds where a text clause occurs in a field
+ * @returns {Array<{start: number, end: number, exact: boolean}>}
+ */
+function findInField(field, clause) {
+  const found = [];
+  const { tokens } = field;
+
+  if (!clause.phrase) {
+    const [wanted] = clause.tokens;
+    tokens.forEach(t => {
+      if (t.token.startsWith(wanted)) {
+        found.push({ start: t.start, end: clause.anywhere ? t.start + wanted.length : t.end, exact: t.token === wanted || clause.anywhere });
+      } else if (clause.anywhere && t.token.endsWith(wanted)) {
+        found.push({ start: t.end - wanted.length, end: t.end, exact: true });
+      }
+    });
+    return found;
+  }
+
+  for (let i = 0; i + clause.tokens.length <= tokens.length; i++) {
+    if (clause.tokens.every((wanted, j) => tokens[i + j].token === wanted)) {
+      found.push({ start: tokens[i].start, end: tokens[i + clause.tokens.length - 1].end, exact: true });
+    }
+  }
+  return found;
+}
+
+// Ids that may contain a text clause, from its rarest token
+function candidatesFor(clause) {
+  if (!clause.phrase) {
+    const [wanted] = clause.tokens;
+    const tokens = clause.anywhere
+      ? [...postings.keys()].filter(token => token.includes(wanted))
+      : tokensWithPrefix(wanted);
+    const ids = new Set();
+    tokens.forEach(token => postings.get(token).forEach(id => ids.add(id)));
+    return ids;
+  }
+
+  let rarest = null;
+  for (const token of clause.tokens) {
+    const ids = postings.get(token);
+    if (!ids) return new Set();
+    if (!rarest || ids.size < rarest.size) rarest = ids;
+  }
+  return rarest;
+}
+
+function scoreField(name, matches, length, idf) {
+  const tf = matches.reduce((sum, m) => sum + (m.exact ? 1 : PREFIX_PENALTY), 0);
+  const norm = BM25_K1 * (1 - BM25_B + BM25_B * (length / (averageLength[name] || 1)));
+  return FIELD_WEIGHTS[name] * idf * (tf * (BM25_K1 + 1)) / (tf + norm);
+}
+
+// Cuts long text down to the part around the first match
+function makeSnippet(text, ranges, maxLength) {
+  if (text.length <= maxLength) return { text, ranges };
+
+  const first = ranges[0]?.start ?? 0;
+  let start = Math.max(0, Math.min(first - Math.floor(maxLength / 3), text.length - maxLength));
+  let end = Math.min(text.length, start + maxLength);
+  // Prefer cutting at spaces
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > start && space > (ranges[0]?.end ?? 0)) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const shift = prefix.length - start;
+  return {
+    text: prefix + text.slice(start, end) + (end < text.length ? '…' : ''),
+    ranges: ranges
+      .filter(r => r.start >= start && r.end <= end)
+      .map(r => ({ start: r.start + shift, end: r.end + shift }))
+  };
+}
+
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const merged = [];
+  sorted.forEach(({ start, end }) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last.end) last.end = Math.max(last.end, end);
+    else merged.push({ start, end });
+  });
+  return merged;
+}
+
+function search(query) {
+  const { clauses, error } = parseQuery(query);
+  if (error) return { results: [], error };
+
+  const textClauses = clauses.filter(c => c.kind === 'text' && !c.negated);
+  const negatedText = clauses.filter(c => c.kind === 'text' && c.negated);
+  const filters = clauses.filter(c => c.kind !== 'text');
+
+  // Start from the smallest text candidate set, or everything
+  let candidates = null;
+  textClauses.forEach(clause => {
+    const ids = candidatesFor(clause);
+    if (!candidates || ids.size < candidates.size) candidates = ids;
+  });
+  if (!candidates) candidates = new Set(docs.keys());
+
+  const idfs = new Map(textClauses.map(clause =>
+    [clause, Math.log(1 + (docs.size + 0.5) / (candidatesFor(clause).size + 0.5))]
+  ));
+
+  const results = [];
+  candidates.forEach(id => {
+    const doc = docs.get(id);
+    if (!doc) return;
+    if (!filters.every(clause => matchesFilter(doc, clause) !== clause.negated)) return;
+
+    const fieldNames = Object.keys(FIELD_WEIGHTS);
+    if (negatedText.some(clause => fieldNames.some(name => findInField(doc.fields[name], clause).length > 0))) return;
+
+    let score = 0;
+    const ranges = { quote: [], note: [] };
+    for (const clause of textClauses) {
+      let clauseScore = 0;
+      const idf = idfs.get(clause);
+      fieldNames.forEach(name => {
+        const field = doc.fields[name];
+        const matches = findInField(field, clause);
+        if (matches.length === 0) return;
+        clauseScore += scoreField(name, matches, field.tokens.length, idf);
+        if (ranges[name]) ranges[name].push(...matches);
+      });
+      // Every clause has to match somewhere
+      if (clauseScore === 0) return;
+      score += clauseScore;
+    }
+
+    const snippets = {};
+    Object.entries(SNIPPET_FIELDS).forEach(([name, maxLength]) => {
+      if (ranges[name].length > 0) snippets[name] = makeSnippet(doc.fields[name].text, mergeRanges(ranges[name]), maxLength);
+    });
+    results.push({ id, score, createdAt: doc.createdAt, snippets });
+  });
+
+  // Best first; filters alone rank newest first
+  results.sort((a, b) => b.score - a.score || b.createdAt - a.createdAt);
+  return { results: results.map(({ id, score, snippets }) => ({ id, score, snippets })), error: null };
+}
+
+// ============================================
+// MESSAGES
+// ============================================
+self.addEventListener('message', (e) => {
+  const message = e.data || {};
+  switch (message.type) {
+    case 'index':
+      indexItems(message.items || []);
+      break;
+    case 'search':
+      postMessage({ type: 'results', seq: message.seq, ...search(message.query || '') });
+      break;
+    case 'count':
+      postMessage({
+        type: 'counts',
+        seq: message.seq,
+        counts: (message.queries || []).map(query => {
+          const { results, error } = search(query);
+          return error ? null : results.length;
+        })
+      });
+      break;
+  }
+});
@@ -10,11 +10,25 @@ const highlightsList = document.getElementById('highlightsList');
 const highlightCount = document.getElementById('highlightCount');
 const emptyState = document.getElementById('emptyState');
 const allNotesBtn = document.getElementById('allNotesBtn');
+const orphanBanner = document.getElementById('orphanBanner');
+const orphanCount = document.getElementById('orphanCount');
+const syncStatus = document.getElementById('syncStatus');
+const syncStatusLabel = document.getElementById('syncStatusLabel');
+const lockBar = document.getElementById('lockBar');
+const lockPassphraseInput = document.getElementById('lockPassphraseInput');
+const lockError = document.getElementById('lockError');
+const lockNowBtn = document.getElementById('lockNowBtn');
+const collectionsSection = document.getElementById('collectionsSection');
+const collectionsList = document.getElementById('collectionsList');
+const selectionToolbarSite = document.getElementById('selectionToolbarSite');
+const selectionToolbarToggle = document.getElementById('selectionToolbarToggle');
+const sidebarBtn = document.getElementById('sidebarBtn');
 
 // ============================================
 // STATE
 // ============================================
 // let currentUrl = ''; // Unused
+let activeTabUrl = '';
 let currentColor = '#FFEB3B';
 let currentTabId = null;
 
@@ -48,11 +62,17 @@ async function init() {
 
       // Render highlights
       renderHighlights(response.pageData?.items || []);
+      renderCollections(response.settings?.savedSearches || []);
+      activeTabUrl = response.url || '';
+      renderSelectionToolbarSite(response.settings || {});
     }
   } catch (e) {
     console.error('Failed to get page data:', e);
     renderHighlights([]);
   }
+
+  loadLockStatus();
+  loadSyncStatus();
 }
 
 // ============================================
@@ -95,6 +115,7 @@ colorPalette.addEventListener('click', async (e) => {
  */
 function renderHighlights(items) {
   highlightCount.textContent = items.length;
+  renderOrphanBanner(items);
 
   if (items.length === 0) {
     emptyState.style.display = 'block';
@@ -118,6 +139,16 @@ function renderHighlights(items) {
   });
 }
 
+/**
+ * Shows how many highlights could not be placed on the page
+ * @param {Array} items - Highlight items of the current page
+ */
+function renderOrphanBanner(items) {
+  const count = items.filter(item => item.orphaned).length;
+  orphanCount.textContent = count;
+  orphanBanner.style.display = count > 0 ? 'block' : 'none';
+}
+
 /**
  * Creates a DOM element for a single highlight item
  * @param {Object} item - Highlight data object
@@ -125,10 +156,10 @@ function renderHighlights(items) {
  */
 function createHighlightElement(item) {
   const div = document.createElement('div');
-  div.className = 'highlight-item';
+  div.className = item.orphaned ? 'highlight-item orphaned' : 'highlight-item';
   div.dataset.id = item.id;
 
-  const quoteText = item.quote || item.text || '(boş)';
+  const quoteText = item.quote || item.text || (item.locked ? window.i18n.t('lockQuoteHidden') : '(boş)');
   const truncatedQuote = quoteText.length > 60
     ? quoteText.substring(0, 60) + '...'
     : quoteText;
@@ -137,18 +168,20 @@ function createHighlightElement(item) {
     ? (item.note.length > 40 ? item.note.substring(0, 40) + '...' : item.note)
     : '';
 
+  const { escapeHtml, sanitizeColor } = window.HighlighterUtils;
   const tagsHtml = item.tags && item.tags.length > 0
     ? `<div class="highlight-tags">${item.tags.map(t => `<span class="tag">${escapeHtml(t)}</span>`).join('')}</div>`
     : '';
 
   div.innerHTML = `
-    <div class="highlight-color" style="background-color: ${item.color};"></div>
+    <div class="highlight-color" style="background-color: ${sanitizeColor(item.color)};"></div>
     <div class="highlight-content">
       <div class="highlight-quote">${escapeHtml(truncatedQuote)}</div>
       ${notePreview ? `<div class="highlight-note">📝 ${escapeHtml(notePreview)}</div>` : ''}
       ${tagsHtml}
     </div>
     <div class="highlight-actions">
+      ${item.orphaned ? `<button class="action-btn reanchor-btn" title="${window.i18n.t('popupReanchor')}">📍</button>` : ''}
       <button class="action-btn note-btn" title="Not ve Etiket">📝</button>
       <button class="action-btn edit-btn" title="Renk Değiştir">🎨</button>
       <button class="action-btn delete-btn" title="Sil">🗑️</button>
@@ -170,6 +203,11 @@ function createHighlightElement(item) {
   const noteBtn = div.querySelector('.note-btn');
   noteBtn.addEventListener('click', (e) => {
     e.stopPropagation();
+    // The note cannot be shown, so it cannot be edited either
+    if (item.locked) {
+      lockPassphraseInput.focus();
+      return;
+    }
     showNoteInput(div, item);
   });
 
@@ -180,6 +218,15 @@ function createHighlightElement(item) {
     showColorDropdown(div, item);
   });
 
+  // Re-anchor button (orphaned highlights only)
+  const reanchorBtn = div.querySelector('.reanchor-btn');
+  if (reanchorBtn) {
+    reanchorBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await reanchorHighlight(item.id);
+    });
+  }
+
   // Delete button
   const deleteBtn = div.querySelector('.delete-btn');
   deleteBtn.addEventListener('click', async (e) => {
@@ -238,6 +285,21 @@ async function deleteHighlight(id) {
   }
 }
 
+async function reanchorHighlight(id) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'POPUP_REANCHOR_HIGHLIGHT',
+      payload: { highlightId: id, tabId: currentTabId }
+    });
+
+    if (response && response.success) {
+      await refreshHighlights();
+    }
+  } catch (e) {
+    console.error('Failed to re-anchor:', e);
+  }
+}
+
 async function updateHighlightColor(id, color) {
   try {
     await chrome.runtime.sendMessage({
@@ -267,15 +329,6 @@ async function refreshHighlights() {
   }
 }
 
-// ============================================
-// UTILITIES
-// ============================================
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
-
 // ============================================
 // NOTE INPUT
 // ============================================
@@ -283,58 +336,129 @@ function showNoteInput(itemEl, item) {
   // Remove any existing note input
   document.querySelectorAll('.note-input-container').forEach(el => el.remove());
 
-  const existingTags = item.tags || [];
-
-  const container = document.createElement('div');
-  container.className = 'note-input-container';
-  container.innerHTML = `
-    <textarea class="note-input" placeholder="${window.i18n.t('notePlaceholder')}" rows="2">${escapeHtml(item.note || '')}</textarea>
-    <input type="text" class="tags-input" placeholder="${window.i18n.t('tagsPlaceholder')}" value="${escapeHtml(existingTags.join(' '))}">
-    <div class="note-input-actions">
-      <button class="note-cancel-btn">${window.i18n.t('btnCancel')}</button>
-      <button class="note-save-btn">${window.i18n.t('btnSave')}</button>
-    </div>
-  `;
-
-  // Prevent clicks inside container from closing anything
-  container.addEventListener('click', (e) => {
-    e.stopPropagation();
+  const container = window.noteEditor.create(item, {
+    onSave: async ({ note, tags }) => {
+      await chrome.runtime.sendMessage({
+        type: 'POPUP_UPDATE_HIGHLIGHT',
+        payload: { highlightId: item.id, updates: { note, tags }, tabId: currentTabId }
+      });
+
+      container.remove();
+      await refreshHighlights();
+    },
+    onCancel: () => container.remove()
   });
 
   itemEl.appendChild(container);
+  window.noteEditor.focus(container);
+}
 
-  const textarea = container.querySelector('.note-input');
-  textarea.focus();
-  textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+// ============================================
+// LOCK (private notes)
+// ============================================
+async function loadLockStatus() {
+  try {
+    renderLockStatus(await chrome.runtime.sendMessage({ type: 'GET_LOCK_STATUS', payload: {} }));
+  } catch (e) {
+    console.error('Failed to get lock status:', e);
+  }
+}
 
-  // Save
-  container.querySelector('.note-save-btn').addEventListener('click', async () => {
-    const note = textarea.value.trim();
-    const tagsInput = container.querySelector('.tags-input').value.trim();
+/**
+ * Asks for the passphrase while private notes are locked
+ * @param {Object} status - Response of GET_LOCK_STATUS
+ */
+function renderLockStatus(status) {
+  const locked = !!status?.enabled && !status.unlocked;
+  lockBar.style.display = locked ? 'block' : 'none';
+  lockNowBtn.style.display = status?.enabled && status.unlocked ? 'inline-block' : 'none';
+  if (!locked) lockError.hidden = true;
+}
 
-    // Parse tags
-    const tags = [...new Set(
-      tagsInput.split(/\s+/)
-        .map(t => t.startsWith('#') ? t : (t ? '#' + t : ''))
-        .filter(t => t.length > 1)
-    )];
+lockBar.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const response = await chrome.runtime.sendMessage({
+    type: 'UNLOCK',
+    payload: { passphrase: lockPassphraseInput.value }
+  });
+  lockPassphraseInput.value = '';
 
-    await chrome.runtime.sendMessage({
-      type: 'POPUP_UPDATE_HIGHLIGHT',
-      payload: { highlightId: item.id, updates: { note, tags }, tabId: currentTabId }
-    });
+  if (!response?.success) {
+    lockError.hidden = false;
+    lockPassphraseInput.focus();
+    return;
+  }
+  renderLockStatus(response);
+  await refreshHighlights();
+});
 
-    container.remove();
-    await refreshHighlights();
-  });
+lockNowBtn.addEventListener('click', async () => {
+  renderLockStatus(await chrome.runtime.sendMessage({ type: 'LOCK', payload: {} }));
+  await refreshHighlights();
+});
 
-  // Cancel
-  container.querySelector('.note-cancel-btn').addEventListener('click', (e) => {
-    e.stopPropagation();
-    container.remove();
-  });
+// Locked or unlocked elsewhere (dashboard, auto-lock)
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type !== 'LOCK_CHANGED') return;
+  loadLockStatus();
+  refreshHighlights();
+});
+
+// ============================================
+// SYNC STATUS
+// ============================================
+async function loadSyncStatus() {
+  try {
+    renderSyncStatus(await chrome.runtime.sendMessage({ type: 'GET_SYNC_STATUS', payload: {} }));
+  } catch (e) {
+    console.error('Failed to get sync status:', e);
+  }
 }
 
+/**
+ * Shows the state of the last sync (hidden while sync is off)
+ * @param {Object} status - Response of GET_SYNC_STATUS
+ */
+function renderSyncStatus(status) {
+  syncStatus.style.display = status?.enabled ? 'flex' : 'none';
+  if (!status?.enabled) return;
+
+  let state = 'idle';
+  let label = window.i18n.t('syncStatusNever');
+  if (status.syncing) {
+    state = 'syncing';
+    label = window.i18n.t('syncStatusSyncing');
+  } else if (status.status === 'error') {
+    state = 'error';
+    label = window.i18n.t('syncStatusError');
+  } else if (status.locked) {
+    state = 'pending';
+    label = window.i18n.t('syncStatusLocked');
+  } else if (status.pending > 0) {
+    state = 'pending';
+    label = `${status.pending} ${window.i18n.t('syncPending')}`;
+  } else if (status.lastSyncAt) {
+    state = 'ok';
+    label = `${window.i18n.t('syncStatusLastSync')} ${new Date(status.lastSyncAt).toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' })}`;
+  }
+
+  syncStatus.className = `sync-status ${state}`;
+  syncStatusLabel.textContent = label;
+  syncStatus.title = status.status === 'error' ? status.error : window.i18n.t('btnSyncNow');
+}
+
+syncStatus.addEventListener('click', async () => {
+  renderSyncStatus({ enabled: true, syncing: true });
+  try {
+    const status = await chrome.runtime.sendMessage({ type: 'SYNC_NOW', payload: {} });
+    renderSyncStatus(status);
+    if (status?.pulled > 0) await refreshHighlights();
+  } catch (e) {
+    console.error('Failed to sync:', e);
+    loadSyncStatus();
+  }
+});
+
 // ============================================
 // ALL NOTES BUTTON
 // ============================================
@@ -342,6 +466,62 @@ allNotesBtn.addEventListener('click', () => {
   chrome.tabs.create({ url: chrome.runtime.getURL('notes/notes.html') });
 });
 
+// ============================================
+// PAGE SIDEBAR
+// ============================================
+
+// Chromium side panel or Firefox sidebar, whichever the browser has
+sidebarBtn.style.display = chrome.sidePanel || chrome.sidebarAction ? 'inline-block' : 'none';
+
+sidebarBtn.addEventListener('click', () => {
+  // Must be called straight from the click; an await before it loses the user gesture
+  const opening = chrome.sidePanel
+    ? chrome.sidePanel.open({ tabId: currentTabId })
+    : chrome.sidebarAction.open();
+  opening.then(() => window.close()).catch(e => console.error('Failed to open sidebar:', e));
+});
+
+// ============================================
+// SELECTION TOOLBAR (this site)
+// ============================================
+function renderSelectionToolbarSite(settings) {
+  let host = '';
+  try {
+    const url = new URL(activeTabUrl);
+    if (['http:', 'https:'].includes(url.protocol)) host = url.hostname.replace(/^www\./, '');
+  } catch { }
+
+  // Only offered while the toolbar is on globally and for web pages
+  selectionToolbarSite.style.display = host && settings.selectionToolbar !== false ? 'flex' : 'none';
+  selectionToolbarToggle.checked = !(settings.selectionToolbarDisabledSites || []).includes(host);
+}
+
+selectionToolbarToggle.addEventListener('change', async () => {
+  await chrome.runtime.sendMessage({
+    type: 'SET_SELECTION_TOOLBAR_SITE',
+    payload: { url: activeTabUrl, enabled: selectionToolbarToggle.checked }
+  });
+});
+
+// ============================================
+// SAVED SEARCHES
+// ============================================
+function renderCollections(collections) {
+  collectionsSection.style.display = collections.length > 0 ? 'block' : 'none';
+  collectionsList.innerHTML = '';
+
+  collections.forEach(collection => {
+    const button = document.createElement('button');
+    button.className = 'collection-btn';
+    button.textContent = collection.name;
+    button.title = collection.query;
+    button.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL(`notes/notes.html#collection=${encodeURIComponent(collection.id)}`) });
+    });
+    collectionsList.appendChild(button);
+  });
+}
+
 // ============================================
 // START
 // ============================================
@@ -0,0 +1,267 @@
+/**
+ * Highlighter Extension - Sidebar Script
+ * Lists the active tab's highlights in page order; unlike the popup it stays
+ * open and follows tab switches and highlight changes.
+ */
+
+// ============================================
+// DOM ELEMENTS
+// ============================================
+const highlightsList = document.getElementById('highlightsList');
+const highlightCount = document.getElementById('highlightCount');
+const pageTitle = document.getElementById('pageTitle');
+const colorFilter = document.getElementById('colorFilter');
+const emptyState = document.getElementById('emptyState');
+const noMatches = document.getElementById('noMatches');
+
+// ============================================
+// STATE
+// ============================================
+const REFRESH_DEBOUNCE_MS = 150;
+
+let currentTabId = null;
+let currentWindowId = null;
+let pageItems = [];
+let pageOrder = [];
+const selectedColors = new Set();
+// An open editor holds off refreshes so typing is not thrown away
+let editingId = null;
+let refreshTimer = null;
+
+// ============================================
+// INITIALIZATION
+// ============================================
+async function init() {
+  try {
+    if (window.i18n) {
+      await window.i18n.init();
+    }
+
+    const currentWindow = await chrome.windows.getCurrent();
+    currentWindowId = currentWindow.id;
+    const tabs = await chrome.tabs.query({ active: true, windowId: currentWindowId });
+    if (tabs.length > 0) currentTabId = tabs[0].id;
+  } catch (e) {
+    console.error('Failed to find the active tab:', e);
+  }
+
+  await refreshHighlights();
+}
+
+// ============================================
+// DATA
+// ============================================
+async function refreshHighlights() {
+  // Closing the editor refreshes
+  if (editingId) return;
+
+  if (!currentTabId) {
+    pageItems = [];
+    pageOrder = [];
+    pageTitle.textContent = '';
+    renderHighlights();
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'POPUP_GET_PAGE_DATA',
+      payload: { tabId: currentTabId }
+    });
+    pageItems = response?.pageData?.items || [];
+    pageOrder = response?.order || [];
+    pageTitle.textContent = response?.pageData?.title || response?.url || '';
+    pageTitle.title = response?.url || '';
+  } catch (e) {
+    console.error('Failed to refresh:', e);
+    pageItems = [];
+    pageOrder = [];
+  }
+  renderHighlights();
+}
+
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(refreshHighlights, REFRESH_DEBOUNCE_MS);
+}
+
+/**
+ * Puts highlights in the order they appear on the page; the ones that are
+ * not on the page (orphaned or not placed yet) follow, oldest first
+ * @param {Array} items - Highlight items of the page
+ * @param {string[]} order - Placed highlight IDs in document order
+ * @returns {Array} Sorted copy
+ */
+function sortByPageOrder(items, order) {
+  const positions = new Map(order.map((id, index) => [id, index]));
+  return [...items].sort((a, b) => {
+    const aPos = positions.has(a.id) ? positions.get(a.id) : Infinity;
+    const bPos = positions.has(b.id) ? positions.get(b.id) : Infinity;
+    if (aPos !== bPos) return aPos - bPos;
+    return new Date(a.createdAt) - new Date(b.createdAt);
+  });
+}
+
+// ============================================
+// HIGHLIGHTS LIST
+// ============================================
+function renderHighlights() {
+  highlightCount.textContent = pageItems.length;
+  highlightsList.querySelectorAll('.highlight-item').forEach(el => el.remove());
+
+  const placedIds = new Set(pageOrder);
+  const visibleItems = sortByPageOrder(pageItems, pageOrder)
+    .filter(item => selectedColors.size === 0 || selectedColors.has(item.color));
+
+  emptyState.style.display = pageItems.length === 0 ? 'block' : 'none';
+  noMatches.style.display = pageItems.length > 0 && visibleItems.length === 0 ? 'block' : 'none';
+
+  visibleItems.forEach(item => {
+    highlightsList.appendChild(createHighlightElement(item, placedIds.has(item.id)));
+  });
+}
+
+/**
+ * Creates a DOM element for a single highlight item
+ * @param {Object} item - Highlight data object
+ * @param {boolean} placed - Whether the highlight is on the page right now
+ * @returns {HTMLDivElement} Configured highlight item element
+ */
+function createHighlightElement(item, placed) {
+  const div = document.createElement('div');
+  div.className = placed ? 'highlight-item' : 'highlight-item not-placed';
+  div.dataset.id = item.id;
+
+  const { escapeHtml, sanitizeColor } = window.HighlighterUtils;
+  const quoteText = item.quote || item.text || (item.locked ? window.i18n.t('lockQuoteHidden') : '(boş)');
+  const tagsHtml = item.tags && item.tags.length > 0
+    ? `<div class="highlight-tags">${item.tags.map(t => `<span class="tag">${escapeHtml(t)}</span>`).join('')}</div>`
+    : '';
+
+  div.innerHTML = `
+    <div class="highlight-color" style="background-color: ${sanitizeColor(item.color)};"></div>
+    <div class="highlight-content">
+      <div class="highlight-quote">${escapeHtml(quoteText)}</div>
+      ${item.note ? `<div class="highlight-note">📝 ${escapeHtml(item.note)}</div>` : ''}
+      ${tagsHtml}
+      ${placed ? '' : `<div class="highlight-missing">⚠️ ${window.i18n.t('notesOrphanedBadge')}</div>`}
+    </div>
+    <div class="highlight-actions">
+      ${item.locked ? '' : `<button class="action-btn note-btn" title="${window.i18n.t('sidebarEditNote')}">📝</button>`}
+    </div>
+  `;
+
+  // Click (or Enter) -> show it on the page
+  if (placed) {
+    div.tabIndex = 0;
+    div.title = window.i18n.t('sidebarShowOnPage');
+    div.addEventListener('click', () => scrollToHighlight(item.id));
+    div.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target === div) scrollToHighlight(item.id);
+    });
+  }
+
+  const noteBtn = div.querySelector('.note-btn');
+  if (noteBtn) {
+    noteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showNoteInput(div, item);
+    });
+  }
+
+  return div;
+}
+
+function scrollToHighlight(highlightId) {
+  if (!currentTabId) return;
+  chrome.tabs.sendMessage(currentTabId, {
+    type: 'SCROLL_TO_HIGHLIGHT',
+    payload: { highlightId }
+  }).catch(() => { });
+}
+
+// ============================================
+// NOTE INPUT
+// ============================================
+function showNoteInput(itemEl, item) {
+  // One editor at a time
+  highlightsList.querySelectorAll('.note-input-container').forEach(el => el.remove());
+  editingId = item.id;
+
+  // Clicks and keys inside the editor do not reach the item (no scrolling the page)
+  const container = window.noteEditor.create(item, {
+    rows: 3,
+    onSave: updates => saveNote(container, item, updates),
+    onCancel: () => closeNoteInput(container)
+  });
+
+  itemEl.querySelector('.highlight-content').appendChild(container);
+  window.noteEditor.focus(container);
+}
+
+async function saveNote(container, item, { note, tags }) {
+  try {
+    await chrome.runtime.sendMessage({
+      type: 'POPUP_UPDATE_HIGHLIGHT',
+      payload: { highlightId: item.id, updates: { note, tags }, tabId: currentTabId }
+    });
+  } catch (e) {
+    console.error('Failed to save note:', e);
+  }
+  closeNoteInput(container);
+}
+
+function closeNoteInput(container) {
+  container.remove();
+  editingId = null;
+  // Catch up on whatever changed meanwhile (the save included)
+  refreshHighlights();
+}
+
+// ============================================
+// COLOR FILTER
+// ============================================
+colorFilter.addEventListener('click', (e) => {
+  const btn = e.target.closest('.filter-color-btn');
+  if (!btn) return;
+
+  const color = btn.dataset.color;
+  if (selectedColors.has(color)) {
+    selectedColors.delete(color);
+  } else {
+    selectedColors.add(color);
+  }
+  btn.classList.toggle('selected', selectedColors.has(color));
+  colorFilter.classList.toggle('filtering', selectedColors.size > 0);
+  renderHighlights();
+});
+
+// ============================================
+// STAYING IN SYNC
+// ============================================
+
+// Highlights added, edited or removed anywhere; private notes locked or unlocked
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type === 'PAGE_HIGHLIGHTS_CHANGED' || message.type === 'LOCK_CHANGED') {
+    scheduleRefresh();
+  }
+});
+
+// Another tab in this window
+chrome.tabs.onActivated.addListener(({ tabId, windowId }) => {
+  if (windowId !== currentWindowId) return;
+  currentTabId = tabId;
+  editingId = null;
+  scheduleRefresh();
+});
+
+// The tab navigated
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (tabId !== currentTabId) return;
+  if (changeInfo.url || changeInfo.status === 'complete') scheduleRefresh();
+});
+
+// ============================================
+// START
+// ============================================
+init();
@@ -0,0 +1,189 @@
+/**
+ * Highlighter Extension - Backup Validator
+ * Checks imported highlights item by item before anything is written:
+ * fixable problems are repaired, records that cannot be used are dropped
+ */
+
+const VALID_COLOR = /^#[0-9a-f]{6}$/i;
+// Ids end up in attribute selectors and markup on every synced tab
+const VALID_ID = /^[\w.:-]+$/;
+const FALLBACK_COLOR = '#FFEB3B';
+
+// Every field an item has had in any schema version (text, xpath... are legacy anchors)
+const KNOWN_ITEM_FIELDS = new Set([
+  'id', 'quote', 'text', 'color', 'note', 'tags', 'selectors',
+  'createdAt', 'updatedAt', 'lastAnchoredAt', 'orphaned',
+  'sourceUrl', 'canonicalUrl',
+  'prefix', 'suffix', 'xpath', 'endXpath', 'startOffset', 'endOffset'
+]);
+
+// Pages that can be opened in a tab, and books from other importers
+const VALID_URL_PROTOCOLS = ['http:', 'https:', 'file:', 'book:'];
+
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'lastAnchoredAt'];
+const STRING_FIELDS = ['prefix', 'suffix', 'xpath', 'endXpath'];
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidPageUrl(value) {
+  try {
+    return VALID_URL_PROTOCOLS.includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function isValidDate(value) {
+  return typeof value === 'string' && value !== '' && Number.isFinite(Date.parse(value));
+}
+
+/**
+ * Validates one item
+ * @param {*} raw - Item as found in the file
+ * @param {Function} report - `(field, problem, action)` collector
+ * @returns {Object|null} Sanitized item, or null when it has to be dropped
+ */
+function validateItem(raw, report) {
+  if (!isPlainObject(raw)) {
+    report('', 'invalidItem', 'dropped');
+    return null;
+  }
+  if (typeof raw.id !== 'string' || !raw.id.trim()) {
+    report('id', 'missingId', 'dropped');
+    return null;
+  }
+  if (!VALID_ID.test(raw.id)) {
+    report('id', 'invalidId', 'dropped');
+    return null;
+  }
+
+  // Backups before version 2 keep the quote in `text`
+  const quote = typeof raw.quote === 'string' ? raw.quote : raw.text;
+  if (typeof quote !== 'string' || !quote.trim()) {
+    report('quote', 'missingQuote', 'dropped');
+    return null;
+  }
+
+  const item = {};
+  for (const [field, value] of Object.entries(raw)) {
+    if (KNOWN_ITEM_FIELDS.has(field)) {
+      item[field] = value;
+    } else {
+      report(field, 'unknownField', 'fixed');
+    }
+  }
+
+  if (!VALID_COLOR.test(item.color || '')) {
+    if (item.color !== undefined) report('color', 'invalidColor', 'fixed');
+    item.color = FALLBACK_COLOR;
+  }
+
+  if ('note' in item && typeof item.note !== 'string') {
+    report('note', 'invalidNote', 'fixed');
+    item.note = '';
+  }
+
+  if ('tags' in item) {
+    const tags = Array.isArray(item.tags) ? item.tags.filter(tag => typeof tag === 'string' && tag.trim()) : [];
+    if (!Array.isArray(item.tags) || tags.length !== item.tags.length) report('tags', 'invalidTags', 'fixed');
+    item.tags = tags;
+  }
+
+  if ('selectors' in item) {
+    const valid = Array.isArray(item.selectors) && item.selectors.every(s => isPlainObject(s) && typeof s.type === 'string');
+    if (!valid) {
+      report('selectors', 'invalidSelectors', 'fixed');
+      delete item.selectors;
+    }
+  }
+
+  DATE_FIELDS.forEach(field => {
+    if (!(field in item) || isValidDate(item[field])) return;
+    if (field === 'createdAt' && item[field] === '') return;
+    report(field, 'invalidDate', 'fixed');
+    if (field === 'createdAt') {
+      item.createdAt = new Date().toISOString();
+    } else {
+      delete item[field];
+    }
+  });
+
+  STRING_FIELDS.forEach(field => {
+    if (field in item && typeof item[field] !== 'string') {
+      report(field, 'invalidField', 'fixed');
+      delete item[field];
+    }
+  });
+
+  ['sourceUrl', 'canonicalUrl'].forEach(field => {
+    if (field in item && !isValidPageUrl(item[field])) {
+      report(field, 'invalidUrl', 'fixed');
+      delete item[field];
+    }
+  });
+
+  ['startOffset', 'endOffset'].forEach(field => {
+    if (field in item && !Number.isInteger(item[field])) {
+      report(field, 'invalidField', 'fixed');
+      delete item[field];
+    }
+  });
+
+  if ('orphaned' in item && typeof item.orphaned !== 'boolean') {
+    report('orphaned', 'invalidField', 'fixed');
+    delete item.orphaned;
+  }
+
+  return item;
+}
+
+/**
+ * Validates highlights grouped by page
+ * @param {Object} highlights - `{ [url]: { title, items } }` from an importer
+ * @returns {{highlights: Object, issues: Array, fixed: number, dropped: number}}
+ *   Sanitized copy and one issue per problem: `{ url, index, id, field, problem, action }`
+ */
+function validateHighlights(highlights) {
+  const valid = {};
+  const issues = [];
+  let dropped = 0;
+  const fixedItems = new Set();
+
+  for (const [url, page] of Object.entries(isPlainObject(highlights) ? highlights : {})) {
+    if (!isPlainObject(page) || !Array.isArray(page.items) || !isValidPageUrl(url)) {
+      issues.push({ url, index: null, id: '', field: '', problem: isValidPageUrl(url) ? 'invalidPage' : 'invalidUrl', action: 'dropped' });
+      dropped += Array.isArray(page?.items) ? page.items.length : 0;
+      continue;
+    }
+
+    const items = [];
+    page.items.forEach((raw, index) => {
+      const id = typeof raw?.id === 'string' ? raw.id : '';
+      const report = (field, problem, action) => {
+        issues.push({ url, index, id, field, problem, action });
+        if (action === 'fixed') fixedItems.add(`${url}\n${index}`);
+      };
+
+      const item = validateItem(raw, report);
+      if (item) {
+        items.push(item);
+      } else {
+        fixedItems.delete(`${url}\n${index}`);
+        dropped++;
+      }
+    });
+
+    if (items.length > 0) {
+      valid[url] = { title: typeof page.title === 'string' ? page.title : '', items };
+    }
+  }
+
+  return { highlights: valid, issues, fixed: fixedItems.size, dropped };
+}
+
+// Export for use in other scripts (`self` is the window, or the background's worker scope)
+self.backupValidator = {
+  validate: validateHighlights
+};
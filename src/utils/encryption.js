@@ -0,0 +1,191 @@
+/**
+ * Highlighter Extension - Encryption
+ * Passphrase encryption for exported files and sync documents. A key is
+ * derived from the passphrase with PBKDF2 and the text is sealed with
+ * AES-GCM; the result is a JSON envelope that records everything needed to
+ * open it again:
+ *   { format, version, kdf: { name, hash, iterations, salt }, cipher: { name, iv }, ciphertext }
+ */
+
+const ENCRYPTED_FORMAT = 'highlighter-encrypted';
+const ENCRYPTED_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000; // OWASP guidance for PBKDF2-SHA256
+// Files are not trusted: refuse work factors that are useless or would hang the page
+const MIN_PBKDF2_ITERATIONS = 100000;
+const MAX_PBKDF2_ITERATIONS = 10000000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+function toBase64(bytes) {
+  let binary = '';
+  // Spreading large arrays into fromCharCode overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Deriving a key is slow on purpose; sync reads and rewrites one document with the same salt
+let cachedKey = null;
+
+async function deriveEncryptionKey(passphrase, salt, iterations) {
+  const id = `${iterations}:${toBase64(salt)}`;
+  if (cachedKey?.passphrase === passphrase && cachedKey.id === id) return cachedKey.key;
+
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  const key = await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+  cachedKey = { passphrase, id, key };
+  return key;
+}
+
+// The header is authenticated with the ciphertext, so it cannot be swapped
+function encryptionHeader(version) {
+  return new TextEncoder().encode(`${ENCRYPTED_FORMAT}/${version}`);
+}
+
+/**
+ * Reads an envelope from file text
+ * @param {string} text
+ * @returns {Object|null} The envelope, null when the text is not one
+ */
+function parseEnvelope(text) {
+  try {
+    const envelope = JSON.parse(text.replace(/^\uFEFF/, ''));
+    return isEnvelope(envelope) ? envelope : null;
+  } catch {
+    return null;
+  }
+}
+
+function isEnvelope(value) {
+  return value?.format === ENCRYPTED_FORMAT;
+}
+
+function isEncrypted(text) {
+  return parseEnvelope(text) !== null;
+}
+
+// The salt of an envelope this version writes, null for any other
+function reusableSalt(envelope) {
+  if (!isEnvelope(envelope) || envelope.version !== ENCRYPTED_VERSION || envelope.kdf?.iterations !== PBKDF2_ITERATIONS) {
+    return null;
+  }
+  try {
+    const salt = fromBase64(envelope.kdf.salt);
+    return salt.length === SALT_BYTES ? salt : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Encrypts text with a passphrase
+ * @param {string} text
+ * @param {string} passphrase
+ * @param {Object|null} [replaces] - Envelope being overwritten; its salt is
+ *   kept so the cached key can be used again
+ * @returns {Promise<Object>} The envelope
+ */
+async function sealEnvelope(text, passphrase, replaces = null) {
+  const salt = reusableSalt(replaces) || crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveEncryptionKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: encryptionHeader(ENCRYPTED_VERSION) },
+    key,
+    new TextEncoder().encode(text)
+  );
+
+  return {
+    format: ENCRYPTED_FORMAT,
+    version: ENCRYPTED_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    ciphertext: toBase64(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Encrypts text with a passphrase
+ * @param {string} text
+ * @param {string} passphrase
+ * @returns {Promise<string>} The envelope as JSON
+ */
+async function encryptText(text, passphrase) {
+  return JSON.stringify(await sealEnvelope(text, passphrase), null, 2);
+}
+
+/**
+ * Decrypts an envelope
+ * @param {Object} envelope
+ * @param {string} passphrase
+ * @returns {Promise<string|null>} The text, null when the passphrase is wrong
+ *   (or the file was tampered with - AES-GCM cannot tell the two apart)
+ * @throws {Error} When the envelope is not one this version can open
+ */
+async function openEnvelope(envelope, passphrase) {
+  if (!isEnvelope(envelope)) throw new Error('Not an encrypted file');
+  if (envelope.version !== ENCRYPTED_VERSION) throw new Error(`Unsupported encrypted file version: ${envelope.version}`);
+
+  const { kdf, cipher } = envelope;
+  if (kdf?.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || cipher?.name !== 'AES-GCM' ||
+    !Number.isInteger(kdf.iterations) || kdf.iterations < MIN_PBKDF2_ITERATIONS || kdf.iterations > MAX_PBKDF2_ITERATIONS) {
+    throw new Error('Unsupported encryption parameters');
+  }
+
+  let salt, iv, ciphertext;
+  try {
+    salt = fromBase64(kdf.salt);
+    iv = fromBase64(cipher.iv);
+    ciphertext = fromBase64(envelope.ciphertext);
+  } catch {
+    throw new Error('Damaged encrypted file');
+  }
+
+  const key = await deriveEncryptionKey(passphrase, salt, kdf.iterations);
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv, additionalData: encryptionHeader(envelope.version) },
+      key,
+      ciphertext
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decrypts an envelope read from file text
+ * @param {string} text - The envelope as JSON
+ * @param {string} passphrase
+ * @returns {Promise<string|null>} The text, null when the passphrase is wrong
+ * @throws {Error} When the text is not an envelope this version can open
+ */
+async function decryptText(text, passphrase) {
+  const envelope = parseEnvelope(text);
+  if (!envelope) throw new Error('Not an encrypted file');
+  return openEnvelope(envelope, passphrase);
+}
+
+// Export for use in other scripts (`self` is the window, or the background's worker scope)
+self.encryption = {
+  isEncrypted,
+  encrypt: encryptText,
+  decrypt: decryptText,
+  isEnvelope,
+  seal: sealEnvelope,
+  open: openEnvelope,
+  toBase64,
+  fromBase64
+};
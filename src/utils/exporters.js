@@ -0,0 +1,201 @@
+/**
+ * Highlighter Extension - Export Formats
+ * Turns highlights grouped by page into Markdown, HTML, CSV or plain text
+ */
+
+// ============================================
+// HELPERS
+// ============================================
+
+const DEFAULT_EXPORT_COLOR = '#FFEB3B';
+
+function escapeExportHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Only plain hex colors make it into the generated HTML
+function safeColor(color) {
+  return /^#[0-9a-f]{3,8}$/i.test(color || '') ? color : DEFAULT_EXPORT_COLOR;
+}
+
+// Links only for web and file pages (imported data can contain anything)
+function safeHref(url) {
+  return /^(https?|file):/i.test(url || '') ? url : '#';
+}
+
+function formatExportDate(isoDate) {
+  return isoDate ? isoDate.slice(0, 10) : '';
+}
+
+// ============================================
+// MARKDOWN
+// ============================================
+
+function escapeMarkdownLinkText(text) {
+  return text.replace(/([\\[\]])/g, '\\$1');
+}
+
+function escapeMarkdownUrl(url) {
+  return url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+/**
+ * @param {Array<{url: string, title: string, items: Array}>} pages
+ * @param {Object} labels - Translated labels (title, note, tags, exportedAt)
+ * @returns {string}
+ */
+function toMarkdown(pages, labels) {
+  const lines = [`# ${labels.title}`, '', `_${labels.exportedAt} ${formatExportDate(new Date().toISOString())}_`, ''];
+
+  pages.forEach(page => {
+    lines.push(`## [${escapeMarkdownLinkText(page.title || page.url)}](${escapeMarkdownUrl(page.url)})`, '');
+
+    page.items.forEach(item => {
+      (item.quote || '').split('\n').forEach(line => lines.push(`> ${line}`));
+      lines.push('');
+      if (item.note) {
+        lines.push(`**${labels.note}:** ${item.note}`, '');
+      }
+      if (item.tags && item.tags.length > 0) {
+        lines.push(`${labels.tags}: ${item.tags.join(' ')}`, '');
+      }
+    });
+  });
+
+  return lines.join('\n');
+}
+
+// ============================================
+// HTML
+// ============================================
+
+const EXPORT_HTML_STYLE = `
+  body { max-width: 760px; margin: 40px auto; padding: 0 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #222; }
+  h1 { margin-bottom: 4px; }
+  .exported { color: #888; font-size: 13px; }
+  h2 { margin-top: 36px; font-size: 18px; }
+  h2 a { color: inherit; }
+  .url { display: block; color: #888; font-size: 12px; font-weight: normal; word-break: break-all; }
+  blockquote { margin: 16px 0 6px; padding: 6px 14px; border-left: 4px solid; border-radius: 4px; }
+  .note { margin: 4px 0 0 18px; color: #555; }
+  .tags { margin: 4px 0 0 18px; }
+  .tag { display: inline-block; margin-right: 6px; padding: 1px 8px; border-radius: 10px; background: #eee; font-size: 12px; }
+`;
+
+function toHtml(pages, labels) {
+  const sections = pages.map(page => {
+    const items = page.items.map(item => {
+      const color = safeColor(item.color);
+      const quote = escapeExportHtml(item.quote).replace(/\n/g, '<br>');
+      const note = item.note ? `<p class="note"><strong>${escapeExportHtml(labels.note)}:</strong> ${escapeExportHtml(item.note)}</p>` : '';
+      const tags = item.tags && item.tags.length > 0
+        ? `<p class="tags">${item.tags.map(tag => `<span class="tag">${escapeExportHtml(tag)}</span>`).join('')}</p>`
+        : '';
+      return `<blockquote style="border-color: ${color}; background: ${color}33;">${quote}</blockquote>${note}${tags}`;
+    }).join('\n');
+
+    return `<section>
+<h2><a href="${escapeExportHtml(safeHref(page.url))}">${escapeExportHtml(page.title || page.url)}</a><span class="url">${escapeExportHtml(page.url)}</span></h2>
+${items}
+</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${escapeExportHtml(labels.title)}</title>
+<style>${EXPORT_HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeExportHtml(labels.title)}</h1>
+<p class="exported">${escapeExportHtml(labels.exportedAt)} ${formatExportDate(new Date().toISOString())}</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+// ============================================
+// CSV
+// ============================================
+
+const CSV_COLUMNS = ['url', 'title', 'quote', 'note', 'tags', 'color', 'createdAt'];
+
+function toCsvField(value) {
+  let text = String(value ?? '');
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(pages) {
+  const rows = [CSV_COLUMNS];
+  pages.forEach(page => {
+    page.items.forEach(item => {
+      rows.push([page.url, page.title, item.quote, item.note, (item.tags || []).join(' '), item.color, item.createdAt]);
+    });
+  });
+  // BOM so Excel opens the file as UTF-8
+  return '\uFEFF' + rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// ============================================
+// PLAIN TEXT
+// ============================================
+
+function toPlainText(pages, labels) {
+  const lines = [];
+
+  pages.forEach(page => {
+    lines.push(page.title || page.url, page.url, '');
+    page.items.forEach(item => {
+      lines.push(`"${item.quote || ''}"`);
+      if (item.note) lines.push(`  ${labels.note}: ${item.note}`);
+      if (item.tags && item.tags.length > 0) lines.push(`  ${labels.tags}: ${item.tags.join(' ')}`);
+      lines.push('');
+    });
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+// ============================================
+// REGISTRY
+// ============================================
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown', render: toMarkdown },
+  html: { extension: 'html', mimeType: 'text/html', render: toHtml },
+  csv: { extension: 'csv', mimeType: 'text/csv', render: toCsv },
+  text: { extension: 'txt', mimeType: 'text/plain', render: toPlainText }
+};
+
+/**
+ * Renders highlights in the given format
+ * @param {string} formatId - Key of EXPORT_FORMATS
+ * @param {Array<{url: string, title: string, items: Array}>} pages - Pages in display order
+ * @param {Object} labels - Translated labels (title, note, tags, exportedAt)
+ * @returns {{content: string, extension: string, mimeType: string}}
+ */
+function renderExport(formatId, pages, labels) {
+  const format = EXPORT_FORMATS[formatId];
+  if (!format) throw new Error(`Unknown export format: ${formatId}`);
+  return {
+    content: format.render(pages, labels),
+    extension: format.extension,
+    mimeType: format.mimeType
+  };
+}
+
+// Export for use in other scripts
+window.exporters = {
+  formats: Object.keys(EXPORT_FORMATS),
+  render: renderExport
+};
@@ -43,23 +43,14 @@ function getContrastColor(hexColor) {
   return luminance > 0.5 ? '#000000' : '#ffffff';
 }
 
-// ============================================
-// URL UTILITIES
-// ============================================
-
 /**
- * Normalizes URL by removing hash and query parameters
- * Ensures consistent URL matching across the extension
- * @param {string} url - Full URL to normalize
- * @returns {string} Normalized URL (origin + pathname)
+ * Keeps a highlight color safe to put into an inline style
+ * Synced and imported items can carry any string as their color
+ * @param {string} color - Stored color
+ * @returns {string} The color if it is #rrggbb, the default yellow otherwise
  */
-function normalizeUrl(url) {
-  try {
-    const urlObj = new URL(url);
-    return urlObj.origin + urlObj.pathname;
-  } catch {
-    return url;
-  }
+function sanitizeColor(color) {
+  return /^#[0-9a-f]{6}$/i.test(color || '') ? color : HIGHLIGHT_COLORS.yellow;
 }
 
 // ============================================
@@ -120,7 +111,7 @@ if (typeof window !== 'undefined') {
   window.HighlighterUtils = {
     escapeHtml,
     getContrastColor,
-    normalizeUrl,
+    sanitizeColor,
     HIGHLIGHT_COLORS,
     MENU_COLORS,
     TIMING,
@@ -133,7 +124,7 @@ if (typeof globalThis !== 'undefined' && typeof window === 'undefined') {
   globalThis.HighlighterUtils = {
     escapeHtml,
     getContrastColor,
-    normalizeUrl,
+    sanitizeColor,
     HIGHLIGHT_COLORS,
     MENU_COLORS,
     TIMING,
@@ -0,0 +1,418 @@
+/**
+ * Highlighter Extension - Import Formats
+ * Reads highlights exported by other tools into the backup shape
+ * (items grouped by page URL) that IMPORT_HIGHLIGHTS merges
+ */
+
+// ============================================
+// HELPERS
+// ============================================
+
+const IMPORT_COLORS = {
+  yellow: '#FFEB3B',
+  green: '#69F0AE',
+  blue: '#40C4FF',
+  pink: '#FF80AB',
+  red: '#FF80AB',
+  orange: '#FFAB40',
+  purple: '#B388FF'
+};
+
+// Page key for sources without a web address (books, notes files)
+function bookPageUrl(title) {
+  return 'book:' + encodeURIComponent(title.trim() || 'Untitled');
+}
+
+// Stable 53-bit hash (cyrb53), so importing the same file twice adds nothing new
+function hashImportKey(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+function importedId(source, url, quote, position) {
+  return `hl-${source}-${hashImportKey([url, quote, position || ''].join('\n'))}`;
+}
+
+function importColor(name) {
+  if (/^#[0-9a-f]{6}$/i.test(name || '')) return name;
+  return IMPORT_COLORS[String(name || '').trim().toLowerCase()] || IMPORT_COLORS.yellow;
+}
+
+// Tags are stored as single '#'-prefixed words
+function importTags(tags) {
+  return tags
+    .map(tag => String(tag).trim().replace(/^#+/, '').replace(/\s+/g, '-'))
+    .filter(Boolean)
+    .map(tag => '#' + tag);
+}
+
+function importDate(value) {
+  if (typeof value === 'number') {
+    // Unix timestamps in seconds
+    value = value < 1e12 ? value * 1000 : value;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+/**
+ * Adds an item (with defaults filled in) to its page
+ * @returns {Object|null} The stored item, or null when it has no quote
+ */
+function addImportedItem(highlights, url, title, item) {
+  if (!item.quote) return null;
+  if (!highlights[url]) highlights[url] = { title, items: [] };
+  const stored = { note: '', tags: [], color: IMPORT_COLORS.yellow, ...item, sourceUrl: url };
+  highlights[url].items.push(stored);
+  return stored;
+}
+
+function stripBom(text) {
+  return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+}
+
+// ============================================
+// HIGHLIGHTER JSON (own backups)
+// ============================================
+
+const highlighterImporter = {
+  id: 'highlighter',
+  label: 'Highlighter JSON',
+  detect: ({ json }) => !!json && !Array.isArray(json) && !!json.highlights && typeof json.highlights === 'object' && !Array.isArray(json.highlights),
+  // Keeps the backup's version so background can upgrade it
+  parse: ({ json }) => ({ highlights: json.highlights, version: json.version })
+};
+
+// ============================================
+// HYPOTHESIS
+// ============================================
+
+function getHypothesisAnnotations(json) {
+  if (Array.isArray(json)) return json;
+  return json?.annotations || json?.rows || null;
+}
+
+const hypothesisImporter = {
+  id: 'hypothesis',
+  label: 'Hypothesis',
+  detect: ({ json }) => {
+    const annotations = getHypothesisAnnotations(json);
+    return Array.isArray(annotations) && annotations.some(a => a && a.uri && Array.isArray(a.target));
+  },
+  parse: ({ json }) => {
+    const highlights = {};
+    getHypothesisAnnotations(json).forEach(annotation => {
+      const target = (annotation?.target || [])[0];
+      const selectors = (target?.selector || []).filter(s => s.type === 'TextQuoteSelector' || s.type === 'TextPositionSelector');
+      const quoteSelector = selectors.find(s => s.type === 'TextQuoteSelector');
+      // Page notes have nothing to highlight
+      if (!quoteSelector?.exact) return;
+
+      const url = target.source || annotation.uri;
+      addImportedItem(highlights, url, (annotation.document?.title || [])[0] || '', {
+        id: `hl-hypothesis-${annotation.id || hashImportKey(url + quoteSelector.exact)}`,
+        quote: quoteSelector.exact,
+        selectors,
+        note: annotation.text || '',
+        tags: importTags(annotation.tags || []),
+        createdAt: importDate(annotation.created)
+      });
+    });
+    return { highlights };
+  }
+};
+
+// ============================================
+// POCKET
+// ============================================
+
+const pocketImporter = {
+  id: 'pocket',
+  label: 'Pocket',
+  detect: ({ json }) => Array.isArray(json) && json.some(entry => entry && entry.url && Array.isArray(entry.highlights)),
+  parse: ({ json }) => {
+    const highlights = {};
+    json.forEach(entry => {
+      (entry?.highlights || []).forEach(highlight => {
+        addImportedItem(highlights, entry.url, entry.title || '', {
+          id: importedId('pocket', entry.url, highlight.quote),
+          quote: highlight.quote || '',
+          createdAt: importDate(highlight.created_at)
+        });
+      });
+    });
+    return { highlights };
+  }
+};
+
+// ============================================
+// READWISE CSV
+// ============================================
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(Boolean));
+}
+
+function isReadwiseCsv(text) {
+  const firstLine = stripBom(text).split(/\r?\n/, 1)[0].toLowerCase();
+  return firstLine.includes('highlight') && firstLine.includes('book title');
+}
+
+const readwiseImporter = {
+  id: 'readwise',
+  label: 'Readwise CSV',
+  detect: ({ text }) => isReadwiseCsv(text),
+  parse: ({ text }) => {
+    const [header, ...rows] = parseCsvRows(stripBom(text));
+    const columns = header.map(name => name.trim().toLowerCase());
+    const column = (row, ...names) => {
+      const index = columns.findIndex(name => names.includes(name));
+      return index === -1 ? '' : (row[index] || '').trim();
+    };
+
+    const highlights = {};
+    rows.forEach(row => {
+      const quote = column(row, 'highlight');
+      const title = column(row, 'book title');
+      const author = column(row, 'book author');
+      const url = column(row, 'url', 'source url', 'highlight url') || bookPageUrl(title);
+      const location = column(row, 'location');
+
+      addImportedItem(highlights, url, author ? `${title} (${author})` : title, {
+        id: importedId('readwise', url, quote, location),
+        quote,
+        note: column(row, 'note'),
+        color: importColor(column(row, 'color')),
+        tags: importTags(column(row, 'tags').split(/[,\s]+/)),
+        createdAt: importDate(column(row, 'highlighted at'))
+      });
+    });
+    return { highlights };
+  }
+};
+
+// ============================================
+// KINDLE (My Clippings.txt)
+// ============================================
+
+const KINDLE_SEPARATOR = /^={10}\s*$/m;
+
+/**
+ * "Title (Author)" / "- Your Highlight on page 3 | Location 40-42 | Added on ..." / text
+ */
+function parseKindleClipping(block) {
+  const lines = block.split(/\r?\n/).map(line => line.trim());
+  while (lines.length > 0 && !lines[0]) lines.shift();
+  const [titleLine, meta, ...rest] = lines;
+  if (!titleLine || !meta) return null;
+
+  const author = titleLine.match(/\(([^()]*)\)\s*$/);
+  const locationMatch = meta.match(/location\s+([\d-]+)/i);
+  const addedMatch = meta.match(/added on\s+(.*)$/i);
+  return {
+    book: author ? titleLine.slice(0, author.index).trim() : titleLine,
+    author: author ? author[1] : '',
+    kind: /\bnote\b/i.test(meta) ? 'note' : /\bbookmark\b/i.test(meta) ? 'bookmark' : 'highlight',
+    location: locationMatch ? locationMatch[1] : '',
+    addedOn: addedMatch ? addedMatch[1].replace(/^[a-z]+,\s*/i, '') : '',
+    text: rest.join('\n').trim()
+  };
+}
+
+const kindleImporter = {
+  id: 'kindle',
+  label: 'Kindle',
+  detect: ({ text }) => KINDLE_SEPARATOR.test(text),
+  parse: ({ text }) => {
+    const highlights = {};
+    const clippings = stripBom(text).split(KINDLE_SEPARATOR).map(parseKindleClipping).filter(Boolean);
+
+    clippings.filter(clipping => clipping.kind === 'highlight').forEach(clipping => {
+      const url = bookPageUrl(clipping.book);
+      addImportedItem(highlights, url, clipping.author ? `${clipping.book} (${clipping.author})` : clipping.book, {
+        id: importedId('kindle', url, clipping.text, clipping.location),
+        quote: clipping.text,
+        location: clipping.location,
+        createdAt: importDate(clipping.addedOn)
+      });
+    });
+
+    // Notes are separate clippings at the last location of the highlight
+    clippings.filter(clipping => clipping.kind === 'note' && clipping.text).forEach(clipping => {
+      const page = highlights[bookPageUrl(clipping.book)];
+      const item = page?.items.find(candidate => candidate.location.split('-').pop() === clipping.location);
+      if (item) item.note = item.note ? `${item.note}\n${clipping.text}` : clipping.text;
+    });
+
+    Object.values(highlights).forEach(page => page.items.forEach(item => delete item.location));
+    return { highlights };
+  }
+};
+
+// ============================================
+// MARKDOWN
+// ============================================
+
+const MARKDOWN_LINK = /\[((?:\\.|[^\]])*)\]\(([^)\s]+)\)/;
+
+function unescapeMarkdown(text) {
+  return text.replace(/\\([\\[\]])/g, '$1');
+}
+
+function decodeMarkdownUrl(url) {
+  try {
+    return decodeURI(url);
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Headings start a page (linked headings give its URL), blockquotes are
+ * highlights and the lines after a quote are its note or "#tag" list
+ */
+const markdownImporter = {
+  id: 'markdown',
+  label: 'Markdown',
+  detect: ({ text, fileName }) => /\.(md|markdown)$/i.test(fileName) || /^>\s?\S/m.test(text),
+  parse: ({ text, fileName }) => {
+    const highlights = {};
+    let page = { url: bookPageUrl(fileName.replace(/\.[^.]+$/, '')), title: fileName.replace(/\.[^.]+$/, '') };
+    let quoteLines = [];
+    let item = null;
+
+    const finishQuote = () => {
+      if (quoteLines.length === 0) return;
+      const quote = quoteLines.join('\n').trim();
+      item = addImportedItem(highlights, page.url, page.title, {
+        id: importedId('markdown', page.url, quote),
+        quote,
+        createdAt: new Date().toISOString()
+      });
+      quoteLines = [];
+    };
+
+    stripBom(text).split(/\r?\n/).forEach(line => {
+      const heading = line.match(/^#{1,6}\s+(.*)$/);
+      const quote = line.match(/^>\s?(.*)$/);
+
+      if (quote) {
+        quoteLines.push(quote[1]);
+        return;
+      }
+      finishQuote();
+
+      if (heading) {
+        const link = heading[1].match(MARKDOWN_LINK);
+        const title = unescapeMarkdown(link ? link[1] : heading[1]).trim();
+        page = { url: link ? decodeMarkdownUrl(link[2]) : bookPageUrl(title), title };
+        item = null;
+        return;
+      }
+
+      const content = line.trim();
+      if (!content || !item) return;
+
+      // "Tags: #a #b" or just "#a #b"
+      const words = content.replace(/^[^\s#:]+:\s*/, '').split(/\s+/);
+      if (words.every(word => /^#[^#\s]+$/.test(word))) {
+        item.tags = importTags([...item.tags, ...words]);
+        return;
+      }
+
+      // "**Note:** text"
+      const note = content.replace(/^\*\*[^*]+:\*\*\s*/, '');
+      item.note = item.note ? `${item.note}\n${note}` : note;
+    });
+    finishQuote();
+
+    return { highlights };
+  }
+};
+
+// ============================================
+// REGISTRY
+// ============================================
+
+// Checked in order; the first importer that recognizes a file reads it
+const IMPORTERS = [
+  highlighterImporter,
+  hypothesisImporter,
+  pocketImporter,
+  readwiseImporter,
+  kindleImporter,
+  markdownImporter
+];
+
+function parseImportJson(text) {
+  try {
+    return JSON.parse(stripBom(text));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads a file with the first importer that recognizes it
+ * @param {string} fileName - Name of the file (used for detection and titles)
+ * @param {string} text - File contents
+ * @returns {{format: string, label: string, highlights: Object, version: (number|string|undefined)}}
+ */
+function parseImport(fileName, text) {
+  const input = { fileName, text, json: parseImportJson(text) };
+  const importer = IMPORTERS.find(candidate => candidate.detect(input));
+  if (!importer) throw new Error('Unrecognized file format');
+
+  const { highlights, version } = importer.parse(input);
+  return { format: importer.id, label: importer.label, highlights, version };
+}
+
+// Export for use in other scripts
+window.importers = {
+  formats: IMPORTERS.map(importer => ({ id: importer.id, label: importer.label })),
+  parse: parseImport
+};
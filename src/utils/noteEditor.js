@@ -0,0 +1,77 @@
+/**
+ * Highlighter Extension - Note Editor
+ * The note and tags editor that opens under a highlight in the popup and
+ * the sidebar. Styles come from each page (.note-input-container).
+ */
+
+/**
+ * Reads the tags field: words separated by spaces, `#` added where it is
+ * missing, duplicates dropped
+ * @param {string} text - Value of the tags field
+ * @returns {string[]} Tags such as ['#research', '#todo']
+ */
+function parseTags(text) {
+  return [...new Set(
+    text.trim().split(/\s+/)
+      .map(t => t.startsWith('#') ? t : (t ? '#' + t : ''))
+      .filter(t => t.length > 1)
+  )];
+}
+
+/**
+ * Creates the editor for one highlight. Escape cancels, Ctrl/Cmd+Enter saves;
+ * clicks and keys stay inside so they do not reach the list item.
+ * @param {Object} item - Highlight being edited
+ * @param {Object} options
+ * @param {number} [options.rows=2] - Height of the note field
+ * @param {Function} options.onSave - Called with `{ note, tags }`
+ * @param {Function} options.onCancel
+ * @returns {HTMLDivElement} Editor element, ready to be inserted
+ */
+function createNoteEditor(item, { rows = 2, onSave, onCancel }) {
+  const container = document.createElement('div');
+  container.className = 'note-input-container';
+  container.innerHTML = `
+    <textarea class="note-input" placeholder="${window.i18n.t('notePlaceholder')}" rows="${rows}"></textarea>
+    <input type="text" class="tags-input" placeholder="${window.i18n.t('tagsPlaceholder')}">
+    <div class="note-input-actions">
+      <button class="note-cancel-btn">${window.i18n.t('btnCancel')}</button>
+      <button class="note-save-btn">${window.i18n.t('btnSave')}</button>
+    </div>
+  `;
+
+  const textarea = container.querySelector('.note-input');
+  const tagsInput = container.querySelector('.tags-input');
+  textarea.value = item.note || '';
+  tagsInput.value = (item.tags || []).join(' ');
+
+  const save = () => onSave({ note: textarea.value.trim(), tags: parseTags(tagsInput.value) });
+
+  container.addEventListener('click', (e) => e.stopPropagation());
+  container.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Escape') onCancel();
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) save();
+  });
+  container.querySelector('.note-save-btn').addEventListener('click', save);
+  container.querySelector('.note-cancel-btn').addEventListener('click', () => onCancel());
+
+  return container;
+}
+
+/**
+ * Focuses the note field with the cursor after the text
+ * @param {HTMLDivElement} container - From createNoteEditor()
+ */
+function focusNoteEditor(container) {
+  const textarea = container.querySelector('.note-input');
+  textarea.focus();
+  textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+}
+
+// Export for use in other scripts
+window.noteEditor = {
+  create: createNoteEditor,
+  focus: focusNoteEditor,
+  parseTags
+};
@@ -0,0 +1,56 @@
+/**
+ * Backup validator tests
+ * Run with: npm test
+ *
+ * backupValidator.js is a plain script shared by the dashboard and the
+ * background, so it is loaded into a VM context and read from self.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const VALIDATOR = path.join(__dirname, '..', 'src', 'utils', 'backupValidator.js');
+const PAGE_URL = 'https://example.com/article';
+
+function loadValidator() {
+    const context = vm.createContext({ URL });
+    context.self = context;
+    vm.runInContext(fs.readFileSync(VALIDATOR, 'utf8'), context, { filename: VALIDATOR });
+    return context.backupValidator;
+}
+
+const validator = loadValidator();
+
+// Results come from another realm; compare them as plain data
+function validate(items) {
+    return JSON.parse(JSON.stringify(validator.validate({ [PAGE_URL]: { title: 'Article', items } })));
+}
+
+describe('validate ids', () => {
+    it('keeps ids the extension and its importers generate', () => {
+        const ids = ['hl-1735787045000-abc123xyz', 'hl-kindle-1x2y3z', 'hl-hypothesis-Ab_c-9.1:2'];
+        const { highlights, issues } = validate(ids.map(id => ({ id, quote: 'q' })));
+        assert.deepEqual(highlights[PAGE_URL].items.map(item => item.id), ids);
+        assert.deepEqual(issues, []);
+    });
+
+    it('drops an id with a quote character', () => {
+        const { highlights, issues, dropped } = validate([{ id: 'hl-"]x', quote: 'q' }, { id: 'hl-2', quote: 'q' }]);
+        assert.deepEqual(highlights[PAGE_URL].items.map(item => item.id), ['hl-2']);
+        assert.equal(dropped, 1);
+        assert.deepEqual(issues, [{ url: PAGE_URL, index: 0, id: 'hl-"]x', field: 'id', problem: 'invalidId', action: 'dropped' }]);
+    });
+
+    it('drops ids with backslashes or whitespace', () => {
+        const { highlights, dropped } = validate([{ id: 'hl\\1', quote: 'q' }, { id: 'hl 2', quote: 'q' }]);
+        assert.deepEqual(highlights, {});
+        assert.equal(dropped, 2);
+    });
+
+    it('still reports a missing id as missing', () => {
+        assert.equal(validate([{ id: ' ', quote: 'q' }]).issues[0].problem, 'missingId');
+    });
+});
@@ -0,0 +1,215 @@
+/**
+ * Schema migration tests
+ * Run with: npm test
+ *
+ * background.js is a plain script for the extension's background context,
+ * so it is loaded into a VM context with a chrome stub that accepts every
+ * call; only the pure migration functions are exercised.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const BACKGROUND = path.join(__dirname, '..', 'src', 'background', 'background.js');
+const PAGE_URL = 'https://example.com/article';
+
+// Any chrome.* property is a callable stub resolving to an empty result
+function createChromeStub() {
+    const handler = {
+        get: (target, prop) => (prop === 'then' ? undefined : new Proxy(function () { }, handler)),
+        apply: () => Promise.resolve({})
+    };
+    return new Proxy({}, handler);
+}
+
+function loadBackground() {
+    const context = vm.createContext({
+        chrome: createChromeStub(),
+        console: { log() { }, warn() { }, error() { } },
+        URL,
+        crypto: globalThis.crypto,
+        TextEncoder,
+        TextDecoder
+    });
+    context.self = context;
+    vm.runInContext(fs.readFileSync(BACKGROUND, 'utf8'), context, { filename: BACKGROUND });
+    return vm.runInContext('({ MIGRATIONS, SCHEMA_VERSION, migrateItem, migrateHighlights, parseSchemaVersion })', context);
+}
+
+const background = loadBackground();
+
+// Results come from another realm; compare them as plain data
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function runStep(version, item, pageUrl = PAGE_URL) {
+    const step = background.MIGRATIONS.find(migration => migration.version === version);
+    return plain(step.up(item, pageUrl));
+}
+
+// A highlight as saved before versions were tracked
+const V1_ITEM = {
+    id: 'hl-1',
+    text: 'The quick brown fox',
+    color: '#FFEB3B',
+    createdAt: '2025-01-02T03:04:05.000Z'
+};
+
+const CURRENT_ITEM = {
+    id: 'hl-1',
+    color: '#FFEB3B',
+    createdAt: '2025-01-02T03:04:05.000Z',
+    quote: 'The quick brown fox',
+    note: '',
+    tags: [],
+    sourceUrl: PAGE_URL,
+    updatedAt: '2025-01-02T03:04:05.000Z'
+};
+
+describe('MIGRATIONS', () => {
+    it('ends at SCHEMA_VERSION with one step per version', () => {
+        const versions = background.MIGRATIONS.map(migration => migration.version);
+        assert.deepEqual(plain(versions), [2, 3, 4]);
+        assert.equal(background.SCHEMA_VERSION, 4);
+    });
+
+    describe('v2', () => {
+        it('moves text to quote and fills in note and tags', () => {
+            assert.deepEqual(runStep(2, V1_ITEM), {
+                id: 'hl-1',
+                color: '#FFEB3B',
+                createdAt: '2025-01-02T03:04:05.000Z',
+                quote: 'The quick brown fox',
+                note: '',
+                tags: []
+            });
+        });
+
+        it('keeps an existing quote and drops invalid tags', () => {
+            const item = { id: 'hl-2', quote: 'kept', text: 'old', note: 'a note', tags: ['#a', '', 3, null, '#b'] };
+            assert.deepEqual(runStep(2, item), { id: 'hl-2', quote: 'kept', note: 'a note', tags: ['#a', '#b'] });
+        });
+
+        it('replaces a note that is not a string', () => {
+            assert.equal(runStep(2, { id: 'hl-3', quote: 'q', note: 42 }).note, '');
+        });
+
+        it('gives items without any text an empty quote', () => {
+            assert.equal(runStep(2, { id: 'hl-4' }).quote, '');
+        });
+
+        it('is idempotent', () => {
+            const once = runStep(2, V1_ITEM);
+            assert.deepEqual(runStep(2, once), once);
+        });
+    });
+
+    describe('v3', () => {
+        it('sets sourceUrl to the page the item is stored under', () => {
+            assert.equal(runStep(3, { id: 'hl-1' }).sourceUrl, PAGE_URL);
+        });
+
+        it('keeps the sourceUrl of a re-keyed item', () => {
+            const item = { id: 'hl-1', sourceUrl: 'https://www.example.com/article?utm_source=x' };
+            assert.deepEqual(runStep(3, item), item);
+        });
+
+        it('is idempotent', () => {
+            const once = runStep(3, { id: 'hl-1' });
+            assert.deepEqual(runStep(3, once, 'https://example.com/other'), once);
+        });
+    });
+
+    describe('v4', () => {
+        it('starts updatedAt at createdAt', () => {
+            assert.equal(runStep(4, { id: 'hl-1', createdAt: '2025-01-02T03:04:05.000Z' }).updatedAt, '2025-01-02T03:04:05.000Z');
+        });
+
+        it('uses an empty updatedAt when createdAt is missing', () => {
+            assert.equal(runStep(4, { id: 'hl-1' }).updatedAt, '');
+        });
+
+        it('is idempotent', () => {
+            const item = { id: 'hl-1', createdAt: '2025-01-02T03:04:05.000Z', updatedAt: '2025-06-01T00:00:00.000Z' };
+            assert.deepEqual(runStep(4, item), item);
+        });
+    });
+});
+
+describe('migrateItem', () => {
+    it('runs every step after the given version', () => {
+        assert.deepEqual(plain(background.migrateItem(V1_ITEM, PAGE_URL, 1)), CURRENT_ITEM);
+    });
+
+    it('skips steps at or below the given version', () => {
+        const item = { id: 'hl-1', text: 'legacy', createdAt: '2025-01-02T03:04:05.000Z' };
+        assert.deepEqual(plain(background.migrateItem(item, PAGE_URL, 3)), { ...item, updatedAt: '2025-01-02T03:04:05.000Z' });
+    });
+
+    it('leaves current items alone', () => {
+        assert.deepEqual(plain(background.migrateItem(CURRENT_ITEM, PAGE_URL, background.SCHEMA_VERSION)), CURRENT_ITEM);
+    });
+
+    it('is idempotent on migrated items treated as version 1', () => {
+        assert.deepEqual(plain(background.migrateItem(CURRENT_ITEM, PAGE_URL, 1)), CURRENT_ITEM);
+    });
+
+    it('does not modify its input', () => {
+        const item = { ...V1_ITEM };
+        background.migrateItem(item, PAGE_URL, 1);
+        assert.deepEqual(item, V1_ITEM);
+    });
+});
+
+describe('migrateHighlights', () => {
+    const V1_BACKUP = {
+        [PAGE_URL]: { title: 'Article', items: [V1_ITEM] },
+        'https://example.org/': { items: [{ id: 'hl-9', text: 'other', tags: ['#t'] }] }
+    };
+
+    it('upgrades every page and keeps the layout', () => {
+        assert.deepEqual(plain(background.migrateHighlights(V1_BACKUP, 1)), {
+            [PAGE_URL]: { title: 'Article', items: [CURRENT_ITEM] },
+            'https://example.org/': {
+                title: '',
+                items: [{
+                    id: 'hl-9',
+                    quote: 'other',
+                    note: '',
+                    tags: ['#t'],
+                    sourceUrl: 'https://example.org/',
+                    updatedAt: ''
+                }]
+            }
+        });
+    });
+
+    it('is idempotent', () => {
+        const once = plain(background.migrateHighlights(V1_BACKUP, 1));
+        assert.deepEqual(plain(background.migrateHighlights(once, 1)), once);
+        assert.deepEqual(plain(background.migrateHighlights(once, background.SCHEMA_VERSION)), once);
+    });
+
+    it('tolerates missing data', () => {
+        assert.deepEqual(plain(background.migrateHighlights(null, 1)), {});
+        assert.deepEqual(plain(background.migrateHighlights({ [PAGE_URL]: null }, 1)), { [PAGE_URL]: { title: '', items: [] } });
+    });
+});
+
+describe('parseSchemaVersion', () => {
+    it('reads numbers and numeric strings', () => {
+        assert.equal(background.parseSchemaVersion(3), 3);
+        assert.equal(background.parseSchemaVersion('2'), 2);
+    });
+
+    it('treats old and missing versions as 1', () => {
+        assert.equal(background.parseSchemaVersion('1.0'), 1);
+        assert.equal(background.parseSchemaVersion(undefined), 1);
+        assert.equal(background.parseSchemaVersion('abc'), 1);
+        assert.equal(background.parseSchemaVersion(0), 1);
+    });
+});
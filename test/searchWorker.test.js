@@ -0,0 +1,109 @@
+/**
+ * Search worker tests
+ * Run with: npm test
+ *
+ * searchWorker.js is a plain worker script, so it is loaded into a VM
+ * context whose self collects the message listener and posted replies.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const WORKER = path.join(__dirname, '..', 'src', 'notes', 'searchWorker.js');
+
+function loadWorker() {
+    let listener = null;
+    const replies = [];
+    const context = vm.createContext({
+        URL,
+        addEventListener: (type, callback) => { if (type === 'message') listener = callback; },
+        postMessage: message => replies.push(message)
+    });
+    context.self = context;
+    vm.runInContext(fs.readFileSync(WORKER, 'utf8'), context, { filename: WORKER });
+
+    const send = data => listener({ data });
+    return {
+        index: items => send({ type: 'index', items }),
+        search: query => {
+            send({ type: 'search', seq: replies.length, query });
+            return JSON.parse(JSON.stringify(replies.pop()));
+        }
+    };
+}
+
+const ITEMS = [
+    { id: 'hl-1', quote: 'First quote', tags: ['#research', '#Reading'], url: 'https://example.com/a', createdAt: '2025-01-02T03:04:05.000Z' },
+    { id: 'hl-2', quote: 'Second quote', tags: ['#other'], url: 'https://example.com/b', createdAt: '2025-01-03T03:04:05.000Z' },
+    { id: 'hl-3', quote: 'Third quote', tags: ['#a,b', '#say"hi"'], url: 'https://example.com/c', createdAt: '2025-01-04T03:04:05.000Z' }
+];
+
+function ids(worker, query) {
+    return worker.search(query).results.map(result => result.id);
+}
+
+describe('tag: operator', () => {
+    const worker = loadWorker();
+    worker.index(ITEMS);
+
+    it('matches stored #tags with or without the #', () => {
+        assert.deepEqual(ids(worker, 'tag:research'), ['hl-1']);
+        assert.deepEqual(ids(worker, 'tag:#research'), ['hl-1']);
+    });
+
+    it('folds case on both sides', () => {
+        assert.deepEqual(ids(worker, 'tag:READING'), ['hl-1']);
+        assert.deepEqual(ids(worker, 'tag:#reading'), ['hl-1']);
+    });
+
+    it('accepts a comma-separated list and negation', () => {
+        assert.deepEqual(ids(worker, 'tag:research,#other').sort(), ['hl-1', 'hl-2']);
+        assert.deepEqual(ids(worker, '-tag:research').sort(), ['hl-2', 'hl-3']);
+    });
+
+    it('reads escaped commas and quotes as part of a tag', () => {
+        assert.deepEqual(ids(worker, 'tag:a\\,b'), ['hl-3']);
+        assert.deepEqual(ids(worker, 'tag:a,b'), []);
+        assert.deepEqual(ids(worker, 'tag:say\\"hi\\"'), ['hl-3']);
+        assert.deepEqual(ids(worker, 'tag:"say\\"hi\\""'), ['hl-3']);
+    });
+});
+
+describe('other operators', () => {
+    const worker = loadWorker();
+    worker.index([
+        { id: 'hl-1', quote: 'The quick brown fox', note: 'Jumps', color: '#FFEB3B', tags: ['#animals'], url: 'https://www.example.com/a', createdAt: '2024-03-10T12:00:00.000Z' },
+        { id: 'hl-2', quote: 'A brown quick dog', color: '#69F0AE', tags: [], url: 'https://blog.example.org/posts/1', createdAt: '2024-06-10T12:00:00.000Z' }
+    ]);
+
+    it('takes a quoted tag value like an unquoted one', () => {
+        assert.deepEqual(ids(worker, 'tag:"animals"'), ['hl-1']);
+        assert.deepEqual(ids(worker, '-tag:"#animals"'), ['hl-2']);
+    });
+
+    it('matches quoted phrases in order and words in any order', () => {
+        assert.deepEqual(ids(worker, '"quick brown"'), ['hl-1']);
+        assert.deepEqual(ids(worker, 'quick brown').sort(), ['hl-1', 'hl-2']);
+        assert.deepEqual(ids(worker, 'brown -fox'), ['hl-2']);
+    });
+
+    it('filters by color name or hex, site, date and has:', () => {
+        assert.deepEqual(ids(worker, 'color:yellow'), ['hl-1']);
+        assert.deepEqual(ids(worker, 'color:69f0ae'), ['hl-2']);
+        assert.deepEqual(ids(worker, 'site:example.com'), ['hl-1']);
+        assert.deepEqual(ids(worker, 'site:example.org/posts'), ['hl-2']);
+        assert.deepEqual(ids(worker, 'before:2024-05'), ['hl-1']);
+        assert.deepEqual(ids(worker, 'after:2024-05-01'), ['hl-2']);
+        assert.deepEqual(ids(worker, 'has:note'), ['hl-1']);
+        assert.deepEqual(ids(worker, '-has:tag'), ['hl-2']);
+    });
+
+    it('reports operators it cannot read', () => {
+        assert.equal(worker.search('color:teal').error, 'color:teal');
+        assert.equal(worker.search('before:someday').error, 'before:someday');
+        assert.equal(worker.search('has:link').error, 'has:link');
+    });
+});